@@ -0,0 +1,68 @@
+"use strict";
+
+/**
+ * Tests for the API key config loader.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadApiKeys } = require("../api-keys");
+
+describe("loadApiKeys", () => {
+    let dir;
+    const write = (config) => {
+        const file = path.join(dir, "api-keys.json");
+        fs.writeFileSync(file, typeof config === "string" ? config : JSON.stringify(config));
+        return file;
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(`${os.tmpdir()}/cinesearch-keys-`);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("resolves quotas from tiers, with per-key overrides", () => {
+        const { keys, lookup } = loadApiKeys(
+            write({
+                tiers: { standard: { perMinute: 120 } },
+                keys: [
+                    { id: "dashboard", key: "a".repeat(32), tier: "standard" },
+                    { id: "ops", key: "b".repeat(32), tier: "standard", perMinute: 600, admin: true },
+                    { id: "wiki", key: "c".repeat(32), perMinute: 10 },
+                ],
+            })
+        );
+        expect(keys).toEqual([
+            { id: "dashboard", tier: "standard", perMinute: 120, admin: false },
+            { id: "ops", tier: "standard", perMinute: 600, admin: true },
+            { id: "wiki", tier: null, perMinute: 10, admin: false },
+        ]);
+        expect(lookup("b".repeat(32))).toBe(keys[1]);
+        expect(lookup("b".repeat(31))).toBeNull();
+    });
+
+    it.each([
+        ["unreadable JSON", "{", /^Could not read API keys from .*api-keys\.json/],
+        ["a tier without a quota", { tiers: { free: {} } }, /Tier "free" .* positive integer perMinute/],
+        ["a missing id", { keys: [{ key: "a".repeat(32), perMinute: 1 }] }, /API key #1 .* needs an id/],
+        ["a short key", { keys: [{ id: "x", key: "short", perMinute: 1 }] }, /\(x\) needs a key of at least 16/],
+        ["an unknown tier", { keys: [{ id: "x", key: "a".repeat(32), tier: "gold" }] }, /unknown tier "gold"/],
+        ["no quota at all", { keys: [{ id: "x", key: "a".repeat(32) }] }, /needs a tier or a positive integer/],
+        [
+            "a repeated id",
+            { keys: [{ id: "x", key: "a".repeat(32), perMinute: 1 }, { id: "x", key: "b".repeat(32), perMinute: 1 }] },
+            /API key #2 .* repeats the id "x"/,
+        ],
+        [
+            "a repeated key",
+            { keys: [{ id: "x", key: "a".repeat(32), perMinute: 1 }, { id: "y", key: "a".repeat(32), perMinute: 1 }] },
+            /\(y\) repeats another key/,
+        ],
+    ])("rejects %s", (_name, config, message) => {
+        expect(() => loadApiKeys(write(config))).toThrow(message);
+    });
+});
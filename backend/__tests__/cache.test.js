@@ -0,0 +1,254 @@
+"use strict";
+
+/**
+ * Tests for the cache adapters. The Redis adapter talks to a small in-process stand-in that
+ * speaks just enough of the protocol (GET, SET … PX, SCAN, DEL, AUTH, SELECT).
+ */
+
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { createCache, createDiskStore, createMemoryStore, createRedisStore } = require("../cache");
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Start a Redis-protocol stand-in on a random port; resolves to { url, data, commands, close } */
+function startRedisStandIn() {
+    const data = new Map(); // key → { value, expiresAt }
+    const commands = [];
+
+    const bulk = (value) => (value === null ? "$-1\r\n" : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+    const array = (items) => `*${items.length}\r\n${items.join("")}`;
+
+    function execute([name, ...args]) {
+        commands.push([name.toUpperCase(), ...args]);
+        const now = Date.now();
+        switch (name.toUpperCase()) {
+            case "AUTH":
+            case "SELECT":
+                return "+OK\r\n";
+            case "GET": {
+                const item = data.get(args[0]);
+                return bulk(item && item.expiresAt > now ? item.value : null);
+            }
+            case "SET":
+                data.set(args[0], { value: args[1], expiresAt: now + Number(args[3]) });
+                return "+OK\r\n";
+            case "SCAN": {
+                const prefix = args[2].replace(/\*$/, "");
+                const keys = [...data.keys()].filter((k) => k.startsWith(prefix));
+                return array([bulk("0"), array(keys.map(bulk))]);
+            }
+            case "DEL":
+                args.forEach((k) => data.delete(k));
+                return `:${args.length}\r\n`;
+            default:
+                return `-ERR unknown command '${name}'\r\n`;
+        }
+    }
+
+    const server = net.createServer((socket) => {
+        let buffer = "";
+        socket.on("data", (chunk) => {
+            buffer += chunk.toString("utf8");
+            // Commands arrive as arrays of bulk strings: *N \r\n ($len \r\n value \r\n) × N
+            for (;;) {
+                const lines = buffer.split("\r\n");
+                if (!lines[0].startsWith("*") || lines.length < 2) return;
+                const count = Number(lines[0].slice(1));
+                if (lines.length < 2 + count * 2) return;
+                const args = [];
+                for (let i = 0; i < count; i++) args.push(lines[2 + i * 2]);
+                buffer = lines.slice(1 + count * 2).join("\r\n");
+                socket.write(execute(args));
+            }
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => {
+            resolve({
+                url: `redis://:s3cret@127.0.0.1:${server.address().port}/2`,
+                data,
+                commands,
+                close: () => new Promise((done) => server.close(done)),
+            });
+        });
+    });
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+// ===========================================================================
+// createCache
+// ===========================================================================
+describe("createCache", () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it("marks entries stale after their TTL and drops them after the stale window", async () => {
+        const store = createMemoryStore();
+        const cache = createCache(store, { staleSeconds: 60 });
+        await cache.set("k", { a: 1 }, 10);
+        expect(await cache.get("k")).toEqual({ value: { a: 1 }, stale: false });
+
+        const now = Date.now();
+        jest.spyOn(Date, "now").mockReturnValue(now + 11_000);
+        expect(await cache.get("k")).toEqual({ value: { a: 1 }, stale: true });
+
+        Date.now.mockReturnValue(now + 71_000);
+        expect(await cache.get("k")).toBeUndefined();
+        store.close();
+    });
+
+    it("counts hits, misses and keys, but not has() lookups", async () => {
+        const store = createMemoryStore();
+        const cache = createCache(store, { staleSeconds: 60 });
+        await cache.set("k", 1, 10);
+        await cache.get("k");
+        await cache.get("missing");
+        expect(await cache.has("k")).toBe(true);
+        expect(await cache.has("missing")).toBe(false);
+        expect(await cache.stats()).toEqual({ hits: 1, misses: 1, errors: 0, keys: 1 });
+        store.close();
+    });
+
+    it("drops the least recently used keys past maxEntries", async () => {
+        const store = createMemoryStore({ maxEntries: 2 });
+        await store.set("a", 1, 60);
+        await store.set("b", 2, 60);
+        await store.get("a"); // b is now the oldest
+        await store.set("c", 3, 60);
+
+        expect(await store.get("b")).toBeUndefined();
+        expect([await store.get("a"), await store.get("c")]).toEqual([1, 3]);
+        expect(await store.count()).toBe(2);
+        store.close();
+    });
+
+    it("check() round-trips the store and reports failures", async () => {
+        const store = createMemoryStore();
+        expect(await createCache(store, { staleSeconds: 60 }).check()).toEqual({ ok: true, backend: "memory", keys: 1 });
+        store.close();
+
+        const readOnly = { name: "disk", set: () => Promise.reject(new Error("EROFS: read-only file system")) };
+        expect(await createCache(readOnly, { staleSeconds: 60 }).check()).toEqual({
+            ok: false,
+            backend: "disk",
+            error: "EROFS: read-only file system",
+        });
+    });
+
+    it("treats store failures as misses", async () => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        const broken = {
+            name: "broken",
+            get: () => Promise.reject(new Error("down")),
+            set: () => Promise.reject(new Error("down")),
+        };
+        const cache = createCache(broken, { staleSeconds: 60 });
+        await expect(cache.set("k", 1, 10)).resolves.toBeUndefined();
+        await expect(cache.get("k")).resolves.toBeUndefined();
+    });
+});
+
+// ===========================================================================
+// Disk store
+// ===========================================================================
+describe("createDiskStore", () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = path.join(fs.mkdtempSync(`${os.tmpdir()}/cinesearch-cache-`), "cache");
+        store = createDiskStore({ dir });
+    });
+
+    afterEach(() => {
+        store.close();
+        fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    it("persists entries across store instances", async () => {
+        await store.set("/genre/movie/list|{}", { value: [1, 2], staleAt: 0 }, 60);
+        const reopened = createDiskStore({ dir });
+        expect(await reopened.get("/genre/movie/list|{}")).toEqual({ value: [1, 2], staleAt: 0 });
+        expect(await reopened.get("missing")).toBeUndefined();
+        reopened.close();
+    });
+
+    it("expires entries and sweeps their files", async () => {
+        await store.set("a", { value: 1 }, 10);
+        await store.set("b", { value: 2 }, 100);
+        const now = Date.now();
+        jest.spyOn(Date, "now").mockReturnValue(now + 11_000);
+
+        await store.sweep();
+        expect(fs.readdirSync(dir)).toHaveLength(1);
+        expect(await store.get("a")).toBeUndefined();
+        expect(await store.get("b")).toEqual({ value: 2 });
+    });
+
+    it("treats a corrupt file as a miss and clears everything", async () => {
+        await store.set("a", { value: 1 }, 10);
+        const [file] = fs.readdirSync(dir);
+        fs.writeFileSync(path.join(dir, file), "{not json");
+        expect(await store.get("a")).toBeUndefined();
+
+        await store.clear();
+        expect(fs.existsSync(dir)).toBe(false);
+    });
+});
+
+// ===========================================================================
+// Redis store
+// ===========================================================================
+describe("createRedisStore", () => {
+    let redis;
+    let store;
+
+    beforeEach(async () => {
+        redis = await startRedisStandIn();
+        store = createRedisStore({ url: redis.url });
+    });
+
+    afterEach(async () => {
+        store.close();
+        await redis.close();
+    });
+
+    it("authenticates, selects the database and round-trips entries with a TTL", async () => {
+        await store.set("/trending/movie/week|{}", { value: { results: [] }, staleAt: 5 }, 90);
+        expect(await store.get("/trending/movie/week|{}")).toEqual({ value: { results: [] }, staleAt: 5 });
+        expect(await store.get("missing")).toBeUndefined();
+
+        expect(redis.commands.slice(0, 2)).toEqual([
+            ["AUTH", "s3cret"],
+            ["SELECT", "2"],
+        ]);
+        const [name, key, , ...ttl] = redis.commands[2];
+        expect([name, key, ...ttl]).toEqual(["SET", "cinesearch:/trending/movie/week|{}", "PX", "90000"]);
+    });
+
+    it("clears only its own keys", async () => {
+        redis.data.set("other-app:key", { value: "x", expiresAt: Infinity });
+        await store.set("a", { value: 1 }, 10);
+        await store.set("b", { value: 2 }, 10);
+
+        await store.clear();
+        expect([...redis.data.keys()]).toEqual(["other-app:key"]);
+    });
+
+    it("rejects when the server goes away", async () => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        await store.set("a", { value: 1 }, 10);
+        store.close();
+        await redis.close();
+        await tick();
+        await expect(store.get("a")).rejects.toThrow();
+        jest.restoreAllMocks();
+    });
+});
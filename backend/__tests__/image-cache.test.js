@@ -0,0 +1,91 @@
+"use strict";
+
+/**
+ * Tests for the on-disk image cache: size cap, LRU eviction and recovery from what is on disk.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { createImageCache } = require("../image-cache");
+
+const bytes = (n) => Readable.from([Buffer.alloc(n, 1)]);
+
+describe("createImageCache", () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = path.join(fs.mkdtempSync(`${os.tmpdir()}/cinesearch-images-`), "images");
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+    });
+
+    it("stores streamed files and finds them again", async () => {
+        const images = createImageCache({ dir, maxBytes: 1000 });
+        expect(await images.lookup("w500-a.jpg")).toBeNull();
+
+        await images.save("w500-a.jpg", bytes(100));
+        const file = await images.lookup("w500-a.jpg");
+        expect(file).toBe(path.join(dir, "w500-a.jpg"));
+        expect(fs.statSync(file).size).toBe(100);
+        expect(images.stats()).toEqual({ files: 1, bytes: 100 });
+    });
+
+    it("evicts the least recently used files past the size cap", async () => {
+        const images = createImageCache({ dir, maxBytes: 250 });
+        await images.save("a.jpg", bytes(100));
+        await images.save("b.jpg", bytes(100));
+        await images.lookup("a.jpg"); // b is now the oldest
+        await images.save("c.jpg", bytes(100));
+
+        expect(fs.readdirSync(dir).sort()).toEqual(["a.jpg", "c.jpg"]);
+        expect(await images.lookup("b.jpg")).toBeNull();
+        expect(images.stats()).toEqual({ files: 2, bytes: 200 });
+    });
+
+    it("does not keep files larger than the whole cache", async () => {
+        const images = createImageCache({ dir, maxBytes: 50 });
+        await images.save("big.jpg", bytes(100));
+        expect(fs.readdirSync(dir)).toEqual([]);
+        expect(images.stats()).toEqual({ files: 0, bytes: 0 });
+    });
+
+    it("rebuilds the LRU order from modification times and drops partial downloads", async () => {
+        fs.mkdirSync(dir, { recursive: true });
+        for (const [name, age] of [["old.jpg", 300], ["newer.jpg", 200], ["newest.jpg", 100]]) {
+            fs.writeFileSync(path.join(dir, name), Buffer.alloc(100));
+            const time = new Date(Date.now() - age * 1000);
+            fs.utimesSync(path.join(dir, name), time, time);
+        }
+        fs.writeFileSync(path.join(dir, "x.jpg.1234.tmp"), "partial");
+
+        const images = createImageCache({ dir, maxBytes: 250 });
+        expect(await images.lookup("old.jpg")).toBeNull();
+        expect(fs.readdirSync(dir).sort()).toEqual(["newer.jpg", "newest.jpg"]);
+        expect(images.stats()).toEqual({ files: 2, bytes: 200 });
+    });
+
+    it("treats a file deleted behind its back as a miss", async () => {
+        const images = createImageCache({ dir, maxBytes: 1000 });
+        await images.save("a.jpg", bytes(100));
+        fs.rmSync(path.join(dir, "a.jpg"));
+
+        expect(await images.lookup("a.jpg")).toBeNull();
+        expect(images.stats()).toEqual({ files: 0, bytes: 0 });
+    });
+
+    it("removes the partial file when the source fails", async () => {
+        const images = createImageCache({ dir, maxBytes: 1000 });
+        const source = new Readable({ read() {} });
+        const saving = images.save("a.jpg", source);
+        source.push(Buffer.alloc(10));
+        setImmediate(() => source.destroy(new Error("socket hang up")));
+
+        await expect(saving).rejects.toThrow("socket hang up");
+        expect(fs.readdirSync(dir)).toEqual([]);
+        expect(images.stats()).toEqual({ files: 0, bytes: 0 });
+    });
+});
@@ -14,6 +14,16 @@ process.env.TMDB_API_KEY = "test-api-key-for-jest";
 process.env.NODE_ENV = "test";
 process.env.PORT = "0";
 
+const fs = require("fs");
+const os = require("os");
+
+// Lists are persisted to disk – keep them in a throwaway directory
+const DATA_DIR = fs.mkdtempSync(`${os.tmpdir()}/cinesearch-test-`);
+process.env.DATA_DIR = DATA_DIR;
+process.env.BULK_LOOKUPS_PER_SECOND = "1000"; // don't pace imports/exports in tests
+process.env.TMDB_RETRY_BASE_MS = "1"; // retry failed TMDB calls without real backoff
+process.env.LOG_LEVEL = "silent"; // the JSON log lines are tested on their own below
+
 const request = require("supertest");
 const axios = require("axios");
 const MockAdapter = require("axios-mock-adapter");
@@ -21,7 +31,7 @@ const MockAdapter = require("axios-mock-adapter");
 // Create mock BEFORE loading the app so tmdbFetch uses the mock instance
 const mock = new MockAdapter(axios, { onNoMatch: "throwException" });
 
-const { app, cache } = require("../server");
+const { app, cache, circuit } = require("../server");
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -45,13 +55,15 @@ function tmdbUrl(path) {
     return new RegExp(`api\\.themoviedb\\.org.*${path.replace("/", "\\/")}`)
 }
 
-beforeEach(() => {
-    cache.flushAll();
+beforeEach(async () => {
+    await cache.clear();
+    circuit.reset();
     mock.reset();
 });
 
 afterAll(() => {
     mock.restore();
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
 });
 
 // ===========================================================================
@@ -63,6 +75,7 @@ describe("GET /api/health", () => {
         expect(res.status).toBe(200);
         expect(res.body.status).toBe("ok");
         expect(res.body.timestamp).toBeDefined();
+        expect(res.body.tmdb).toMatchObject({ calls: expect.any(Number), deduplicated: expect.any(Number) });
     });
 });
 
@@ -87,6 +100,94 @@ describe("GET /api/genres", () => {
     });
 });
 
+// ===========================================================================
+// Locale – locale / region on every route
+// ===========================================================================
+describe("Locale parameters", () => {
+    it("defaults genres to English and forwards a requested language", async () => {
+        mock.onGet(tmdbUrl("/genre/movie/list")).reply(200, { genres: [] });
+
+        await request(app).get("/api/genres");
+        await request(app).get("/api/genres?locale=fr-fr");
+
+        expect(mock.history.get.map((c) => c.params.language)).toEqual(["en", "fr-FR"]);
+    });
+
+    it("keys the cache by locale", async () => {
+        mock.onGet(tmdbUrl("/trending/movie/week")).reply((config) => [
+            200,
+            { results: [{ id: 1, title: config.params.language === "de" ? "Der Film" : "The Film" }] },
+        ]);
+
+        const en = await request(app).get("/api/trending");
+        const de = await request(app).get("/api/trending?locale=de");
+        const deAgain = await request(app).get("/api/trending?locale=DE");
+
+        expect(en.body.results[0].title).toBe("The Film");
+        expect(de.body.results[0].title).toBe("Der Film");
+        expect(deAgain.body.results[0].title).toBe("Der Film");
+        expect(mock.history.get).toHaveLength(2);
+    });
+
+    it("forwards locale and region to search and keeps other-language media on details", async () => {
+        mock.onGet(tmdbUrl("/search/movie")).reply(200, { results: [], total_results: 0, total_pages: 0 });
+        mock.onGet(tmdbUrl("/movie/27205")).reply(200, { id: 27205 });
+
+        await request(app).get("/api/search?query=inception&locale=pt-BR&region=br");
+        await request(app).get("/api/movie/27205?locale=pt-BR");
+
+        const [search, detail] = mock.history.get;
+        expect(search.params).toMatchObject({ language: "pt-BR", region: "BR" });
+        expect(detail.params).toMatchObject({
+            language: "pt-BR",
+            include_image_language: "pt,en,null",
+            include_video_language: "pt,en",
+        });
+    });
+
+    it("forwards the locale to person names, keywords and collection parts", async () => {
+        mock.onGet(tmdbUrl("/search/person")).reply(200, PERSON_RESULTS);
+        mock.onGet(tmdbUrl("/discover/movie")).reply(200, MOVIE_LIST);
+        mock.onGet(tmdbUrl("/search/keyword")).reply(200, { results: [] });
+        mock.onGet(tmdbUrl("/collection/263")).reply(200, { id: 263, parts: [{ id: 155 }] });
+        mock.onGet(tmdbUrl("/movie/155")).reply(200, { id: 155, runtime: 152 });
+
+        await request(app).get("/api/search?director=Christopher%20Nolan&locale=fr");
+        await request(app).get("/api/keywords?query=heist&locale=fr");
+        await request(app).get("/api/collection/263?locale=fr");
+
+        const byPath = (path) => mock.history.get.find((c) => c.url.endsWith(path));
+        for (const path of ["/search/person", "/search/keyword", "/movie/155"]) {
+            expect(byPath(path).params.language).toBe("fr");
+        }
+    });
+
+    it("takes ?language= as the locale except where it filters by original language", async () => {
+        mock.onGet(tmdbUrl("/trending/movie/week")).reply(200, { results: [] });
+        mock.onGet(tmdbUrl("/discover/movie")).reply(200, MOVIE_LIST);
+
+        await request(app).get("/api/trending?language=de");
+        await request(app).get("/api/search?language=ko&locale=fr");
+
+        const [trending, discover] = mock.history.get;
+        expect(trending.params.language).toBe("de");
+        expect(discover.params).toMatchObject({ language: "fr", with_original_language: "ko" });
+        expect((await request(app).get("/api/genres?language=french")).body.error).toMatch(/^language/);
+    });
+
+    it("400 for a malformed locale", async () => {
+        const res = await request(app).get("/api/trending?locale=french");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/^locale/);
+    });
+
+    it("400 for a malformed region", async () => {
+        const res = await request(app).get("/api/genres?region=BEL");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/region/);
+    });
+});
+
 // ===========================================================================
 // GET /api/search – validation
 // ===========================================================================
@@ -211,6 +312,80 @@ describe("GET /api/search – year only", () => {
     });
 });
 
+// ===========================================================================
+// GET /api/search – release ranges
+// ===========================================================================
+describe("GET /api/search – release ranges", () => {
+    it("maps yearFrom/yearTo to whole-year primary_release_date bounds", async () => {
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params["primary_release_date.gte"]).toBe("1990-01-01");
+            expect(config.params["primary_release_date.lte"]).toBe("1999-12-31");
+            expect(config.params.primary_release_year).toBeUndefined();
+            return [200, MOVIE_LIST];
+        });
+
+        const res = await request(app).get("/api/search?yearFrom=1990&yearTo=1999");
+        expect(res.status).toBe(200);
+        expect(res.body.results).toHaveLength(1);
+    });
+
+    it("passes exact releasedAfter/releasedBefore dates", async () => {
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params["primary_release_date.gte"]).toBe("2024-03-15");
+            expect(config.params["primary_release_date.lte"]).toBeUndefined();
+            return [200, MOVIE_LIST];
+        });
+
+        const res = await request(app).get("/api/search?releasedAfter=2024-03-15");
+        expect(res.status).toBe(200);
+    });
+
+    it("post-filters title matches by the range", async () => {
+        mock.onGet(tmdbUrl("/search/movie")).reply(200, {
+            results: [
+                { id: 348, title: "Alien", release_date: "1979-05-25" },
+                { id: 126889, title: "Alien: Covenant", release_date: "2017-05-09" },
+            ],
+            total_results: 2,
+            total_pages: 1,
+        });
+
+        const res = await request(app).get("/api/search?query=alien&yearTo=1989");
+        expect(res.status).toBe(200);
+        expect(res.body.results.map((m) => m.id)).toEqual([348]);
+    });
+
+    it("400 for yearFrom before 1880", async () => {
+        const res = await request(app).get("/api/search?yearFrom=1850");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/invalid yearFrom/i);
+    });
+
+    it("400 for an impossible date", async () => {
+        const res = await request(app).get("/api/search?releasedBefore=2023-02-30");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/releasedBefore must be a YYYY-MM-DD/);
+    });
+
+    it("400 when the range is inverted", async () => {
+        const res = await request(app).get("/api/search?yearFrom=2000&yearTo=1990");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/must not be after/);
+    });
+
+    it("400 when mixing yearFrom and releasedAfter", async () => {
+        const res = await request(app).get("/api/search?yearFrom=2000&releasedAfter=2001-01-01");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/either yearFrom or releasedAfter/);
+    });
+
+    it("400 when mixing year with a range", async () => {
+        const res = await request(app).get("/api/search?year=2000&yearTo=2005");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/cannot be combined/);
+    });
+});
+
 // ===========================================================================
 // GET /api/search – genre
 // ===========================================================================
@@ -262,6 +437,41 @@ describe("GET /api/search – cast", () => {
         expect(res.body.results).toEqual([]);
         expect(res.body.total_results).toBe(0);
     });
+
+    it("400 with candidates when two people share the name", async () => {
+        mock.onGet(tmdbUrl("/search/person")).reply(200, {
+            results: [
+                { id: 16828, name: "Chris Evans", known_for_department: "Acting", popularity: 45.3 },
+                { id: 1, name: "Chris Evans", known_for_department: "Directing", popularity: 2.1 },
+                { id: 2, name: "Chris Evans Jr.", known_for_department: "Acting", popularity: 1 },
+            ],
+        });
+
+        const res = await request(app).get("/api/search?cast=chris+evans");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/"chris evans" matches 2 people .* castId/);
+        expect(res.body.candidates.map((c) => [c.id, c.department])).toEqual([
+            [16828, "Acting"],
+            [1, "Directing"],
+        ]);
+        expect(mock.history.get.some((r) => r.url.includes("/discover/movie"))).toBe(false);
+    });
+
+    it("uses the only exact match when other results merely contain the name", async () => {
+        mock.onGet(tmdbUrl("/search/person")).reply(200, {
+            results: [
+                { id: 16828, name: "Chris Evans", popularity: 45.3 },
+                { id: 2, name: "Chris Evans Jr.", popularity: 1 },
+            ],
+        });
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params.with_cast).toBe("16828");
+            return [200, MOVIE_LIST];
+        });
+
+        const res = await request(app).get("/api/search?cast=Chris+Evans");
+        expect(res.status).toBe(200);
+    });
 });
 
 // ===========================================================================
@@ -289,152 +499,2021 @@ describe("GET /api/search – director", () => {
 });
 
 // ===========================================================================
-// GET /api/search – combined fields
+// GET /api/search – explicit person IDs
 // ===========================================================================
-describe("GET /api/search – combined fields", () => {
-    it("title + genre uses /discover/movie with both params", async () => {
+describe("GET /api/search – castId / directorId", () => {
+    it("uses castId directly without a person lookup", async () => {
         mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
-            expect(config.params.with_genres).toBe("28");
+            expect(config.params.with_cast).toBe("16828");
             return [200, MOVIE_LIST];
         });
 
-        const res = await request(app).get("/api/search?query=batman&genre=28");
+        const res = await request(app).get("/api/search?castId=16828");
         expect(res.status).toBe(200);
+        expect(mock.history.get.some((r) => r.url.includes("/search/person"))).toBe(false);
     });
 
-    it("title + year + genre passes all three params", async () => {
+    it("uses directorId directly as with_crew", async () => {
         mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
-            expect(config.params.with_genres).toBe("28");
-            expect(config.params.primary_release_year).toBe("2008");
+            expect(config.params.with_crew).toBe("865");
             return [200, MOVIE_LIST];
         });
 
-        const res = await request(app).get("/api/search?query=batman&genre=28&year=2008");
+        const res = await request(app).get("/api/search?directorId=865");
         expect(res.status).toBe(200);
+        expect(res.body.results).toHaveLength(1);
     });
 
-    it("cast + director resolves both person IDs", async () => {
-        const actorResult = { results: [{ id: 100, name: "Actor A" }] };
-        const directorResult = { results: [{ id: 200, name: "Director B" }] };
+    it("400 for non-numeric castId", async () => {
+        const res = await request(app).get("/api/search?castId=abc");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/castId/);
+    });
 
-        // First person search → cast, second → director
-        mock.onGet(tmdbUrl("/search/person")).replyOnce(200, actorResult);
-        mock.onGet(tmdbUrl("/search/person")).replyOnce(200, directorResult);
+    it("400 for directorId of zero", async () => {
+        const res = await request(app).get("/api/search?directorId=0");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/directorId/);
+    });
+});
+
+// ===========================================================================
+// GET /api/search – multiple cast / crew members
+// ===========================================================================
+describe("GET /api/search – multiple people", () => {
+    const personReply = (config) => {
+        const ids = { "Robert De Niro": 380, "Al Pacino": 1158, "Christopher Nolan": 525, "Denis Villeneuve": 137427 };
+        const id = ids[config.params.query];
+        return [200, id ? { results: [{ id, name: config.params.query }] } : EMPTY_PERSON];
+    };
 
+    it("joins comma-separated cast with commas (AND) by default", async () => {
+        mock.onGet(tmdbUrl("/search/person")).reply(personReply);
         mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
-            expect(config.params.with_cast).toBe("100");
-            expect(config.params.with_crew).toBe("200");
+            expect(config.params.with_cast).toBe("380,1158");
             return [200, MOVIE_LIST];
         });
 
-        const res = await request(app).get("/api/search?cast=Actor+A&director=Director+B");
+        const res = await request(app).get("/api/search?cast=Robert+De+Niro,Al+Pacino");
         expect(res.status).toBe(200);
         expect(res.body.results).toHaveLength(1);
     });
-});
 
-// ===========================================================================
-// GET /api/search – caching
-// ===========================================================================
-describe("GET /api/search – caching", () => {
-    it("serves second identical request from cache (axios called only once)", async () => {
-        let callCount = 0;
-        mock.onGet(tmdbUrl("/search/movie")).reply(() => {
-            callCount++;
+    it("accepts repeated crew params and joins with pipes in OR mode", async () => {
+        mock.onGet(tmdbUrl("/search/person")).reply(personReply);
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params.with_crew).toBe("525|137427");
             return [200, MOVIE_LIST];
         });
 
-        await request(app).get("/api/search?query=Inception");
-        await request(app).get("/api/search?query=Inception");
+        const res = await request(app).get(
+            "/api/search?crew=Christopher+Nolan&crew=Denis+Villeneuve&crewMode=or"
+        );
+        expect(res.status).toBe(200);
+    });
 
-        expect(callCount).toBe(1);
+    it("merges explicit IDs with resolved names", async () => {
+        mock.onGet(tmdbUrl("/search/person")).reply(personReply);
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params.with_cast).toBe("6193,380");
+            return [200, MOVIE_LIST];
+        });
+
+        const res = await request(app).get("/api/search?castId=6193&cast=Robert+De+Niro");
+        expect(res.status).toBe(200);
     });
-});
 
-// ===========================================================================
-// GET /api/search – TMDB error handling
-// ===========================================================================
-describe("GET /api/search – TMDB errors", () => {
-    it("returns 502 when TMDB is unreachable", async () => {
-        mock.onGet(tmdbUrl("/search/movie")).networkError();
-        const res = await request(app).get("/api/search?query=test");
-        expect(res.status).toBe(502);
+    it("treats director/directorId as crew aliases", async () => {
+        mock.onGet(tmdbUrl("/search/person")).reply(personReply);
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params.with_crew).toBe("137427|525");
+            return [200, MOVIE_LIST];
+        });
+
+        const res = await request(app).get("/api/search?directorId=137427&director=Christopher+Nolan&crewMode=OR");
+        expect(res.status).toBe(200);
     });
 
-    it("returns 502 on TMDB 500 response", async () => {
-        mock.onGet(tmdbUrl("/search/movie")).reply(500, { status_message: "Internal error" });
-        const res = await request(app).get("/api/search?query=test");
-        expect(res.status).toBe(502);
+    it("returns empty results in AND mode when any name is unknown", async () => {
+        mock.onGet(tmdbUrl("/search/person")).reply(personReply);
+
+        const res = await request(app).get("/api/search?cast=Robert+De+Niro,Nobody+Known");
+        expect(res.status).toBe(200);
+        expect(res.body.results).toEqual([]);
+        expect(mock.history.get.some((r) => r.url.includes("/discover/movie"))).toBe(false);
+    });
+
+    it("skips unknown names in OR mode", async () => {
+        mock.onGet(tmdbUrl("/search/person")).reply(personReply);
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params.with_cast).toBe("1158");
+            return [200, MOVIE_LIST];
+        });
+
+        const res = await request(app).get("/api/search?cast=Nobody+Known,Al+Pacino&castMode=or");
+        expect(res.status).toBe(200);
+        expect(res.body.results).toHaveLength(1);
+    });
+
+    it("400 for an invalid mode", async () => {
+        const res = await request(app).get("/api/search?cast=Al+Pacino&castMode=xor");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/castMode/);
+    });
+
+    it("400 when more than 10 people are combined", async () => {
+        const ids = Array.from({ length: 11 }, (_, i) => i + 1).join(",");
+        const res = await request(app).get(`/api/search?crewId=${ids}`);
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/at most 10/i);
     });
 });
 
 // ===========================================================================
-// GET /api/movie/:id
+// GET /api/search – rating / votes / runtime / language / sort
 // ===========================================================================
-describe("GET /api/movie/:id", () => {
-    const DETAIL = {
-        id: 27205,
-        title: "Inception",
-        genres: [{ id: 28, name: "Action" }],
-        credits: { cast: [{ id: 6193, name: "Leonardo DiCaprio", character: "Cobb" }], crew: [] },
-        videos: { results: [] },
-        images: { backdrops: [] },
-        reviews: { results: [] },
-        recommendations: { results: [] },
-    };
+describe("GET /api/search – discover filters", () => {
+    it("maps rating, votes, runtime, language and sort to discover params", async () => {
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params["vote_average.gte"]).toBe(7.5);
+            expect(config.params["vote_count.gte"]).toBe(1000);
+            expect(config.params["with_runtime.lte"]).toBe(120);
+            expect(config.params.with_original_language).toBe("ko");
+            expect(config.params.sort_by).toBe("vote_average.desc");
+            return [200, MOVIE_LIST];
+        });
 
-    it("returns movie data for valid ID", async () => {
-        mock.onGet(tmdbUrl("/movie/27205")).reply(200, DETAIL);
+        const res = await request(app).get(
+            "/api/search?minRating=7.5&minVotes=1000&maxRuntime=120&language=KO&sort=rating"
+        );
+        expect(res.status).toBe(200);
+        expect(res.body.results).toHaveLength(1);
+    });
 
-        const res = await request(app).get("/api/movie/27205");
+    it("defaults sort_by to popularity.desc", async () => {
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params.sort_by).toBe("popularity.desc");
+            return [200, MOVIE_LIST];
+        });
+
+        const res = await request(app).get("/api/search?genre=28");
         expect(res.status).toBe(200);
-        expect(res.body.title).toBe("Inception");
-        expect(res.body.credits.cast[0].name).toBe("Leonardo DiCaprio");
     });
 
-    it("400 for non-numeric ID", async () => {
-        const res = await request(app).get("/api/movie/abc");
+    it("honours an explicit sort direction", async () => {
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params.sort_by).toBe("primary_release_date.asc");
+            return [200, MOVIE_LIST];
+        });
+
+        const res = await request(app).get("/api/search?genre=28&sort=release_date.asc");
+        expect(res.status).toBe(200);
+    });
+
+    it("400 for an unknown sort key", async () => {
+        const res = await request(app).get("/api/search?genre=28&sort=budget");
         expect(res.status).toBe(400);
-        expect(res.body.error).toMatch(/invalid movie id/i);
+        expect(res.body.error).toMatch(/sort must be one of/);
     });
 
-    it("400 for ID of zero", async () => {
-        const res = await request(app).get("/api/movie/0");
+    it("400 for a rating above 10", async () => {
+        const res = await request(app).get("/api/search?minRating=11");
         expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/minRating/);
     });
 
-    it("returns 404 when TMDB returns 404", async () => {
-        mock.onGet(tmdbUrl("/movie/9999999")).reply(404, {
-            status_message: "The resource you requested could not be found.",
+    it("400 for a fractional vote count", async () => {
+        const res = await request(app).get("/api/search?minVotes=10.5");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/minVotes must be an integer/);
+    });
+
+    it("400 when minRuntime exceeds maxRuntime", async () => {
+        const res = await request(app).get("/api/search?minRuntime=150&maxRuntime=90");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/minRuntime cannot be greater/);
+    });
+
+    it("accepts originalLanguage as an alias of language", async () => {
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params.with_original_language).toBe("ko");
+            expect(config.params.language).toBeUndefined(); // not taken as the response locale
+            return [200, MOVIE_LIST];
         });
 
-        const res = await request(app).get("/api/movie/9999999");
-        expect(res.status).toBe(404);
-        expect(res.body.error).toMatch(/not found/i);
+        const res = await request(app).get("/api/search?originalLanguage=ko");
+        expect(res.status).toBe(200);
     });
 
-    it("returns 502 when TMDB is unreachable", async () => {
-        mock.onGet(tmdbUrl("/movie/1")).networkError();
-        const res = await request(app).get("/api/movie/1");
-        expect(res.status).toBe(502);
+    it("400 for a malformed original language code", async () => {
+        const res = await request(app).get("/api/search?language=korean");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/^language must be a two-letter/);
+    });
+
+    it("sort alone is not a search parameter", async () => {
+        const res = await request(app).get("/api/search?sort=rating");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/at least one/i);
     });
 });
 
 // ===========================================================================
-// GET /api/trending
+// GET /api/search – keyword IDs
 // ===========================================================================
-describe("GET /api/trending", () => {
-    it("returns trending movies", async () => {
-        mock.onGet(tmdbUrl("/trending/movie/week")).reply(200, MOVIE_LIST);
-        const res = await request(app).get("/api/trending");
+describe("GET /api/search – keywords", () => {
+    it("passes keyword IDs to with_keywords (AND by default)", async () => {
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params.with_keywords).toBe("9715,849");
+            return [200, MOVIE_LIST];
+        });
+
+        const res = await request(app).get("/api/search?keywords=9715,849");
         expect(res.status).toBe(200);
         expect(res.body.results).toHaveLength(1);
     });
 
-    it("returns 502 when TMDB is unreachable", async () => {
-        mock.onGet(tmdbUrl("/trending/movie/week")).networkError();
-        const res = await request(app).get("/api/trending");
-        expect(res.status).toBe(502);
+    it("joins keyword IDs with pipes in OR mode", async () => {
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params.with_keywords).toBe("9715|849");
+            return [200, MOVIE_LIST];
+        });
+
+        const res = await request(app).get("/api/search?keywords=9715&keywords=849&keywordMode=or");
+        expect(res.status).toBe(200);
+    });
+
+    it("400 for keyword text instead of IDs", async () => {
+        const res = await request(app).get("/api/search?keywords=superhero");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/keyword IDs/);
+    });
+
+    it("400 when keywords are combined with a title query", async () => {
+        const res = await request(app).get("/api/search?query=batman&keywords=9715");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/cannot be combined with a title/);
+    });
+});
+
+// ===========================================================================
+// GET /api/search – combined fields
+// ===========================================================================
+describe("GET /api/search – combined fields", () => {
+    const BATMAN_RESULTS = {
+        results: [
+            { id: 155, title: "The Dark Knight", genre_ids: [18, 28], release_date: "2008-07-16", vote_average: 8.5 },
+            { id: 2661, title: "Batman", genre_ids: [35], release_date: "1966-07-30", vote_average: 6.3 },
+            { id: 268, title: "Batman", genre_ids: [14, 28], release_date: "1989-06-21", vote_average: 7.2 },
+        ],
+        total_results: 3,
+        total_pages: 1,
+    };
+
+    it("title + genre searches by title and keeps only matching genres", async () => {
+        mock.onGet(tmdbUrl("/search/movie")).reply((config) => {
+            expect(config.params.query).toBe("batman");
+            return [200, BATMAN_RESULTS];
+        });
+
+        const res = await request(app).get("/api/search?query=batman&genre=28");
+        expect(res.status).toBe(200);
+        expect(res.body.results.map((m) => m.id)).toEqual([155, 268]);
+        expect(res.body.total_results).toBe(2);
+        expect(mock.history.get.some((r) => r.url.includes("/discover/movie"))).toBe(false);
+    });
+
+    it("title + year + genre passes the year to /search/movie and filters genre", async () => {
+        mock.onGet(tmdbUrl("/search/movie")).reply((config) => {
+            expect(config.params.primary_release_year).toBe("2008");
+            return [200, { ...BATMAN_RESULTS, results: BATMAN_RESULTS.results.slice(0, 1) }];
+        });
+
+        const res = await request(app).get("/api/search?query=batman&genre=28&year=2008");
+        expect(res.status).toBe(200);
+        expect(res.body.results).toHaveLength(1);
+    });
+
+    it("title + cast keeps movies from the person's credits", async () => {
+        mock.onGet(tmdbUrl("/search/movie")).reply(200, BATMAN_RESULTS);
+        mock.onGet(tmdbUrl("/person/3894/movie_credits")).reply(200, {
+            cast: [{ id: 155 }, { id: 272 }],
+            crew: [],
+        });
+
+        const res = await request(app).get("/api/search?query=batman&castId=3894");
+        expect(res.status).toBe(200);
+        expect(res.body.results.map((m) => m.id)).toEqual([155]);
+    });
+
+    it("title + sort orders matches locally", async () => {
+        mock.onGet(tmdbUrl("/search/movie")).reply(200, BATMAN_RESULTS);
+
+        const res = await request(app).get("/api/search?query=batman&sort=release_date.asc");
+        expect(res.status).toBe(200);
+        expect(res.body.results.map((m) => m.id)).toEqual([2661, 268, 155]);
+    });
+
+    it("title + filters scans several title pages and paginates matches", async () => {
+        mock.onGet(tmdbUrl("/search/movie")).reply((config) => {
+            const page = config.params.page;
+            const results = Array.from({ length: 20 }, (_, i) => ({
+                id: page * 100 + i,
+                title: `Batman ${page}-${i}`,
+                genre_ids: i % 2 === 0 ? [28] : [35],
+            }));
+            return [200, { results, total_results: 200, total_pages: 10 }];
+        });
+
+        const res = await request(app).get("/api/search?query=batman&genre=28&page=2");
+        expect(res.status).toBe(200);
+        // 5 scanned pages × 10 action films = 50 matches → 3 pages of 20
+        expect(res.body.total_results).toBe(50);
+        expect(res.body.total_pages).toBe(3);
+        expect(res.body.results).toHaveLength(20);
+        expect(res.body.page).toBe(2);
+        expect(mock.history.get.filter((r) => r.url.includes("/search/movie"))).toHaveLength(5);
+    });
+
+    it("400 when a title is combined with a runtime filter", async () => {
+        const res = await request(app).get("/api/search?query=batman&maxRuntime=120");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/cannot be combined with a title/);
+    });
+
+    it("cast + director resolves both person IDs", async () => {
+        const actorResult = { results: [{ id: 100, name: "Actor A" }] };
+        const directorResult = { results: [{ id: 200, name: "Director B" }] };
+
+        // First person search → cast, second → director
+        mock.onGet(tmdbUrl("/search/person")).replyOnce(200, actorResult);
+        mock.onGet(tmdbUrl("/search/person")).replyOnce(200, directorResult);
+
+        mock.onGet(tmdbUrl("/discover/movie")).reply((config) => {
+            expect(config.params.with_cast).toBe("100");
+            expect(config.params.with_crew).toBe("200");
+            return [200, MOVIE_LIST];
+        });
+
+        const res = await request(app).get("/api/search?cast=Actor+A&director=Director+B");
+        expect(res.status).toBe(200);
+        expect(res.body.results).toHaveLength(1);
+    });
+});
+
+// ===========================================================================
+// GET /api/search – caching
+// ===========================================================================
+describe("GET /api/search – caching", () => {
+    it("serves second identical request from cache (axios called only once)", async () => {
+        let callCount = 0;
+        mock.onGet(tmdbUrl("/search/movie")).reply(() => {
+            callCount++;
+            return [200, MOVIE_LIST];
+        });
+
+        await request(app).get("/api/search?query=Inception");
+        await request(app).get("/api/search?query=Inception");
+
+        expect(callCount).toBe(1);
+    });
+});
+
+// ===========================================================================
+// GET /api/search – TMDB error handling
+// ===========================================================================
+describe("GET /api/search – TMDB errors", () => {
+    it("returns 502 when TMDB is unreachable", async () => {
+        mock.onGet(tmdbUrl("/search/movie")).networkError();
+        const res = await request(app).get("/api/search?query=test");
+        expect(res.status).toBe(502);
+    });
+
+    it("returns 502 on TMDB 500 response", async () => {
+        mock.onGet(tmdbUrl("/search/movie")).reply(500, { status_message: "Internal error" });
+        const res = await request(app).get("/api/search?query=test");
+        expect(res.status).toBe(502);
+    });
+});
+
+// ===========================================================================
+// GET /api/people/search
+// ===========================================================================
+describe("GET /api/people/search", () => {
+    const PEOPLE = {
+        results: [
+            {
+                id: 1,
+                name: "Chris Evans",
+                known_for_department: "Directing",
+                popularity: 2.1,
+                profile_path: null,
+                known_for: [],
+            },
+            {
+                id: 16828,
+                name: "Chris Evans",
+                known_for_department: "Acting",
+                popularity: 45.3,
+                profile_path: "/evans.jpg",
+                known_for: [
+                    { id: 1771, media_type: "movie", title: "Captain America", release_date: "2011-07-22" },
+                    { id: 1399, media_type: "tv", name: "Some Show", first_air_date: "2001-01-01" },
+                ],
+            },
+        ],
+        total_results: 2,
+        total_pages: 1,
+    };
+
+    it("returns candidates ranked by popularity with known-for titles", async () => {
+        mock.onGet(tmdbUrl("/search/person")).reply(200, PEOPLE);
+
+        const res = await request(app).get("/api/people/search?query=Chris+Evans");
+        expect(res.status).toBe(200);
+        expect(res.body.results.map((p) => p.id)).toEqual([16828, 1]);
+        expect(res.body.results[0]).toMatchObject({
+            name: "Chris Evans",
+            department: "Acting",
+            profile_path: "/evans.jpg",
+        });
+        expect(res.body.results[0].known_for).toEqual([
+            { id: 1771, media_type: "movie", title: "Captain America", year: "2011" },
+            { id: 1399, media_type: "tv", title: "Some Show", year: "2001" },
+        ]);
+    });
+
+    it("ranks the preferred department first", async () => {
+        mock.onGet(tmdbUrl("/search/person")).reply(200, PEOPLE);
+
+        const res = await request(app).get("/api/people/search?query=Chris+Evans&department=Directing");
+        expect(res.status).toBe(200);
+        expect(res.body.results[0].id).toBe(1);
+    });
+
+    it("400 when query is missing", async () => {
+        const res = await request(app).get("/api/people/search");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/query/i);
+    });
+
+    it("400 for query exceeding 100 chars", async () => {
+        const res = await request(app).get(`/api/people/search?query=${"a".repeat(101)}`);
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/too long/i);
+    });
+
+    it("returns 502 when TMDB is unreachable", async () => {
+        mock.onGet(tmdbUrl("/search/person")).networkError();
+        const res = await request(app).get("/api/people/search?query=Nolan");
+        expect(res.status).toBe(502);
+    });
+});
+
+// ===========================================================================
+// GET /api/keywords
+// ===========================================================================
+describe("GET /api/keywords", () => {
+    it("returns keyword IDs and names from /search/keyword", async () => {
+        mock.onGet(tmdbUrl("/search/keyword")).reply((config) => {
+            expect(config.params.query).toBe("superhero");
+            return [200, { results: [{ id: 9715, name: "superhero" }], total_results: 1, total_pages: 1 }];
+        });
+
+        const res = await request(app).get("/api/keywords?query=superhero");
+        expect(res.status).toBe(200);
+        expect(res.body.results).toEqual([{ id: 9715, name: "superhero" }]);
+        expect(res.body.page).toBe(1);
+    });
+
+    it("400 when query is missing", async () => {
+        const res = await request(app).get("/api/keywords");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/query/i);
+    });
+
+    it("returns 502 when TMDB is unreachable", async () => {
+        mock.onGet(tmdbUrl("/search/keyword")).networkError();
+        const res = await request(app).get("/api/keywords?query=heist");
+        expect(res.status).toBe(502);
+    });
+});
+
+// ===========================================================================
+// GET /api/movie/:id
+// ===========================================================================
+describe("GET /api/movie/:id", () => {
+    const DETAIL = {
+        id: 27205,
+        title: "Inception",
+        genres: [{ id: 28, name: "Action" }],
+        credits: { cast: [{ id: 6193, name: "Leonardo DiCaprio", character: "Cobb" }], crew: [] },
+        videos: { results: [] },
+        images: { backdrops: [] },
+        reviews: { results: [] },
+        recommendations: { results: [] },
+    };
+
+    it("returns movie data for valid ID", async () => {
+        mock.onGet(tmdbUrl("/movie/27205")).reply(200, DETAIL);
+
+        const res = await request(app).get("/api/movie/27205");
+        expect(res.status).toBe(200);
+        expect(res.body.title).toBe("Inception");
+        expect(res.body.credits.cast[0].name).toBe("Leonardo DiCaprio");
+    });
+
+    it("400 for non-numeric ID", async () => {
+        const res = await request(app).get("/api/movie/abc");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/invalid movie id/i);
+    });
+
+    it("400 for ID of zero", async () => {
+        const res = await request(app).get("/api/movie/0");
+        expect(res.status).toBe(400);
+    });
+
+    it("returns 404 when TMDB returns 404", async () => {
+        mock.onGet(tmdbUrl("/movie/9999999")).reply(404, {
+            status_message: "The resource you requested could not be found.",
+        });
+
+        const res = await request(app).get("/api/movie/9999999");
+        expect(res.status).toBe(404);
+        expect(res.body.error).toMatch(/not found/i);
+    });
+
+    it("returns 502 when TMDB is unreachable", async () => {
+        mock.onGet(tmdbUrl("/movie/1")).networkError();
+        const res = await request(app).get("/api/movie/1");
+        expect(res.status).toBe(502);
+    });
+
+    it("returns only the sections named in include", async () => {
+        mock.onGet(tmdbUrl("/movie/27205")).reply(200, DETAIL);
+
+        const some = await request(app).get("/api/movie/27205").query({ include: "credits,reviews" });
+        expect(some.status).toBe(200);
+        expect(Object.keys(some.body)).toEqual(["id", "title", "genres", "credits", "reviews"]);
+
+        const none = await request(app).get("/api/movie/27205").query({ include: "" });
+        expect(none.body).toEqual({ id: 27205, title: "Inception", genres: [{ id: 28, name: "Action" }] });
+
+        // Every shape comes from the same cached TMDB response
+        expect(mock.history.get).toHaveLength(1);
+        expect(mock.history.get[0].params.append_to_response).toBe("credits,videos,images,recommendations,reviews");
+    });
+
+    it("trims fields and sections with view=card", async () => {
+        const crew = [
+            { id: 525, name: "Christopher Nolan", job: "Director", department: "Directing" },
+            { id: 947, name: "Hans Zimmer", job: "Original Music Composer", department: "Sound" },
+        ];
+        mock.onGet(tmdbUrl("/movie/27205")).reply(200, {
+            ...DETAIL,
+            production_companies: [{ id: 923, name: "Legendary Pictures" }],
+            credits: {
+                cast: Array.from({ length: 30 }, (_, i) => ({ id: i, name: `Actor ${i}`, character: "X", order: i })),
+                crew,
+            },
+            videos: {
+                results: [
+                    { key: "vimeo1", site: "Vimeo", name: "Teaser" },
+                    ...Array.from({ length: 6 }, (_, i) => ({ key: `yt${i}`, site: "YouTube", name: "Trailer" })),
+                ],
+            },
+            images: { backdrops: Array.from({ length: 25 }, (_, i) => ({ file_path: `/b${i}.jpg`, vote_count: 3 })) },
+            reviews: {
+                results: Array.from({ length: 5 }, (_, i) => ({ id: `r${i}`, author: "a", content: "c" })),
+                total_results: 5,
+            },
+        });
+
+        const res = await request(app).get("/api/movie/27205").query({ view: "card" });
+        expect(res.status).toBe(200);
+        expect(res.body).not.toHaveProperty("production_companies");
+        expect(res.body.credits.cast).toHaveLength(12);
+        expect(res.body.credits.cast[0]).toEqual({ id: 0, name: "Actor 0", character: "X" });
+        expect(res.body.credits.crew).toEqual([{ id: 525, name: "Christopher Nolan", job: "Director" }]);
+        expect(res.body.videos.results.map((v) => v.key)).toEqual(["yt0", "yt1", "yt2", "yt3"]);
+        expect(res.body.images.backdrops).toHaveLength(10);
+        expect(res.body.images.backdrops[0]).toEqual({ file_path: "/b0.jpg" });
+        expect(res.body.reviews).toMatchObject({ total_results: 5 });
+        expect(res.body.reviews.results).toHaveLength(3);
+        expect(res.body.reviews.results[0].author_details).toEqual({ rating: null });
+    });
+
+    it("400 for an unknown include section or view", async () => {
+        const section = await request(app).get("/api/movie/27205").query({ include: "credits,keywords" });
+        expect(section.status).toBe(400);
+        expect(section.body.error).toMatch(/include/);
+
+        const view = await request(app).get("/api/movie/27205").query({ view: "tiny" });
+        expect(view.status).toBe(400);
+        expect(view.body.error).toMatch(/view must be one of full, card/);
+    });
+});
+
+// ===========================================================================
+// Movie sections: /api/movie/:id/{credits,images,videos,reviews,recommendations}
+// ===========================================================================
+describe("Movie section routes", () => {
+    const DETAIL = {
+        id: 27205,
+        title: "Inception",
+        credits: {
+            cast: Array.from({ length: 45 }, (_, i) => ({ id: i, name: `Actor ${i}` })),
+            crew: [{ id: 525, name: "Christopher Nolan", job: "Director" }],
+        },
+        images: { backdrops: [{ file_path: "/b.jpg" }], posters: [{ file_path: "/p1.jpg" }, { file_path: "/p2.jpg" }] },
+        videos: { results: [{ key: "yt0", site: "YouTube" }] },
+    };
+
+    it("pages through the cast, defaulting to 20 per page", async () => {
+        mock.onGet(tmdbUrl("/movie/27205")).reply(200, DETAIL);
+
+        const first = await request(app).get("/api/movie/27205/credits");
+        expect(first.status).toBe(200);
+        expect(first.body).toMatchObject({ id: 27205, role: "cast", page: 1, per_page: 20, total_pages: 3 });
+        expect(first.body.total_results).toBe(45);
+        expect(first.body.results).toHaveLength(20);
+
+        const last = await request(app).get("/api/movie/27205/credits").query({ page: 3 });
+        expect(last.body.results.map((c) => c.id)).toEqual([40, 41, 42, 43, 44]);
+
+        const crew = await request(app).get("/api/movie/27205/credits").query({ role: "crew" });
+        expect(crew.body.results).toEqual(DETAIL.credits.crew);
+        expect(mock.history.get).toHaveLength(1); // shares the details cache entry
+    });
+
+    it("serves images by type and videos, with per_page", async () => {
+        mock.onGet(tmdbUrl("/movie/27205")).reply(200, DETAIL);
+
+        const posters = await request(app).get("/api/movie/27205/images").query({ type: "posters", per_page: 1 });
+        expect(posters.body).toMatchObject({ type: "posters", total_pages: 2, results: [{ file_path: "/p1.jpg" }] });
+
+        const videos = await request(app).get("/api/movie/27205/videos");
+        expect(videos.body).toMatchObject({ page: 1, total_results: 1, results: [{ key: "yt0" }] });
+    });
+
+    it("passes reviews and recommendations pages through to TMDB", async () => {
+        mock.onGet(tmdbUrl("/movie/27205/reviews")).reply(200, {
+            page: 2,
+            results: [{ id: "r21", author: "a" }],
+            total_pages: 2,
+            total_results: 21,
+        });
+        const res = await request(app).get("/api/movie/27205/reviews").query({ page: 2 });
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({
+            id: 27205,
+            page: 2,
+            results: [{ id: "r21", author: "a" }],
+            total_pages: 2,
+            total_results: 21,
+        });
+        expect(mock.history.get[0].params.page).toBe(2);
+    });
+
+    it("400 for bad paging or an unknown role/type", async () => {
+        expect((await request(app).get("/api/movie/27205/credits").query({ per_page: 101 })).status).toBe(400);
+        expect((await request(app).get("/api/movie/27205/images").query({ page: 0 })).status).toBe(400);
+        const role = await request(app).get("/api/movie/27205/credits").query({ role: "writers" });
+        expect(role.status).toBe(400);
+        expect(role.body.error).toBe("role must be one of cast, crew.");
+        expect((await request(app).get("/api/movie/abc/recommendations")).status).toBe(400);
+    });
+
+    it("404 for an unknown movie, 502 when TMDB fails", async () => {
+        mock.onGet(tmdbUrl("/movie/999999")).reply(404);
+        expect((await request(app).get("/api/movie/999999/credits")).status).toBe(404);
+
+        mock.onGet(tmdbUrl("/movie/1/recommendations")).networkError();
+        const res = await request(app).get("/api/movie/1/recommendations");
+        expect(res.status).toBe(502);
+        expect(res.body.error).toBe("Failed to fetch movie recommendations from TMDB.");
+    });
+});
+
+// ===========================================================================
+// GET /api/movie/:id/providers
+// ===========================================================================
+describe("GET /api/movie/:id/providers", () => {
+    const PROVIDERS = {
+        id: 27205,
+        results: {
+            US: {
+                link: "https://www.themoviedb.org/movie/27205/watch?locale=US",
+                flatrate: [
+                    { provider_id: 8, provider_name: "Netflix", logo_path: "/n.jpg", display_priority: 5 },
+                    { provider_id: 337, provider_name: "Disney Plus", logo_path: "/d.jpg", display_priority: 1 },
+                ],
+                rent: [{ provider_id: 2, provider_name: "Apple TV", logo_path: "/a.jpg", display_priority: 4 }],
+            },
+            BE: {
+                link: "https://www.themoviedb.org/movie/27205/watch?locale=BE",
+                buy: [{ provider_id: 2, provider_name: "Apple TV", logo_path: "/a.jpg", display_priority: 3 }],
+            },
+        },
+    };
+
+    beforeEach(() => {
+        mock.onGet(tmdbUrl("/movie/27205/watch/providers")).reply(200, PROVIDERS);
+    });
+
+    it("defaults to the US region and groups offers by type in display order", async () => {
+        const res = await request(app).get("/api/movie/27205/providers");
+        expect(res.status).toBe(200);
+        expect(res.body.region).toBe("US");
+        expect(res.body.flatrate.map((p) => p.provider_name)).toEqual(["Disney Plus", "Netflix"]);
+        expect(res.body.rent).toHaveLength(1);
+        expect(res.body.buy).toEqual([]);
+        expect(res.body.available_regions).toEqual(["BE", "US"]);
+    });
+
+    it("accepts a lower-case region and keys the cache by region", async () => {
+        await request(app).get("/api/movie/27205/providers");
+        await request(app).get("/api/movie/27205/providers?region=US");
+        const res = await request(app).get("/api/movie/27205/providers?region=be");
+        expect(res.body.region).toBe("BE");
+        expect(res.body.buy[0].provider_name).toBe("Apple TV");
+        expect(res.body.link).toMatch(/locale=BE/);
+        expect(mock.history.get.map((c) => c.params.region)).toEqual(["US", "BE"]);
+    });
+
+    it("returns empty offer lists for a region without offers", async () => {
+        const res = await request(app).get("/api/movie/27205/providers?region=JP");
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ link: null, flatrate: [], rent: [], buy: [] });
+    });
+
+    it("400 for an invalid region", async () => {
+        const res = await request(app).get("/api/movie/27205/providers?region=USA");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/region/i);
+    });
+
+    it("returns 404 when TMDB returns 404", async () => {
+        mock.onGet(tmdbUrl("/movie/1/watch/providers")).reply(404, {});
+        const res = await request(app).get("/api/movie/1/providers");
+        expect(res.status).toBe(404);
+    });
+});
+
+// ===========================================================================
+// GET /api/collection/:id
+// ===========================================================================
+describe("GET /api/collection/:id", () => {
+    const COLLECTION = {
+        id: 263,
+        name: "The Dark Knight Collection",
+        parts: [
+            { id: 49026, title: "The Dark Knight Rises", release_date: "2012-07-17", vote_average: 7.8, vote_count: 100 },
+            { id: 272, title: "Batman Begins", release_date: "2005-06-10", vote_average: 7.7, vote_count: 100 },
+            { id: 155, title: "The Dark Knight", release_date: "2008-07-16", vote_average: 8.5, vote_count: 100 },
+            { id: 999, title: "Untitled Sequel", release_date: "", vote_average: 0, vote_count: 0 },
+        ],
+    };
+    const DETAILS = {
+        272: { runtime: 140, revenue: 373661946, budget: 150000000 },
+        155: { runtime: 152, revenue: 1004558444, budget: 185000000 },
+        49026: { runtime: 165, revenue: 1081041287, budget: 250000000 },
+        999: {},
+    };
+
+    beforeEach(() => {
+        mock.onGet(tmdbUrl("/collection/263")).reply(200, COLLECTION);
+        mock.onGet(/api\.themoviedb\.org.*\/movie\/\d+$/).reply((config) => {
+            const id = config.url.split("/").pop();
+            return [200, { id: Number(id), ...DETAILS[id] }];
+        });
+    });
+
+    it("returns parts in release order with undated films last", async () => {
+        const res = await request(app).get("/api/collection/263");
+        expect(res.status).toBe(200);
+        expect(res.body.parts.map((p) => p.id)).toEqual([272, 155, 49026, 999]);
+        expect(res.body.parts[0].runtime).toBe(140);
+    });
+
+    it("aggregates runtime, box office and average rating", async () => {
+        const res = await request(app).get("/api/collection/263");
+        expect(res.body.totals).toEqual({
+            films: 4,
+            runtime: 457,
+            revenue: 373661946 + 1004558444 + 1081041287,
+            budget: 585000000,
+            average_rating: 8,
+        });
+    });
+
+    it("shares the movie-details cache entry with /api/movie/:id", async () => {
+        await request(app).get("/api/collection/263");
+        const calls = mock.history.get.length;
+        const res = await request(app).get("/api/movie/155");
+        expect(res.status).toBe(200);
+        expect(mock.history.get).toHaveLength(calls);
+        expect(mock.history.get.find((c) => c.url.endsWith("/movie/155")).params.append_to_response).toMatch(/credits/);
+    });
+
+    it("400 for non-numeric ID", async () => {
+        const res = await request(app).get("/api/collection/abc");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/invalid collection id/i);
+    });
+
+    it("returns 404 when TMDB returns 404", async () => {
+        mock.onGet(tmdbUrl("/collection/1")).reply(404, {});
+        const res = await request(app).get("/api/collection/1");
+        expect(res.status).toBe(404);
+    });
+});
+
+// ===========================================================================
+// GET /api/person/:id
+// ===========================================================================
+describe("GET /api/person/:id", () => {
+    const PERSON = {
+        id: 525,
+        name: "Christopher Nolan",
+        biography: "British-American filmmaker.",
+        movie_credits: { cast: [], crew: [{ id: 27205, title: "Inception", job: "Director" }] },
+        images: { profiles: [] },
+        external_ids: { imdb_id: "nm0634240" },
+    };
+
+    it("returns person data with credits, images and external IDs", async () => {
+        mock.onGet(tmdbUrl("/person/525")).reply((config) => {
+            expect(config.params.append_to_response).toBe("movie_credits,images,external_ids");
+            return [200, PERSON];
+        });
+
+        const res = await request(app).get("/api/person/525");
+        expect(res.status).toBe(200);
+        expect(res.body.name).toBe("Christopher Nolan");
+        expect(res.body.movie_credits.crew[0].job).toBe("Director");
+    });
+
+    it("400 for non-numeric ID", async () => {
+        const res = await request(app).get("/api/person/nolan");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/invalid person id/i);
+    });
+
+    it("returns 404 when TMDB returns 404", async () => {
+        mock.onGet(tmdbUrl("/person/9999999")).reply(404, { status_message: "Not found" });
+        const res = await request(app).get("/api/person/9999999");
+        expect(res.status).toBe(404);
+        expect(res.body.error).toMatch(/not found/i);
+    });
+
+    it("returns 502 when TMDB is unreachable", async () => {
+        mock.onGet(tmdbUrl("/person/1")).networkError();
+        const res = await request(app).get("/api/person/1");
+        expect(res.status).toBe(502);
+    });
+});
+
+// ===========================================================================
+// TV series
+// ===========================================================================
+describe("GET /api/tv/search", () => {
+    const TV_LIST = {
+        results: [
+            { id: 1396, name: "Breaking Bad", first_air_date: "2008-01-20", genre_ids: [18, 80] },
+            { id: 60059, name: "Better Call Saul", first_air_date: "2015-02-08", genre_ids: [80] },
+        ],
+        total_results: 2,
+        total_pages: 1,
+    };
+
+    it("uses /search/tv for name searches with first_air_date_year", async () => {
+        mock.onGet(tmdbUrl("/search/tv")).reply((config) => {
+            expect(config.params.query).toBe("breaking");
+            expect(config.params.first_air_date_year).toBe("2008");
+            return [200, TV_LIST];
+        });
+
+        const res = await request(app).get("/api/tv/search?query=breaking&year=2008");
+        expect(res.status).toBe(200);
+        expect(res.body.results).toHaveLength(2);
+    });
+
+    it("uses /discover/tv for genre-only searches", async () => {
+        mock.onGet(tmdbUrl("/discover/tv")).reply((config) => {
+            expect(config.params.with_genres).toBe("80");
+            return [200, TV_LIST];
+        });
+
+        const res = await request(app).get("/api/tv/search?genre=80");
+        expect(res.status).toBe(200);
+    });
+
+    it("keeps only name matches carrying the genre", async () => {
+        mock.onGet(tmdbUrl("/search/tv")).reply(200, TV_LIST);
+
+        const res = await request(app).get("/api/tv/search?query=bad&genre=18");
+        expect(res.status).toBe(200);
+        expect(res.body.results.map((t) => t.id)).toEqual([1396]);
+        expect(res.body.total_results).toBe(1);
+        expect(res.body.total_pages).toBe(1);
+    });
+
+    it("name + genre scans several name pages and reports totals for the filtered set", async () => {
+        const pageOf = (p) => ({
+            results: Array.from({ length: 20 }, (_, i) => ({
+                id: p * 100 + i,
+                name: `Show ${p}-${i}`,
+                genre_ids: i % 4 === 0 ? [18] : [35],
+            })),
+            total_results: 400,
+            total_pages: 20,
+        });
+        mock.onGet(tmdbUrl("/search/tv")).reply((config) => [200, pageOf(config.params.page)]);
+
+        const res = await request(app).get("/api/tv/search?query=show&genre=18&page=2");
+        expect(res.status).toBe(200);
+        // 5 of 20 per page, over the 5 scanned pages → 25 matches, the last 5 on page 2
+        expect(res.body.total_results).toBe(25);
+        expect(res.body.total_pages).toBe(2);
+        expect(res.body.page).toBe(2);
+        expect(res.body.results).toHaveLength(5);
+        expect(res.body.results.every((t) => t.genre_ids.includes(18))).toBe(true);
+        expect(mock.history.get.filter((c) => /search\/tv/.test(c.url))).toHaveLength(5);
+    });
+
+    it("400 when no search parameters provided", async () => {
+        const res = await request(app).get("/api/tv/search");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/at least one/i);
+    });
+
+    it("400 for invalid year", async () => {
+        const res = await request(app).get("/api/tv/search?query=x&year=1700");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/invalid year/i);
+    });
+
+    it("returns 502 when TMDB is unreachable", async () => {
+        mock.onGet(tmdbUrl("/search/tv")).networkError();
+        const res = await request(app).get("/api/tv/search?query=lost");
+        expect(res.status).toBe(502);
+    });
+});
+
+describe("GET /api/tv/:id", () => {
+    it("returns series details with seasons, credits and videos", async () => {
+        mock.onGet(tmdbUrl("/tv/1396")).reply((config) => {
+            expect(config.params.append_to_response).toMatch(/credits,videos/);
+            return [200, { id: 1396, name: "Breaking Bad", seasons: [{ season_number: 1 }] }];
+        });
+
+        const res = await request(app).get("/api/tv/1396");
+        expect(res.status).toBe(200);
+        expect(res.body.seasons).toHaveLength(1);
+    });
+
+    it("400 for non-numeric ID", async () => {
+        const res = await request(app).get("/api/tv/abc");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/invalid tv series id/i);
+    });
+
+    it("returns 404 when TMDB returns 404", async () => {
+        mock.onGet(tmdbUrl("/tv/9999999")).reply(404, {});
+        const res = await request(app).get("/api/tv/9999999");
+        expect(res.status).toBe(404);
+    });
+});
+
+describe("GET /api/tv/:id/season/:n", () => {
+    it("returns the season's episodes", async () => {
+        mock.onGet(tmdbUrl("/tv/1396/season/1")).reply(200, {
+            season_number: 1,
+            episodes: [{ episode_number: 1, name: "Pilot" }],
+        });
+
+        const res = await request(app).get("/api/tv/1396/season/1");
+        expect(res.status).toBe(200);
+        expect(res.body.episodes[0].name).toBe("Pilot");
+    });
+
+    it("accepts season 0 (specials)", async () => {
+        mock.onGet(tmdbUrl("/tv/1396/season/0")).reply(200, { season_number: 0, episodes: [] });
+        const res = await request(app).get("/api/tv/1396/season/0");
+        expect(res.status).toBe(200);
+    });
+
+    it("400 for a negative season number", async () => {
+        const res = await request(app).get("/api/tv/1396/season/-1");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/invalid season/i);
+    });
+
+    it("returns 404 when the season does not exist", async () => {
+        mock.onGet(tmdbUrl("/tv/1396/season/99")).reply(404, {});
+        const res = await request(app).get("/api/tv/1396/season/99");
+        expect(res.status).toBe(404);
+        expect(res.body.error).toMatch(/season not found/i);
+    });
+});
+
+describe("GET /api/tv/trending and /api/tv/genres", () => {
+    it("returns trending series", async () => {
+        mock.onGet(tmdbUrl("/trending/tv/week")).reply(200, MOVIE_LIST);
+        const res = await request(app).get("/api/tv/trending");
+        expect(res.status).toBe(200);
+    });
+
+    it("returns the TV genre list", async () => {
+        mock.onGet(tmdbUrl("/genre/tv/list")).reply(200, { genres: [{ id: 18, name: "Drama" }] });
+        const res = await request(app).get("/api/tv/genres");
+        expect(res.status).toBe(200);
+        expect(res.body.genres[0].name).toBe("Drama");
+    });
+});
+
+// ===========================================================================
+// GET /api/trending
+// ===========================================================================
+describe("GET /api/trending", () => {
+    it("returns trending movies", async () => {
+        mock.onGet(tmdbUrl("/trending/movie/week")).reply(200, MOVIE_LIST);
+        const res = await request(app).get("/api/trending");
+        expect(res.status).toBe(200);
+        expect(res.body.results).toHaveLength(1);
+    });
+
+    it("returns 502 when TMDB is unreachable", async () => {
+        mock.onGet(tmdbUrl("/trending/movie/week")).networkError();
+        const res = await request(app).get("/api/trending");
+        expect(res.status).toBe(502);
+    });
+});
+
+// ===========================================================================
+// /api/lists
+// ===========================================================================
+describe("/api/lists", () => {
+    const createList = async (name = "Friday picks") => (await request(app).post("/api/lists").send({ name })).body;
+    const readStore = () => JSON.parse(fs.readFileSync(`${DATA_DIR}/lists.json`, "utf8"));
+
+    it("creates a list and persists it to the data dir", async () => {
+        const res = await request(app).post("/api/lists").send({ name: "  Team watchlist " });
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ name: "Team watchlist", items: [] });
+        expect(res.body.id).toEqual(expect.any(String));
+        expect(readStore().lists.map((l) => l.id)).toContain(res.body.id);
+    });
+
+    it("lists summaries with item counts", async () => {
+        const list = await createList("Counted");
+        await request(app).post(`/api/lists/${list.id}/items`).send({ movieId: 27205 });
+
+        const res = await request(app).get("/api/lists");
+        expect(res.status).toBe(200);
+        const summary = res.body.results.find((l) => l.id === list.id);
+        expect(summary).toMatchObject({ name: "Counted", item_count: 1 });
+        expect(summary.items).toBeUndefined();
+    });
+
+    it("renames a list", async () => {
+        const list = await createList();
+        const res = await request(app).patch(`/api/lists/${list.id}`).send({ name: "Saturday picks" });
+        expect(res.status).toBe(200);
+        expect(res.body.name).toBe("Saturday picks");
+    });
+
+    it("adds, annotates and removes movies", async () => {
+        const list = await createList();
+
+        const added = await request(app).post(`/api/lists/${list.id}/items`).send({ movieId: 27205, note: "Sam's pick" });
+        expect(added.status).toBe(201);
+        expect(added.body).toMatchObject({ movie_id: 27205, note: "Sam's pick" });
+        expect(added.body.added_at).toEqual(expect.any(String));
+
+        const noted = await request(app).patch(`/api/lists/${list.id}/items/27205`).send({ note: "Watched!" });
+        expect(noted.body.note).toBe("Watched!");
+
+        const removed = await request(app).delete(`/api/lists/${list.id}/items/27205`);
+        expect(removed.status).toBe(204);
+        const res = await request(app).get(`/api/lists/${list.id}`);
+        expect(res.body.items).toEqual([]);
+    });
+
+    it("409 when a movie is added twice", async () => {
+        const list = await createList();
+        await request(app).post(`/api/lists/${list.id}/items`).send({ movieId: 155 });
+        const res = await request(app).post(`/api/lists/${list.id}/items`).send({ movieId: 155 });
+        expect(res.status).toBe(409);
+    });
+
+    it("deletes a list", async () => {
+        const list = await createList();
+        expect((await request(app).delete(`/api/lists/${list.id}`)).status).toBe(204);
+        expect((await request(app).get(`/api/lists/${list.id}`)).status).toBe(404);
+    });
+
+    it("400 for a missing name or an invalid movie ID", async () => {
+        const list = await createList();
+        expect((await request(app).post("/api/lists").send({ name: " " })).status).toBe(400);
+        const res = await request(app).post(`/api/lists/${list.id}/items`).send({ movieId: "abc" });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/movieId/);
+    });
+
+    it("404 for an unknown list or item", async () => {
+        expect((await request(app).get("/api/lists/nope")).status).toBe(404);
+        expect((await request(app).post("/api/lists/nope/items").send({ movieId: 1 })).status).toBe(404);
+        const list = await createList();
+        expect((await request(app).delete(`/api/lists/${list.id}/items/1`)).status).toBe(404);
+    });
+});
+
+// ===========================================================================
+// /api/import
+// ===========================================================================
+describe("/api/import", () => {
+    const startImport = (csv) => request(app).post("/api/import").set("Content-Type", "text/csv").send(csv);
+
+    async function finishedImport(id) {
+        for (let i = 0; i < 100; i++) {
+            const res = await request(app).get(`/api/import/${id}`);
+            if (res.body.status === "done") return res.body;
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        throw new Error("import did not finish");
+    }
+
+    const SEARCH = {
+        Inception: [{ id: 27205, title: "Inception", release_date: "2010-07-15" }],
+        "Crouching Tiger, Hidden Dragon": [
+            { id: 146, title: "Crouching Tiger, Hidden Dragon", original_title: "臥虎藏龍", release_date: "2000-07-06" },
+        ],
+        Solaris: [
+            { id: 593, title: "Solaris", release_date: "1972-03-20" },
+            { id: 2103, title: "Solaris", release_date: "2002-11-27" },
+        ],
+        Amelie: [{ id: 194, title: "Amélie", release_date: "2001-04-25" }],
+    };
+
+    beforeEach(() => {
+        mock.onGet(tmdbUrl("/search/movie")).reply((config) => {
+            const { query, primary_release_year: year } = config.params;
+            const results = (SEARCH[query] || []).filter(
+                (m) => !year || m.release_date.startsWith(String(year))
+            );
+            return [200, { results }];
+        });
+    });
+
+    it("matches a Letterboxd diary by title and year", async () => {
+        const csv = [
+            "Date,Name,Year,Letterboxd URI,Rating,Rewatch,Tags,Watched Date",
+            "2024-01-02,Inception,2010,https://boxd.it/1,4.5,,,2024-01-01",
+            '2024-01-03,"Crouching Tiger, Hidden Dragon",2000,https://boxd.it/2,4,,,2024-01-03',
+            "2024-01-04,Solaris,,https://boxd.it/3,,,,2024-01-04",
+            "2024-01-05,Nonexistent Film,1999,https://boxd.it/4,,,,2024-01-05",
+        ].join("\r\n");
+
+        const start = await startImport(csv);
+        expect(start.status).toBe(202);
+        expect(start.headers.location).toBe(`/api/import/${start.body.id}`);
+        expect(start.body).toMatchObject({ format: "letterboxd", total: 4 });
+
+        const job = await finishedImport(start.body.id);
+        expect(job.processed).toBe(4);
+        expect(job.matched.map((r) => r.tmdb_id)).toEqual([27205, 146]);
+        expect(job.matched[0]).toMatchObject({ row: 1, rating: 4.5, date: "2024-01-01", via: "search" });
+        expect(job.ambiguous).toHaveLength(1);
+        expect(job.ambiguous[0].candidates.map((c) => c.id)).toEqual([593, 2103]);
+        expect(job.unmatched).toEqual([expect.objectContaining({ row: 4, title: "Nonexistent Film" })]);
+    });
+
+    it("uses /find for IMDb IDs and skips non-movie titles", async () => {
+        mock.onGet(tmdbUrl("/find/tt1375666")).reply(200, {
+            movie_results: [{ id: 27205, title: "Inception", release_date: "2010-07-15" }],
+        });
+        const csv = [
+            "Const,Your Rating,Date Rated,Title,URL,Title Type,IMDb Rating,Runtime (mins),Year",
+            "tt1375666,9,2024-02-01,Inception,https://www.imdb.com/title/tt1375666/,movie,8.8,148,2010",
+            "tt0903747,10,2024-02-02,Breaking Bad,https://www.imdb.com/title/tt0903747/,tvSeries,9.5,49,2008",
+        ].join("\n");
+
+        const job = await finishedImport((await startImport(csv)).body.id);
+        expect(job.format).toBe("imdb");
+        expect(job.matched[0]).toMatchObject({ imdb_id: "tt1375666", tmdb_id: 27205, via: "imdb_id", rating: 9 });
+        expect(job.unmatched[0].reason).toMatch(/not a movie/i);
+
+        const find = mock.history.get.find((c) => c.url.includes("/find/"));
+        expect(find.params.external_source).toBe("imdb_id");
+    });
+
+    it("tolerates an off-by-one year and accents in titles", async () => {
+        const csv = "Date,Name,Year,Letterboxd URI\n2024-01-01,Amelie,2002,https://boxd.it/5\n";
+        const job = await finishedImport((await startImport(csv)).body.id);
+        expect(job.matched[0].tmdb_id).toBe(194);
+    });
+
+    it("reuses cached lookups for repeated titles", async () => {
+        const csv = "Date,Name,Year,Letterboxd URI\n2024-01-01,Inception,2010,a\n2024-02-01,Inception,2010,b\n";
+        const job = await finishedImport((await startImport(csv)).body.id);
+        expect(job.matched).toHaveLength(2);
+        expect(mock.history.get).toHaveLength(1);
+    });
+
+    it("400 for an unrecognised CSV", async () => {
+        const res = await startImport("foo,bar\n1,2\n");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/letterboxd or imdb/i);
+    });
+
+    it("400 without a CSV body", async () => {
+        const res = await request(app).post("/api/import").send({ csv: "x" });
+        expect(res.status).toBe(400);
+    });
+
+    it("404 for an unknown import", async () => {
+        const res = await request(app).get("/api/import/nope");
+        expect(res.status).toBe(404);
+    });
+});
+
+// ===========================================================================
+// Exports
+// ===========================================================================
+describe("GET /api/search/export", () => {
+    const GENRES = { genres: [{ id: 28, name: "Action" }, { id: 878, name: "Science Fiction" }] };
+    const page = (n, total_pages) => ({
+        page: n,
+        results: [
+            {
+                id: n,
+                title: `Film, part ${n}`,
+                release_date: `201${n}-01-01`,
+                vote_average: 7,
+                vote_count: 10 * n,
+                genre_ids: [28, 878],
+            },
+        ],
+        total_results: total_pages,
+        total_pages,
+    });
+
+    beforeEach(() => {
+        mock.onGet(tmdbUrl("/genre/movie/list")).reply(200, GENRES);
+        mock.onGet(tmdbUrl("/search/movie")).reply((config) => [200, page(config.params.page, 3)]);
+        mock.onGet(/\/movie\/\d+$/).reply((config) => [200, { imdb_id: `tt000000${config.url.split("/").pop()}` }]);
+    });
+
+    it("streams a CSV with genres and IMDb IDs", async () => {
+        const res = await request(app).get("/api/search/export").query({ query: "film" });
+        expect(res.status).toBe(200);
+        expect(res.headers["content-type"]).toMatch(/text\/csv/);
+        expect(res.headers["content-disposition"]).toBe('attachment; filename="cinesearch-search.csv"');
+        expect(res.text.split("\r\n")).toEqual([
+            "tmdb_id,imdb_id,title,year,release_date,rating,votes,genres",
+            '1,tt0000001,"Film, part 1",2011,2011-01-01,7,10,Action; Science Fiction',
+            "",
+        ]);
+    });
+
+    it("walks up to `pages` pages, stopping at the last one", async () => {
+        const res = await request(app).get("/api/search/export").query({ query: "film", pages: 5, format: "json" });
+        expect(res.status).toBe(200);
+        expect(res.body.map((r) => r.tmdb_id)).toEqual([1, 2, 3]);
+        expect(res.body[2]).toMatchObject({
+            imdb_id: "tt0000003",
+            year: 2013,
+            votes: 30,
+            genres: ["Action", "Science Fiction"],
+        });
+    });
+
+    it("writes a Letterboxd import CSV", async () => {
+        const res = await request(app).get("/api/search/export").query({ query: "film", format: "letterboxd" });
+        expect(res.headers["content-disposition"]).toMatch(/cinesearch-search-letterboxd\.csv/);
+        expect(res.text).toBe('Title,Year,tmdbID,imdbID\r\n"Film, part 1",2011,1,tt0000001\r\n');
+    });
+
+    it("leaves the IMDb ID empty when its lookup fails", async () => {
+        mock.onGet(/\/movie\/\d+$/).reply(500);
+        const res = await request(app).get("/api/search/export").query({ query: "film", format: "json" });
+        expect(res.status).toBe(200);
+        expect(res.body[0].imdb_id).toBeNull();
+    });
+
+    it("400 for a bad format or page count", async () => {
+        expect((await request(app).get("/api/search/export").query({ query: "x", format: "xml" })).status).toBe(400);
+        expect((await request(app).get("/api/search/export").query({ query: "x", pages: 11 })).status).toBe(400);
+        expect((await request(app).get("/api/search/export")).status).toBe(400);
+    });
+
+    it("502 when the first page fails", async () => {
+        mock.onGet(tmdbUrl("/search/movie")).reply(500);
+        const res = await request(app).get("/api/search/export").query({ query: "film" });
+        expect(res.status).toBe(502);
+    });
+
+    it("shares the genre list cache entry with /api/genres", async () => {
+        await request(app).get("/api/genres");
+        await request(app).get("/api/search/export").query({ query: "film" });
+        expect(mock.history.get.filter((c) => c.url.endsWith("/genre/movie/list"))).toHaveLength(1);
+    });
+});
+
+describe("GET /api/lists/:id/export", () => {
+    async function listWithItems() {
+        const list = (await request(app).post("/api/lists").send({ name: "Friday picks!" })).body;
+        await request(app).post(`/api/lists/${list.id}/items`).send({ movieId: 27205 });
+        await request(app).post(`/api/lists/${list.id}/items`).send({ movieId: 603, note: "Sam's pick, again" });
+        return list;
+    }
+
+    beforeEach(() => {
+        mock.onGet(tmdbUrl("/movie/603")).reply(200, {
+            id: 603,
+            title: "The Matrix",
+            imdb_id: "tt0133093",
+            release_date: "1999-03-31",
+            genres: [{ id: 28, name: "Action" }],
+        });
+        mock.onGet(tmdbUrl("/movie/27205")).reply(200, {
+            id: 27205, title: "Inception", imdb_id: "tt1375666", release_date: "2010-07-15", genres: [],
+        });
+    });
+
+    it("exports entries with notes as a Letterboxd list", async () => {
+        const list = await listWithItems();
+        const res = await request(app).get(`/api/lists/${list.id}/export`).query({ format: "letterboxd" });
+        expect(res.status).toBe(200);
+        expect(res.headers["content-disposition"]).toMatch(/cinesearch-friday-picks-letterboxd\.csv/);
+        expect(res.text.split("\r\n")).toEqual([
+            "Title,Year,tmdbID,imdbID,Review",
+            'The Matrix,1999,603,tt0133093,"Sam\'s pick, again"',
+            "Inception,2010,27205,tt1375666,",
+            "",
+        ]);
+    });
+
+    it("defuses cells a spreadsheet would run as formulas", async () => {
+        const list = (await request(app).post("/api/lists").send({ name: "Formulas" })).body;
+        await request(app).post(`/api/lists/${list.id}/items`).send({ movieId: 603, note: '=HYPERLINK("x")' });
+        await request(app).post(`/api/lists/${list.id}/items`).send({ movieId: 27205, note: "@SUM(A1)" });
+        const res = await request(app).get(`/api/lists/${list.id}/export`).query({ format: "letterboxd" });
+        expect(res.text.split("\r\n")).toEqual([
+            "Title,Year,tmdbID,imdbID,Review",
+            "Inception,2010,27205,tt1375666,'@SUM(A1)",
+            'The Matrix,1999,603,tt0133093,"\'=HYPERLINK(""x"")"',
+            "",
+        ]);
+    });
+
+    it("keeps entries TMDB can't describe", async () => {
+        mock.onGet(tmdbUrl("/movie/603")).reply(404);
+        const list = await listWithItems();
+        const res = await request(app).get(`/api/lists/${list.id}/export`).query({ format: "json" });
+        expect(res.body.map((r) => r.tmdb_id)).toEqual([603, 27205]);
+        expect(res.body[0]).toMatchObject({ title: null, imdb_id: null, note: "Sam's pick, again" });
+        expect(res.body[1].added_at).toEqual(expect.any(String));
+    });
+
+    it("404 for an unknown list, 400 for a bad format", async () => {
+        expect((await request(app).get("/api/lists/nope/export")).status).toBe(404);
+        const list = await listWithItems();
+        expect((await request(app).get(`/api/lists/${list.id}/export`).query({ format: "xls" })).status).toBe(400);
+    });
+});
+
+// ===========================================================================
+// Cache freshness
+// ===========================================================================
+describe("Cache freshness", () => {
+    const TRENDING = tmdbUrl("/trending/movie/week");
+
+    // Jump the clock forward; NodeCache and the freshness check both read Date.now
+    function advanceClock(seconds) {
+        const now = Date.now();
+        jest.spyOn(Date, "now").mockReturnValue(now + seconds * 1000);
+    }
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it("serves a stale entry while refreshing it in the background", async () => {
+        mock.onGet(TRENDING).replyOnce(200, { results: [{ id: 1 }] });
+        mock.onGet(TRENDING).replyOnce(200, { results: [{ id: 2 }] });
+        await request(app).get("/api/trending");
+
+        advanceClock(3601); // trending is fresh for an hour
+        const stale = await request(app).get("/api/trending");
+        expect(stale.body.results[0].id).toBe(1);
+
+        await new Promise((resolve) => setTimeout(resolve, 20)); // let the refresh land
+        const fresh = await request(app).get("/api/trending");
+        expect(fresh.body.results[0].id).toBe(2);
+        expect(mock.history.get).toHaveLength(2);
+    });
+
+    it("keeps genres fresh for a day", async () => {
+        mock.onGet(tmdbUrl("/genre/movie/list")).reply(200, { genres: [] });
+        await request(app).get("/api/genres");
+        advanceClock(3601);
+        await request(app).get("/api/genres");
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        expect(mock.history.get).toHaveLength(1);
+    });
+
+    it("still serves the stale entry when the refresh fails", async () => {
+        mock.onGet(TRENDING).replyOnce(200, { results: [{ id: 1 }] });
+        mock.onGet(TRENDING).reply(500);
+        await request(app).get("/api/trending");
+
+        advanceClock(3601);
+        expect((await request(app).get("/api/trending")).body.results[0].id).toBe(1);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        expect((await request(app).get("/api/trending")).body.results[0].id).toBe(1);
+        await new Promise((resolve) => setTimeout(resolve, 20)); // don't leak the last refresh
+    });
+});
+
+// ===========================================================================
+// HTTP caching: ETag, If-None-Match and Cache-Control
+// ===========================================================================
+describe("HTTP caching", () => {
+    const GENRES = tmdbUrl("/genre/movie/list");
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it("sends a strong ETag and answers a matching If-None-Match with 304", async () => {
+        mock.onGet(GENRES).reply(200, { genres: [{ id: 28, name: "Action" }] });
+        const first = await request(app).get("/api/genres");
+        expect(first.status).toBe(200);
+        expect(first.headers.etag).toMatch(/^"[^"]+"$/); // not W/"…"
+
+        const again = await request(app).get("/api/genres").set("If-None-Match", first.headers.etag);
+        expect(again.status).toBe(304);
+        expect(again.text).toBe("");
+        expect(again.headers["cache-control"]).toBe("public, max-age=86400");
+        expect(mock.history.get).toHaveLength(1);
+    });
+
+    it("changes the ETag when the TMDB payload changes", async () => {
+        mock.onGet(GENRES).replyOnce(200, { genres: [{ id: 28, name: "Action" }] });
+        mock.onGet(GENRES).replyOnce(200, { genres: [{ id: 28, name: "Action & Adventure" }] });
+        const before = await request(app).get("/api/genres");
+        await cache.clear();
+        const after = await request(app).get("/api/genres").set("If-None-Match", before.headers.etag);
+        expect(after.status).toBe(200);
+        expect(after.headers.etag).not.toBe(before.headers.etag);
+    });
+
+    it("sets max-age to the server cache TTL of the TMDB data used", async () => {
+        mock.onGet(tmdbUrl("/trending/movie/week")).reply(200, { results: [] });
+        mock.onGet(tmdbUrl("/movie/27205")).reply(200, { id: 27205 });
+
+        expect((await request(app).get("/api/trending")).headers["cache-control"]).toBe("public, max-age=3600");
+        expect((await request(app).get("/api/movie/27205")).headers["cache-control"]).toBe("public, max-age=600");
+    });
+
+    it("makes clients revalidate stale data, non-TMDB responses and never store errors", async () => {
+        mock.onGet(GENRES).reply(200, { genres: [] });
+        await request(app).get("/api/genres");
+        const now = Date.now();
+        jest.spyOn(Date, "now").mockReturnValue(now + 86401 * 1000);
+        const stale = await request(app).get("/api/genres");
+        expect(stale.headers["x-cache"]).toBe("STALE");
+        expect(stale.headers["cache-control"]).toBe("no-cache");
+        await new Promise((resolve) => setTimeout(resolve, 20)); // let the background refresh land
+
+        expect((await request(app).get("/api/lists")).headers["cache-control"]).toBe("no-cache");
+        expect((await request(app).get("/api/movie/abc")).headers["cache-control"]).toBe("no-store");
+        const created = await request(app).post("/api/lists").send({ name: "Cache test" });
+        expect(created.headers["cache-control"]).toBeUndefined();
+    });
+});
+
+// ===========================================================================
+// Request coalescing
+// ===========================================================================
+describe("Request coalescing", () => {
+    const TRENDING = tmdbUrl("/trending/movie/week");
+    const tmdbStats = async () => (await request(app).get("/api/health")).body.tmdb;
+
+    // Hold the TMDB response back so concurrent requests overlap
+    const delayed = (status, body) => () => new Promise((resolve) => setTimeout(() => resolve([status, body]), 20));
+
+    it("shares one upstream request between identical concurrent calls", async () => {
+        mock.onGet(TRENDING).reply(delayed(200, { results: [{ id: 1 }] }));
+        const before = await tmdbStats();
+
+        const responses = await Promise.all([1, 2, 3].map(() => request(app).get("/api/trending")));
+        expect(responses.map((r) => r.body.results[0].id)).toEqual([1, 1, 1]);
+        expect(mock.history.get).toHaveLength(1);
+
+        const after = await tmdbStats();
+        expect(after.deduplicated - before.deduplicated).toBe(2);
+        expect(after.upstreamRequests - before.upstreamRequests).toBe(1);
+    });
+
+    it("keeps different locales apart", async () => {
+        mock.onGet(TRENDING).reply(delayed(200, { results: [] }));
+        await Promise.all([request(app).get("/api/trending"), request(app).get("/api/trending?locale=fr")]);
+        expect(mock.history.get).toHaveLength(2);
+    });
+
+    it("fails every waiter and doesn't cache the error", async () => {
+        mock.onGet(TRENDING).reply(delayed(404, {}));
+        const failed = await Promise.all([request(app).get("/api/trending"), request(app).get("/api/trending")]);
+        expect(failed.map((r) => r.status)).toEqual([502, 502]);
+        expect(mock.history.get).toHaveLength(1);
+
+        mock.onGet(TRENDING).reply(200, { results: [{ id: 2 }] });
+        const retry = await request(app).get("/api/trending");
+        expect(retry.status).toBe(200);
+        expect(retry.body.results[0].id).toBe(2);
+    });
+});
+
+// ===========================================================================
+// Upstream resilience
+// ===========================================================================
+describe("Upstream resilience", () => {
+    const TRENDING = tmdbUrl("/trending/movie/week");
+
+    function advanceClock(seconds) {
+        const now = Date.now();
+        jest.spyOn(Date, "now").mockReturnValue(now + seconds * 1000);
+    }
+
+    // Record backoff delays while running every timer straight away
+    function captureDelays() {
+        const delays = [];
+        const realSetTimeout = global.setTimeout;
+        jest.spyOn(global, "setTimeout").mockImplementation((fn, ms, ...args) => {
+            delays.push(ms);
+            return realSetTimeout(fn, 0, ...args);
+        });
+        return delays;
+    }
+
+    async function openCircuit() {
+        mock.onGet(TRENDING).reply(500);
+        for (let i = 0; i < 5; i++) await request(app).get("/api/trending");
+        expect(circuit.state).toBe("open");
+    }
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it("retries a 5xx and succeeds", async () => {
+        mock.onGet(TRENDING).replyOnce(503).onGet(TRENDING).reply(200, { results: [{ id: 1 }] });
+        const res = await request(app).get("/api/trending");
+        expect(res.status).toBe(200);
+        expect(mock.history.get).toHaveLength(2);
+    });
+
+    it("retries network errors and timeouts", async () => {
+        mock.onGet(TRENDING).networkErrorOnce().onGet(TRENDING).timeoutOnce();
+        mock.onGet(TRENDING).reply(200, { results: [] });
+        const res = await request(app).get("/api/trending");
+        expect(res.status).toBe(200);
+        expect(mock.history.get).toHaveLength(3);
+    });
+
+    it("gives up after the retry budget", async () => {
+        mock.onGet(TRENDING).reply(500);
+        const res = await request(app).get("/api/trending");
+        expect(res.status).toBe(502);
+        expect(mock.history.get).toHaveLength(3); // first try + 2 retries
+    });
+
+    it("doesn't retry a 404", async () => {
+        mock.onGet(tmdbUrl("/movie/999999")).reply(404);
+        const res = await request(app).get("/api/movie/999999");
+        expect(res.status).toBe(404);
+        expect(mock.history.get).toHaveLength(1);
+    });
+
+    it("waits for Retry-After on a 429", async () => {
+        const delays = captureDelays();
+        mock.onGet(TRENDING).replyOnce(429, {}, { "retry-after": "2" });
+        mock.onGet(TRENDING).reply(200, { results: [] });
+        const res = await request(app).get("/api/trending");
+        expect(res.status).toBe(200);
+        expect(delays).toContain(2000);
+    });
+
+    it("fails fast when Retry-After is too long", async () => {
+        mock.onGet(TRENDING).reply(429, {}, { "retry-after": "120" });
+        const res = await request(app).get("/api/trending");
+        expect(res.status).toBe(502);
+        expect(mock.history.get).toHaveLength(1);
+    });
+
+    it("opens the circuit after repeated failures and stops calling TMDB", async () => {
+        await openCircuit();
+        const calls = mock.history.get.length;
+
+        const res = await request(app).get("/api/trending");
+        expect(res.status).toBe(502);
+        expect(mock.history.get).toHaveLength(calls);
+    });
+
+    it("serves the last known good value with X-Cache: STALE while open", async () => {
+        mock.onGet(tmdbUrl("/genre/movie/list")).reply(200, { genres: [{ id: 28, name: "Action" }] });
+        const fresh = await request(app).get("/api/genres");
+        expect(fresh.headers["x-cache"]).toBeUndefined();
+
+        advanceClock(86401); // past the genre TTL, inside the stale window
+        await openCircuit();
+        const calls = mock.history.get.length;
+
+        const res = await request(app).get("/api/genres");
+        expect(res.status).toBe(200);
+        expect(res.headers["x-cache"]).toBe("STALE");
+        expect(res.body.genres[0].name).toBe("Action");
+        expect(mock.history.get).toHaveLength(calls); // no refresh while open
+    });
+
+    it("closes again after a successful trial call", async () => {
+        await openCircuit();
+        advanceClock(31);
+        mock.onGet(TRENDING).reply(200, { results: [] });
+
+        expect((await request(app).get("/api/trending")).status).toBe(200);
+        expect(circuit.state).toBe("closed");
+    });
+
+    it("reopens when the trial call fails", async () => {
+        await openCircuit();
+        advanceClock(31);
+
+        expect((await request(app).get("/api/trending")).status).toBe(502);
+        expect(circuit.state).toBe("open");
+    });
+});
+
+// ===========================================================================
+// GET /api/ready
+// ===========================================================================
+describe("GET /api/ready", () => {
+    const CONFIGURATION = tmdbUrl("/configuration");
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it("200 when TMDB accepts the key, the cache works and the circuit is closed", async () => {
+        mock.onGet(CONFIGURATION).reply(200, { images: {} });
+        const res = await request(app).get("/api/ready");
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe("ready");
+        expect(res.body.checks).toMatchObject({
+            tmdb: { ok: true, url: "https://api.themoviedb.org/3", latencyMs: expect.any(Number) },
+            cache: { ok: true, backend: "memory" },
+            circuit: { ok: true, state: "closed", failures: 0 },
+        });
+        expect(mock.history.get[0].params.api_key).toBe("test-api-key-for-jest");
+    });
+
+    it("503 with a diagnosis when TMDB rejects the key", async () => {
+        mock.onGet(CONFIGURATION).reply(401, { status_code: 7 });
+        const res = await request(app).get("/api/ready");
+        expect(res.status).toBe(503);
+        expect(res.body).toMatchObject({
+            status: "degraded",
+            checks: { tmdb: { ok: false, status: 401, error: "TMDB rejected the API key." } },
+            requestId: res.headers["x-request-id"],
+        });
+    });
+
+    it("503 when TMDB can't be reached", async () => {
+        mock.onGet(CONFIGURATION).networkError();
+        const res = await request(app).get("/api/ready");
+        expect(res.status).toBe(503);
+        expect(res.body.checks.tmdb.error).toMatch(/^Could not reach TMDB/);
+    });
+
+    it("503 while the circuit breaker is open", async () => {
+        mock.onGet(CONFIGURATION).reply(200, {});
+        for (let i = 0; i < 5; i++) circuit.failure();
+        const res = await request(app).get("/api/ready");
+        expect(res.status).toBe(503);
+        expect(res.body.checks.tmdb.ok).toBe(true);
+        expect(res.body.checks.circuit).toMatchObject({ ok: false, state: "open", retryAt: expect.any(String) });
+    });
+
+    it("503 when the cache store fails", async () => {
+        mock.onGet(CONFIGURATION).reply(200, {});
+        jest.spyOn(cache, "check").mockResolvedValue({ ok: false, backend: "redis", error: "connect ECONNREFUSED" });
+        const res = await request(app).get("/api/ready");
+        expect(res.status).toBe(503);
+        expect(res.body.checks.cache.error).toBe("connect ECONNREFUSED");
+    });
+
+    it("leaves /api/health as liveness only", async () => {
+        mock.onGet(CONFIGURATION).reply(401);
+        expect((await request(app).get("/api/health")).status).toBe(200);
+        expect(mock.history.get).toHaveLength(0);
+    });
+});
+
+// ===========================================================================
+// Request IDs and logging
+// ===========================================================================
+describe("Request IDs and logging", () => {
+    const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+    it("generates an X-Request-Id, or keeps a well-formed one from the proxy", async () => {
+        const generated = await request(app).get("/api/health");
+        expect(generated.headers["x-request-id"]).toMatch(UUID);
+
+        const nginxId = "0f3c9a2be41d4c7f9a6b1d2e3f4a5b6c";
+        const kept = await request(app).get("/api/health").set("X-Request-Id", nginxId);
+        expect(kept.headers["x-request-id"]).toBe(nginxId);
+
+        const replaced = await request(app).get("/api/health").set("X-Request-Id", "<script>");
+        expect(replaced.headers["x-request-id"]).toMatch(UUID);
+    });
+
+    it("adds the request ID to every error body", async () => {
+        mock.onGet(tmdbUrl("/movie/999999")).reply(404);
+        const notFound = await request(app).get("/api/movie/999999").set("X-Request-Id", "bug-42");
+        expect(notFound.body).toEqual({ error: "Movie not found.", requestId: "bug-42" });
+
+        const invalid = await request(app).get("/api/search").query({ page: "x" });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.requestId).toBe(invalid.headers["x-request-id"]);
+
+        const unknown = await request(app).get("/api/nonexistent");
+        expect(unknown.body).toEqual({ error: "Not found.", requestId: unknown.headers["x-request-id"] });
+
+        const malformed = await request(app)
+            .post("/api/lists")
+            .set("Content-Type", "application/json")
+            .send("{not json");
+        expect(malformed.status).toBe(400);
+        expect(malformed.body.requestId).toBe(malformed.headers["x-request-id"]);
+    });
+
+    it("writes one JSON line per request with route, TMDB paths, cache results and duration", async () => {
+        let logged;
+        let isolatedMock;
+        process.env.LOG_LEVEL = "info";
+        jest.isolateModules(() => {
+            isolatedMock = new MockAdapter(require("axios"));
+            logged = require("../server").app;
+        });
+        process.env.LOG_LEVEL = "silent";
+        isolatedMock.onGet(tmdbUrl("/movie/27205")).reply(200, { id: 27205, title: "Inception" });
+        isolatedMock.onGet(tmdbUrl("/trending/movie/week")).reply(500);
+
+        const lines = [];
+        jest.spyOn(process.stdout, "write").mockImplementation((chunk) => lines.push(JSON.parse(chunk)));
+        try {
+            await request(logged).get("/api/movie/27205").set("X-Request-Id", "first");
+            await request(logged).get("/api/movie/27205").set("X-Request-Id", "second");
+            await request(logged).get("/api/trending").set("X-Request-Id", "failing");
+        } finally {
+            jest.restoreAllMocks();
+        }
+
+        const requests = lines.filter((line) => line.msg === "request");
+        expect(requests[0]).toMatchObject({
+            level: "info",
+            requestId: "first",
+            method: "GET",
+            url: "/api/movie/27205",
+            route: "/api/movie/:id",
+            status: 200,
+            tmdb: [{ path: "/movie/27205", cache: "miss" }],
+            tmdbCalls: 1,
+        });
+        expect(requests[0].durationMs).toEqual(expect.any(Number));
+        expect(requests[1].tmdb).toEqual([{ path: "/movie/27205", cache: "hit" }]);
+
+        // Route errors carry the request ID too, with the upstream failure spelled out
+        const failure = lines.find((line) => line.level === "error");
+        expect(failure).toMatchObject({ msg: "Trending error", requestId: "failing", err: { status: 500 } });
+        expect(JSON.stringify(lines)).not.toContain("test-api-key-for-jest");
+    });
+});
+
+// ===========================================================================
+// GET /api/metrics
+// ===========================================================================
+describe("GET /api/metrics", () => {
+    it("exposes request, TMDB and cache series in Prometheus format", async () => {
+        mock.onGet(tmdbUrl("/trending/movie/week")).reply(200, { results: [] });
+        mock.onGet(tmdbUrl("/movie/999999")).reply(404);
+        await request(app).get("/api/trending");
+        await request(app).get("/api/trending");
+        await request(app).get("/api/movie/999999");
+
+        const res = await request(app).get("/api/metrics");
+        expect(res.status).toBe(200);
+        expect(res.headers["content-type"]).toMatch(/^text\/plain; .*version=0\.0\.4/);
+        expect(res.text).toContain("# TYPE cinesearch_http_request_duration_seconds histogram");
+        expect(res.text).toContain('cinesearch_http_requests_total{method="GET",route="/api/trending",status="200"}');
+        expect(res.text).toContain('cinesearch_http_requests_total{method="GET",route="/api/movie/:id",status="404"}');
+        expect(res.text).toContain('cinesearch_tmdb_request_duration_seconds_count{path="/trending/movie/week"}');
+        expect(res.text).toMatch(/cinesearch_tmdb_errors_total\{path="\/movie\/:id",reason="404"\} \d+/);
+        expect(res.text).toMatch(/cinesearch_cache_hits_total [1-9]\d*/);
+        expect(res.text).toContain("cinesearch_cache_keys 1\n");
+        expect(res.text).toContain("cinesearch_tmdb_circuit_open 0\n");
+        expect(res.text).toMatch(/cinesearch_image_cache_bytes \d+\n/);
+    });
+
+    it("only answers internal addresses when no token is set", async () => {
+        expect((await request(app).get("/api/metrics").set("X-Forwarded-For", "10.0.3.7")).status).toBe(200);
+        const res = await request(app).get("/api/metrics").set("X-Forwarded-For", "8.8.8.8");
+        expect(res.status).toBe(403);
+        expect(res.body).toHaveProperty("error");
+    });
+
+    it("requires the bearer token when METRICS_TOKEN is set", async () => {
+        let guarded;
+        process.env.METRICS_TOKEN = "scrape-me";
+        jest.isolateModules(() => {
+            guarded = require("../server").app;
+        });
+        delete process.env.METRICS_TOKEN;
+
+        expect((await request(guarded).get("/api/metrics")).status).toBe(401);
+        expect((await request(guarded).get("/api/metrics").set("Authorization", "Bearer nope")).status).toBe(401);
+        const res = await request(guarded)
+            .get("/api/metrics")
+            .set("X-Forwarded-For", "8.8.8.8")
+            .set("Authorization", "Bearer scrape-me");
+        expect(res.status).toBe(200);
+    });
+});
+
+// ===========================================================================
+// API keys
+// ===========================================================================
+describe("API keys", () => {
+    const KEYS = {
+        tiers: { standard: { perMinute: 3 }, partner: { perMinute: 100 } },
+        keys: [
+            { id: "dashboard", key: "dashboard-key-0123456789", tier: "standard" },
+            { id: "ops", key: "ops-admin-key-0123456789", tier: "partner", admin: true },
+            { id: "wiki", key: "wiki-bot-key-0123456789", perMinute: 50 },
+        ],
+    };
+    let keyed;
+    let keyedMock;
+
+    beforeAll(() => {
+        const file = `${DATA_DIR}/api-keys.json`;
+        fs.writeFileSync(file, JSON.stringify(KEYS));
+        process.env.API_KEYS_FILE = file;
+        jest.isolateModules(() => {
+            keyedMock = new MockAdapter(require("axios"));
+            keyed = require("../server").app;
+        });
+        delete process.env.API_KEYS_FILE;
+    });
+
+    beforeEach(() => {
+        keyedMock.reset();
+        keyedMock.onGet(tmdbUrl("/genre/movie/list")).reply(200, { genres: [] });
+    });
+
+    it("leaves requests without a key alone and refuses unknown keys", async () => {
+        expect((await request(keyed).get("/api/genres")).status).toBe(200);
+        const res = await request(keyed).get("/api/genres").set("X-API-Key", "not-a-real-key-0123456789");
+        expect(res.status).toBe(401);
+        expect(res.body.error).toBe("Invalid API key.");
+        // Without a keys file every key is unknown
+        expect((await request(app).get("/api/genres").set("X-API-Key", KEYS.keys[0].key)).status).toBe(401);
+    });
+
+    it("limits each key to its tier's quota with its own bucket", async () => {
+        const dashboard = () => request(keyed).get("/api/genres").set("X-API-Key", KEYS.keys[0].key);
+        for (let i = 0; i < 3; i++) expect((await dashboard()).status).toBe(200);
+        const limited = await dashboard();
+        expect(limited.status).toBe(429);
+        expect(limited.body.error).toBe("Rate limit for this API key reached (3 requests per minute).");
+        expect(limited.headers["ratelimit-limit"]).toBe("3");
+
+        // Neither anonymous traffic nor other keys share the exhausted bucket
+        expect((await request(keyed).get("/api/genres")).status).toBe(200);
+        expect((await request(keyed).get("/api/genres").set("X-API-Key", KEYS.keys[1].key)).status).toBe(200);
+    });
+
+    it("reports usage per key to admin keys only", async () => {
+        expect((await request(keyed).get("/api/admin/usage")).status).toBe(401);
+        const denied = await request(keyed).get("/api/admin/usage").set("X-API-Key", KEYS.keys[2].key);
+        expect(denied.status).toBe(403);
+
+        const res = await request(keyed).get("/api/admin/usage").set("X-API-Key", KEYS.keys[1].key);
+        expect(res.status).toBe(200);
+        expect(res.headers["cache-control"]).toBe("no-store");
+        expect(JSON.stringify(res.body)).not.toContain("0123456789");
+        const [dashboard, ops, wiki] = res.body.keys;
+        expect(dashboard).toMatchObject({ id: "dashboard", tier: "standard", perMinute: 3, admin: false, rejected: 1 });
+        expect(dashboard.requests).toBe(4); // from the quota test above
+        expect(dashboard.currentWindow).toEqual({ used: 4, resetAt: expect.any(String) });
+        expect(ops).toMatchObject({ id: "ops", perMinute: 100, admin: true, rejected: 0 });
+        expect(ops.lastUsedAt).toEqual(expect.any(String));
+        expect(wiki).toMatchObject({ id: "wiki", tier: null, perMinute: 50, requests: 1 });
+    });
+});
+
+// ===========================================================================
+// Image proxy
+// ===========================================================================
+describe("GET /api/image/:size/:file", () => {
+    const { Readable } = require("stream");
+    const POSTER = Buffer.from("not really a jpeg");
+    const imageUrl = (size, file) => `https://image.tmdb.org/t/p/${size}/${file}`;
+
+    it("streams a miss from TMDB and serves the next request from disk", async () => {
+        mock.onGet(imageUrl("w342", "poster1.jpg")).reply(() => [
+            200,
+            Readable.from([POSTER]),
+            { "content-type": "image/jpeg", "content-length": String(POSTER.length) },
+        ]);
+
+        const first = await request(app).get("/api/image/w342/poster1.jpg");
+        expect(first.status).toBe(200);
+        expect(first.headers["content-type"]).toBe("image/jpeg");
+        expect(first.headers["cache-control"]).toBe("public, max-age=31536000, immutable");
+        expect(first.body.equals(POSTER)).toBe(true);
+        await new Promise((resolve) => setTimeout(resolve, 20)); // let the cache write land
+
+        const second = await request(app).get("/api/image/w342/poster1.jpg");
+        expect(second.status).toBe(200);
+        expect(second.headers["content-type"]).toBe("image/jpeg");
+        expect(second.headers["cache-control"]).toBe("public, max-age=31536000, immutable");
+        expect(second.body.equals(POSTER)).toBe(true);
+        expect(mock.history.get).toHaveLength(1);
+        expect(fs.readdirSync(`${DATA_DIR}/images`)).toContain("w342-poster1.jpg");
+    });
+
+    it("rejects sizes TMDB doesn't offer and anything but a plain file name", async () => {
+        const badSize = await request(app).get("/api/image/w9999/poster.jpg");
+        expect(badSize.status).toBe(400);
+        expect(badSize.body.error).toMatch(/^size must be one of w45, /);
+
+        for (const file of ["poster.gif", "..%2Fsecret.jpg", "%2Fetc%2Fpasswd.jpg", "a.b.jpg"]) {
+            const res = await request(app).get(`/api/image/w500/${file}`);
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe("Invalid image path.");
+            expect(res.headers["cache-control"]).toBe("no-store");
+        }
+        expect(mock.history.get).toHaveLength(0);
+    });
+
+    it("404 when TMDB has no such image", async () => {
+        mock.onGet(imageUrl("w500", "missing.jpg")).reply(404);
+        const res = await request(app).get("/api/image/w500/missing.jpg");
+        expect(res.status).toBe(404);
+        expect(res.body.error).toBe("Image not found.");
+    });
+
+    it("is advertised by /api/config and can be turned off", async () => {
+        expect((await request(app).get("/api/config")).body).toEqual({ imageProxy: true });
+
+        let direct;
+        process.env.IMAGE_PROXY = "off";
+        jest.isolateModules(() => {
+            direct = require("../server").app;
+        });
+        delete process.env.IMAGE_PROXY;
+
+        expect((await request(direct).get("/api/config")).body).toEqual({ imageProxy: false });
+        const res = await request(direct).get("/api/image/w500/poster.jpg");
+        expect(res.status).toBe(404);
+        expect(res.body.error).toBe("The image proxy is turned off.");
+    });
+
+    it("limits image requests per IP on their own budget", async () => {
+        let limited;
+        process.env.IMAGE_RATE_LIMIT_PER_MINUTE = "2";
+        jest.isolateModules(() => {
+            limited = require("../server").app;
+        });
+        delete process.env.IMAGE_RATE_LIMIT_PER_MINUTE;
+
+        expect((await request(limited).get("/api/image/w9999/a.jpg")).status).toBe(400);
+        expect((await request(limited).get("/api/image/w9999/b.jpg")).status).toBe(400);
+        const res = await request(limited).get("/api/image/w9999/c.jpg");
+        expect(res.status).toBe(429);
+        expect(res.body.error).toMatch(/Too many image requests/);
+        expect((await request(limited).get("/api/config")).status).toBe(200); // not the API's budget
+    });
+
+    it("502 when TMDB fails or answers with something other than an image", async () => {
+        mock.onGet(imageUrl("w500", "broken.jpg")).networkError();
+        mock.onGet(imageUrl("w500", "html.jpg")).reply(() => [
+            200,
+            Readable.from(["<html>"]),
+            { "content-type": "text/html" },
+        ]);
+
+        expect((await request(app).get("/api/image/w500/broken.jpg")).status).toBe(502);
+        expect((await request(app).get("/api/image/w500/html.jpg")).status).toBe(502);
+        expect(fs.readdirSync(`${DATA_DIR}/images`)).not.toContain("w500-html.jpg");
     });
 });
 
@@ -0,0 +1,206 @@
+"use strict";
+
+/**
+ * Tests for the offline TMDB stand-in, plus an end-to-end pass of the backend against it.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const { createMockTmdb } = require("../tmdb-mock/server");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "tmdb-mock", "fixtures");
+
+/** Listen on a random port; resolves to { url, close } */
+function listen(app) {
+    return new Promise((resolve) => {
+        const server = app.listen(0, "127.0.0.1", () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise((done) => server.close(done)),
+            });
+        });
+    });
+}
+
+/** Copy of the bundled fixtures in a throwaway directory, for tests that add recordings */
+function scratchFixtures() {
+    const dir = fs.mkdtempSync(`${os.tmpdir()}/cinesearch-fixtures-`);
+    for (const name of ["movies.json", "genres.json"]) {
+        fs.copyFileSync(path.join(FIXTURES_DIR, name), path.join(dir, name));
+    }
+    return dir;
+}
+
+// ===========================================================================
+// Replay
+// ===========================================================================
+describe("TMDB stand-in", () => {
+    const mockTmdb = createMockTmdb();
+
+    it("serves the configuration, the genre list and trending by popularity", async () => {
+        const configuration = await request(mockTmdb).get("/3/configuration");
+        expect(configuration.body.images.poster_sizes).toContain("w500");
+
+        const genres = await request(mockTmdb).get("/3/genre/movie/list");
+        expect(genres.body.genres).toContainEqual({ id: 878, name: "Science Fiction" });
+
+        const trending = await request(mockTmdb).get("/3/trending/movie/week");
+        const popularity = trending.body.results.map((m) => m.popularity);
+        expect(popularity).toEqual([...popularity].sort((a, b) => b - a));
+        expect(trending.body.results[0]).toHaveProperty("genre_ids");
+    });
+
+    it("searches titles ignoring case and accents, with an optional year", async () => {
+        const amelie = await request(mockTmdb).get("/3/search/movie").query({ query: "AMELIE" });
+        expect(amelie.body.results.map((m) => m.id)).toEqual([194]);
+
+        const wrongYear = await request(mockTmdb)
+            .get("/3/search/movie")
+            .query({ query: "matrix", primary_release_year: 2003 });
+        expect(wrongYear.body).toMatchObject({ results: [], total_results: 0, page: 1 });
+    });
+
+    it("finds people from the fixtures' credits", async () => {
+        const res = await request(mockTmdb).get("/3/search/person").query({ query: "nolan" });
+        expect(res.body.results[0]).toMatchObject({ id: 525, known_for_department: "Directing" });
+        expect(res.body.results[0].known_for.map((m) => m.id)).toEqual(expect.arrayContaining([27205, 155, 157336]));
+    });
+
+    it("discovers by crew, genre and rating, in the requested order", async () => {
+        const res = await request(mockTmdb).get("/3/discover/movie").query({
+            with_crew: "525",
+            with_genres: "878|80",
+            "vote_average.gte": 8.4,
+            sort_by: "primary_release_date.asc",
+        });
+        expect(res.body.results.map((m) => m.id)).toEqual([155, 27205, 157336]);
+    });
+
+    it("returns movie details with only the appended sections", async () => {
+        const plain = await request(mockTmdb).get("/3/movie/27205");
+        expect(plain.body).toMatchObject({ id: 27205, imdb_id: "tt1375666" });
+        expect(plain.body).not.toHaveProperty("credits");
+
+        const full = await request(mockTmdb)
+            .get("/3/movie/27205")
+            .query({ append_to_response: "credits,images,recommendations" });
+        expect(full.body.credits.crew).toContainEqual(expect.objectContaining({ id: 525, job: "Director" }));
+        expect(full.body.images).toEqual({ backdrops: [], posters: [] });
+        expect(full.body.recommendations.results.map((m) => m.id)).not.toContain(27205);
+        expect(full.body).not.toHaveProperty("videos");
+    });
+
+    it("pages recommendations and reviews on their own paths", async () => {
+        const recommendations = await request(mockTmdb).get("/3/movie/27205/recommendations");
+        expect(recommendations.body).toMatchObject({ id: 27205, page: 1 });
+        expect(recommendations.body.results.map((m) => m.id)).not.toContain(27205);
+
+        const reviews = await request(mockTmdb).get("/3/movie/27205/reviews").query({ page: 2 });
+        expect(reviews.body).toMatchObject({ page: 2, results: [] });
+    });
+
+    it("answers anything else with TMDB's 404", async () => {
+        expect((await request(mockTmdb).get("/3/movie/1")).body.status_code).toBe(34);
+        expect((await request(mockTmdb).get("/3/person/525")).status).toBe(404);
+    });
+});
+
+// ===========================================================================
+// Record mode
+// ===========================================================================
+describe("TMDB stand-in record mode", () => {
+    let upstream;
+    let fixturesDir;
+
+    beforeEach(async () => {
+        // Another stand-in plays the real TMDB
+        upstream = await listen(createMockTmdb());
+        fixturesDir = scratchFixtures();
+        jest.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await upstream.close();
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    it("saves upstream answers without the API key and replays them", async () => {
+        const recorder = createMockTmdb({
+            fixturesDir,
+            record: true,
+            upstreamUrl: `${upstream.url}/3`,
+            apiKey: "k3y-123",
+        });
+        const recorded = await request(recorder).get("/3/search/movie").query({ query: "inception", api_key: "x" });
+        expect(recorded.body.results[0].id).toBe(27205);
+
+        const [file] = fs.readdirSync(path.join(fixturesDir, "recorded"));
+        const saved = fs.readFileSync(path.join(fixturesDir, "recorded", file), "utf8");
+        expect(file).toMatch(/^search_movie-[0-9a-f]{12}\.json$/);
+        expect(JSON.parse(saved)).toMatchObject({ path: "/search/movie", query: { query: "inception" }, status: 200 });
+        expect(saved).not.toContain("k3y-123");
+
+        // The recording now wins over the computed answer, for that exact query only
+        const replay = createMockTmdb({ fixturesDir });
+        const body = JSON.parse(saved).body;
+        body.results[0].title = "Recorded";
+        fs.writeFileSync(path.join(fixturesDir, "recorded", file), JSON.stringify({ ...JSON.parse(saved), body }));
+        expect((await request(replay).get("/3/search/movie?query=inception")).body.results[0].title).toBe("Recorded");
+        expect((await request(replay).get("/3/search/movie?query=Inception")).body.results[0].title).toBe("Inception");
+    });
+
+    it("doesn't record upstream failures", async () => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        const recorder = createMockTmdb({ fixturesDir, record: true, upstreamUrl: "http://127.0.0.1:1/3" });
+        expect((await request(recorder).get("/3/genre/movie/list")).status).toBe(502);
+        expect(fs.readdirSync(fixturesDir)).not.toContain("recorded");
+    });
+});
+
+// ===========================================================================
+// Backend against the stand-in
+// ===========================================================================
+describe("Backend with TMDB_BASE_URL pointing at the stand-in", () => {
+    let mockTmdb;
+    let app;
+    let dataDir;
+
+    beforeAll(async () => {
+        mockTmdb = await listen(createMockTmdb());
+        dataDir = fs.mkdtempSync(`${os.tmpdir()}/cinesearch-test-`);
+        process.env.TMDB_BASE_URL = `${mockTmdb.url}/3/`;
+        process.env.DATA_DIR = dataDir;
+        process.env.LOG_LEVEL = "silent";
+        delete process.env.TMDB_API_KEY; // not needed off TMDB
+        ({ app } = require("../server"));
+    });
+
+    afterAll(async () => {
+        await mockTmdb.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it("reports ready, then searches, filters and opens details end to end", async () => {
+        const ready = await request(app).get("/api/ready");
+        expect(ready.status).toBe(200);
+        expect(ready.body.checks.tmdb).toMatchObject({ ok: true, url: `${mockTmdb.url}/3` });
+
+        const search = await request(app).get("/api/search").query({ query: "inter" });
+        expect(search.status).toBe(200);
+        expect(search.body.results.map((m) => m.id)).toEqual([157336]);
+
+        const director = await request(app)
+            .get("/api/search")
+            .query({ director: "Christopher Nolan", sort: "release_date" });
+        expect(director.body.results.map((m) => m.id)).toEqual([157336, 27205, 155]);
+
+        const details = await request(app).get("/api/movie/603");
+        expect(details.status).toBe(200);
+        expect(details.body.credits.cast[0].name).toBe("Keanu Reeves");
+
+        expect((await request(app).get("/api/movie/1")).status).toBe(404);
+    });
+});
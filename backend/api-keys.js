@@ -0,0 +1,79 @@
+"use strict";
+
+/**
+ * API keys for third-party consumers, read once from a JSON file (see api-keys.example.json):
+ *
+ *   {
+ *     "tiers": { "standard": { "perMinute": 120 }, "partner": { "perMinute": 600 } },
+ *     "keys": [
+ *       { "id": "stats-dashboard", "key": "…", "tier": "standard" },
+ *       { "id": "ops", "key": "…", "tier": "partner", "admin": true }
+ *     ]
+ *   }
+ *
+ * `id` names the consumer in logs and usage reports; the key itself never leaves this module.
+ * A key's own `perMinute` overrides its tier's, and `admin` lets it read /api/admin/usage.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const ID_PATTERN = /^[\w.-]{1,64}$/;
+const MIN_KEY_LENGTH = 16;
+
+// Keys are looked up by digest, so a nearly right key doesn't compare for longer than a wrong one
+const digest = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const isQuota = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * @param {string} file – path to the JSON config
+ * @returns {{keys: Array<{id: string, tier: string|null, perMinute: number, admin: boolean}>,
+ *            lookup: function(string): (object|null)}}
+ * @throws {Error} naming the file and entry when the config can't be read or is invalid
+ */
+function loadApiKeys(file) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+        throw new Error(`Could not read API keys from ${file}: ${err.message}`);
+    }
+
+    const tiers = config.tiers ?? {};
+    for (const [name, tier] of Object.entries(tiers)) {
+        if (!isQuota(tier?.perMinute)) {
+            throw new Error(`Tier "${name}" in ${file} needs a positive integer perMinute.`);
+        }
+    }
+
+    const byDigest = new Map();
+    const ids = new Set();
+    const keys = (config.keys ?? []).map((entry, i) => {
+        const where = `API key #${i + 1} in ${file}`;
+        if (typeof entry?.id !== "string" || !ID_PATTERN.test(entry.id)) {
+            throw new Error(`${where} needs an id of up to 64 letters, digits, "_", "." or "-".`);
+        }
+        if (ids.has(entry.id)) throw new Error(`${where} repeats the id "${entry.id}".`);
+        if (typeof entry.key !== "string" || entry.key.length < MIN_KEY_LENGTH) {
+            throw new Error(`${where} (${entry.id}) needs a key of at least ${MIN_KEY_LENGTH} characters.`);
+        }
+        if (entry.tier !== undefined && !Object.hasOwn(tiers, entry.tier)) {
+            throw new Error(`${where} (${entry.id}) uses the unknown tier "${entry.tier}".`);
+        }
+        const perMinute = entry.perMinute ?? tiers[entry.tier]?.perMinute;
+        if (!isQuota(perMinute)) {
+            throw new Error(`${where} (${entry.id}) needs a tier or a positive integer perMinute.`);
+        }
+        if (byDigest.has(digest(entry.key))) throw new Error(`${where} (${entry.id}) repeats another key.`);
+
+        const apiKey = { id: entry.id, tier: entry.tier ?? null, perMinute, admin: entry.admin === true };
+        byDigest.set(digest(entry.key), apiKey);
+        ids.add(entry.id);
+        return apiKey;
+    });
+
+    return { keys, lookup: (key) => byDigest.get(digest(key)) ?? null };
+}
+
+module.exports = { loadApiKeys };
@@ -0,0 +1,415 @@
+"use strict";
+
+/**
+ * Response cache for TMDB data.
+ *
+ * Entries carry two ages: after `ttl` they are stale (still served, but due for a refresh) and
+ * after `ttl + staleSeconds` the store drops them. Storage is delegated to an adapter:
+ *
+ *   memory – NodeCache in this process (lost on restart)
+ *   disk   – one JSON file per entry, survives restarts when the directory is a volume
+ *   redis  – any server speaking the Redis protocol, shared between instances
+ *
+ * Adapters implement `get(key)`, `set(key, entry, ttlSeconds)`, `clear()` and `count()`, all
+ * async; `count()` resolves to null when the store can't count this app's keys cheaply.
+ *
+ * Failures are reported through an optional `log` ({ error(msg, fields) }, console by default).
+ */
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const net = require("net");
+const path = require("path");
+const NodeCache = require("node-cache");
+
+// ---------------------------------------------------------------------------
+// Memory adapter
+// ---------------------------------------------------------------------------
+/**
+ * @param {object} [options]
+ * @param {number} [options.checkPeriod] – seconds between sweeps for expired keys
+ * @param {number} [options.maxEntries] – keys kept at most; the least recently used go first, so a
+ *   long stale window can't grow the process without bound
+ */
+function createMemoryStore({ checkPeriod = 120, maxEntries = Infinity } = {}) {
+    const store = new NodeCache({ stdTTL: 0, checkperiod: checkPeriod, useClones: false });
+    // Keys in access order, least recently used first; NodeCache itself only tracks expiry
+    const recent = new Set();
+    store.on("del", (key) => recent.delete(key));
+    const touch = (key) => {
+        recent.delete(key);
+        recent.add(key);
+    };
+
+    return {
+        name: "memory",
+        async get(key) {
+            const entry = store.get(key);
+            if (entry !== undefined) touch(key);
+            return entry;
+        },
+        async set(key, entry, ttlSeconds) {
+            store.set(key, entry, ttlSeconds);
+            touch(key);
+            for (const oldest of recent) {
+                if (recent.size <= maxEntries) break;
+                recent.delete(oldest);
+                store.del(oldest);
+            }
+        },
+        async clear() {
+            store.flushAll();
+            recent.clear();
+        },
+        async count() {
+            return store.getStats().keys;
+        },
+        close() {
+            store.close();
+        },
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Disk adapter
+// ---------------------------------------------------------------------------
+/**
+ * @param {object} options
+ * @param {string} options.dir – directory for the entry files (created on demand)
+ * @param {number} [options.checkPeriod] – seconds between sweeps for expired files
+ * @param {object} [options.log]
+ */
+function createDiskStore({ dir, checkPeriod = 120, log = console }) {
+    const fileFor = (key) => path.join(dir, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+
+    async function readFile(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, "utf8"));
+        } catch (err) {
+            if (err.code === "ENOENT") return undefined;
+            if (err instanceof SyntaxError) return undefined; // torn write from a crash – treat as a miss
+            throw err;
+        }
+    }
+
+    /** Delete every file whose hard expiry has passed */
+    async function sweep() {
+        let names;
+        try {
+            names = await fs.readdir(dir);
+        } catch (err) {
+            if (err.code === "ENOENT") return;
+            throw err;
+        }
+        const now = Date.now();
+        for (const name of names.filter((n) => n.endsWith(".json"))) {
+            const record = await readFile(path.join(dir, name));
+            if (!record || record.expiresAt <= now) await fs.rm(path.join(dir, name), { force: true });
+        }
+    }
+
+    const timer = setInterval(() => {
+        sweep().catch((err) => log.error("Cache sweep error", { err }));
+    }, checkPeriod * 1000);
+    timer.unref();
+
+    return {
+        name: "disk",
+        sweep,
+        async get(key) {
+            const file = fileFor(key);
+            const record = await readFile(file);
+            if (!record || record.key !== key) return undefined;
+            if (record.expiresAt <= Date.now()) {
+                await fs.rm(file, { force: true });
+                return undefined;
+            }
+            return record.entry;
+        },
+        async set(key, entry, ttlSeconds) {
+            const file = fileFor(key);
+            const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+            await fs.mkdir(dir, { recursive: true });
+            // Write-then-rename so readers never see half a file
+            await fs.writeFile(tmp, JSON.stringify({ key, expiresAt: Date.now() + ttlSeconds * 1000, entry }));
+            await fs.rename(tmp, file);
+        },
+        async clear() {
+            await fs.rm(dir, { recursive: true, force: true });
+        },
+        async count() {
+            try {
+                return (await fs.readdir(dir)).filter((n) => n.endsWith(".json")).length;
+            } catch (err) {
+                if (err.code === "ENOENT") return 0;
+                throw err;
+            }
+        },
+        close() {
+            clearInterval(timer);
+        },
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Redis adapter – a minimal RESP client, enough for GET/SET/SCAN/DEL
+// ---------------------------------------------------------------------------
+/** Encode a command as a RESP array of bulk strings */
+function encodeCommand(args) {
+    const parts = args.map((arg) => {
+        const text = String(arg);
+        return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+    });
+    return `*${args.length}\r\n${parts.join("")}`;
+}
+
+/**
+ * Parse one RESP reply from `buffer` at `offset`.
+ * @returns {{value: *, next: number}|null} null when the reply isn't complete yet
+ */
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf("\r\n", offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString("utf8", offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    if (type === "+") return { value: line, next };
+    if (type === "-") return { value: new Error(line), next };
+    if (type === ":") return { value: Number(line), next };
+    if (type === "$") {
+        const length = Number(line);
+        if (length === -1) return { value: null, next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString("utf8", next, next + length), next: next + length + 2 };
+    }
+    if (type === "*") {
+        const count = Number(line);
+        if (count === -1) return { value: null, next };
+        const items = [];
+        let cursor = next;
+        for (let i = 0; i < count; i++) {
+            const item = parseReply(buffer, cursor);
+            if (!item) return null;
+            items.push(item.value);
+            cursor = item.next;
+        }
+        return { value: items, next: cursor };
+    }
+    throw new Error(`Unexpected Redis reply type "${type}"`);
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.url – redis://[:password@]host[:port][/db]
+ * @param {string} [options.prefix] – namespace for this app's keys
+ * @param {number} [options.timeoutMs] – per-command timeout; a slow cache must not stall requests
+ * @param {object} [options.log]
+ */
+function createRedisStore({ url, prefix = "cinesearch:", timeoutMs = 1000, log = console }) {
+    const target = new URL(url);
+    const db = Number(target.pathname.slice(1)) || 0;
+    let socket = null;
+    let buffer = Buffer.alloc(0);
+    let pending = [];
+
+    function failPending(err) {
+        pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+        pending = [];
+    }
+
+    function onData(chunk) {
+        buffer = Buffer.concat([buffer, chunk]);
+        let reply;
+        while (pending.length && (reply = parseReply(buffer))) {
+            buffer = buffer.subarray(reply.next);
+            const { resolve, reject, timer } = pending.shift();
+            clearTimeout(timer);
+            if (reply.value instanceof Error) reject(reply.value);
+            else resolve(reply.value);
+        }
+    }
+
+    function send(args) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                // Replies arrive in order, so a lost one desynchronises the connection – start over
+                const err = new Error(`Redis ${args[0]} timed out`);
+                if (socket) socket.destroy(err);
+                else failPending(err);
+            }, timeoutMs);
+            pending.push({ resolve, reject, timer });
+            socket.write(encodeCommand(args));
+        });
+    }
+
+    /** Open the connection on first use (and again after it drops), with AUTH/SELECT queued first */
+    function connection() {
+        if (socket) return;
+        socket = net.createConnection({ host: target.hostname, port: Number(target.port) || 6379 });
+        socket.setNoDelay(true);
+        socket.on("data", onData);
+        socket.on("error", (err) => log.error("Redis cache error", { err }));
+        socket.on("close", () => {
+            socket = null;
+            buffer = Buffer.alloc(0);
+            failPending(new Error("Redis connection closed"));
+        });
+        if (target.password) send(["AUTH", decodeURIComponent(target.password)]).catch(() => {});
+        if (db) send(["SELECT", db]).catch(() => {});
+    }
+
+    function command(...args) {
+        connection();
+        return send(args);
+    }
+
+    return {
+        name: "redis",
+        command,
+        async get(key) {
+            const raw = await command("GET", prefix + key);
+            return raw === null ? undefined : JSON.parse(raw);
+        },
+        async set(key, entry, ttlSeconds) {
+            await command("SET", prefix + key, JSON.stringify(entry), "PX", Math.max(1, Math.round(ttlSeconds * 1000)));
+        },
+        async clear() {
+            // Only this app's keys – the server may be shared
+            let cursor = "0";
+            do {
+                const [nextCursor, keys] = await command("SCAN", cursor, "MATCH", `${prefix}*`, "COUNT", 100);
+                if (keys.length) await command("DEL", ...keys);
+                cursor = nextCursor;
+            } while (cursor !== "0");
+        },
+        async count() {
+            return null; // DBSIZE would include other apps' keys, and SCAN is too slow to scrape
+        },
+        close() {
+            if (socket) socket.end();
+        },
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Cache
+// ---------------------------------------------------------------------------
+// Written by check(); the name can't collide with a TMDB cache key ("<path>|<query>")
+const PROBE_KEY = "readiness-probe";
+
+/**
+ * Wrap a store with stale-while-revalidate bookkeeping. Store failures are logged and treated
+ * as misses, so a broken cache degrades to talking to TMDB directly rather than failing requests.
+ * @param {object} store – adapter from one of the factories above
+ * @param {object} options
+ * @param {number} options.staleSeconds – how long past its TTL an entry may still be served
+ * @param {object} [options.log]
+ * @returns {{get: Function, has: Function, set: Function, stats: Function, check: Function, clear: Function,
+ *   close: Function, backend: string}}
+ */
+function createCache(store, { staleSeconds, log = console }) {
+    const counts = { hits: 0, misses: 0, errors: 0 };
+
+    async function read(key) {
+        try {
+            return await store.get(key);
+        } catch (err) {
+            counts.errors++;
+            log.error("Cache read error", { err });
+            return undefined;
+        }
+    }
+
+    return {
+        backend: store.name,
+
+        /** @returns {Promise<{value: *, stale: boolean}|undefined>} */
+        async get(key) {
+            const entry = await read(key);
+            if (!entry) {
+                counts.misses++;
+                return undefined;
+            }
+            counts.hits++;
+            return { value: entry.value, stale: entry.staleAt <= Date.now() };
+        },
+
+        /** Whether `key` is cached (fresh or stale), without counting as a hit or miss */
+        async has(key) {
+            return !!(await read(key));
+        },
+
+        /** Hit/miss/error counts since startup plus the number of stored keys (null if unknown) */
+        async stats() {
+            let keys = null;
+            try {
+                keys = await store.count();
+            } catch (err) {
+                log.error("Cache count error", { err });
+            }
+            return { ...counts, keys };
+        },
+
+        /**
+         * Write and read back a probe entry, bypassing the error swallowing above, so readiness checks
+         * see a store that is down or read-only.
+         * @returns {Promise<{ok: boolean, backend: string, keys?: number|null, error?: string}>}
+         */
+        async check() {
+            try {
+                const probe = { value: Date.now(), staleAt: 0 };
+                await store.set(PROBE_KEY, probe, 60);
+                const read = await store.get(PROBE_KEY);
+                if (read?.value !== probe.value) throw new Error("probe entry did not read back");
+                return { ok: true, backend: store.name, keys: await store.count() };
+            } catch (err) {
+                return { ok: false, backend: store.name, error: err.message };
+            }
+        },
+
+        /** Store `value`, fresh for `ttlSeconds` and kept for `staleSeconds` after that */
+        async set(key, value, ttlSeconds) {
+            try {
+                await store.set(key, { value, staleAt: Date.now() + ttlSeconds * 1000 }, ttlSeconds + staleSeconds);
+            } catch (err) {
+                counts.errors++;
+                log.error("Cache write error", { err });
+            }
+        },
+
+        clear() {
+            return store.clear();
+        },
+
+        close() {
+            store.close();
+        },
+    };
+}
+
+/**
+ * Build the store named by `backend`.
+ * @param {string} backend – memory | disk | redis
+ * @param {object} options – { dir, redisUrl, checkPeriod, maxEntries (memory only), log }
+ */
+function createStore(backend, { dir, redisUrl, checkPeriod, maxEntries, log }) {
+    if (backend === "memory") return createMemoryStore({ checkPeriod, maxEntries });
+    if (backend === "disk") return createDiskStore({ dir, checkPeriod, log });
+    if (backend === "redis") {
+        if (!redisUrl) throw new Error("REDIS_URL must be set when CACHE_BACKEND=redis.");
+        return createRedisStore({ url: redisUrl, log });
+    }
+    throw new Error(`Unknown CACHE_BACKEND "${backend}" (expected memory, disk or redis).`);
+}
+
+module.exports = {
+    createCache,
+    createStore,
+    createMemoryStore,
+    createDiskStore,
+    createRedisStore,
+};
@@ -0,0 +1,139 @@
+"use strict";
+
+/**
+ * On-disk cache for TMDB artwork, capped at `maxBytes` with least-recently-used eviction.
+ *
+ * Files sit flat in `dir` under the caller's names. The LRU order lives in memory (a Map kept in
+ * access order) and is rebuilt from modification times on first use; hits touch the file, so the
+ * order survives restarts.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { pipeline } = require("stream/promises");
+
+/**
+ * @param {object} options
+ * @param {string} options.dir – directory for the files (created on demand)
+ * @param {number} options.maxBytes – total size kept; older files are deleted past it
+ * @param {object} [options.log] – { error(msg, fields) }
+ * @returns {{lookup: Function, save: Function, stats: Function}}
+ */
+function createImageCache({ dir, maxBytes, log = console }) {
+    const entries = new Map(); // name → size in bytes, least recently used first
+    let totalBytes = 0;
+    let loading = null;
+
+    function add(name, size) {
+        if (entries.has(name)) totalBytes -= entries.get(name);
+        entries.delete(name);
+        entries.set(name, size);
+        totalBytes += size;
+    }
+
+    function forget(name) {
+        if (!entries.has(name)) return;
+        totalBytes -= entries.get(name);
+        entries.delete(name);
+    }
+
+    /** Delete least recently used files until the total fits */
+    async function evict() {
+        for (const [name] of entries) {
+            if (totalBytes <= maxBytes) break;
+            forget(name);
+            await fsp.rm(path.join(dir, name), { force: true });
+        }
+    }
+
+    /** Index the files already on disk, oldest first; leftover partial downloads are removed */
+    function load() {
+        loading ??= (async () => {
+            let names = [];
+            try {
+                names = await fsp.readdir(dir);
+            } catch (err) {
+                if (err.code !== "ENOENT") throw err;
+            }
+            const files = [];
+            for (const name of names) {
+                const file = path.join(dir, name);
+                if (name.endsWith(".tmp")) await fsp.rm(file, { force: true });
+                else {
+                    const stat = await fsp.stat(file);
+                    files.push({ name, size: stat.size, mtime: stat.mtimeMs });
+                }
+            }
+            files.sort((a, b) => a.mtime - b.mtime).forEach(({ name, size }) => add(name, size));
+            await evict();
+        })().catch((err) => {
+            loading = null; // try again on the next call
+            throw err;
+        });
+        return loading;
+    }
+
+    return {
+        /** Path of the cached file for `name`, marked as recently used, or null on a miss */
+        async lookup(name) {
+            await load();
+            if (!entries.has(name)) return null;
+            const file = path.join(dir, name);
+            try {
+                const now = new Date();
+                await fsp.utimes(file, now, now);
+            } catch (err) {
+                // Deleted behind our back – a miss, and it no longer counts towards the cap
+                forget(name);
+                if (err.code !== "ENOENT") log.error("Image cache error", { err });
+                return null;
+            }
+            add(name, entries.get(name));
+            return file;
+        },
+
+        /**
+         * Write `source` to the cache as `name`. The stream can be piped elsewhere at the same time
+         * (the HTTP response) – call this first, so no chunk passes before the cache is listening;
+         * a failed write only costs the cache entry, never that other reader.
+         * Files larger than the whole cache are not kept.
+         * @param {string} name
+         * @param {import("stream").Readable} source
+         */
+        async save(name, source) {
+            // Attached synchronously; holds the first chunks while the directory is prepared
+            const buffered = new PassThrough();
+            source.on("error", (err) => buffered.destroy(err));
+            buffered.on("error", () => {}); // surfaced by pipeline() below, even if it fails first
+            source.pipe(buffered);
+            let tmp;
+            try {
+                await load();
+                await fsp.mkdir(dir, { recursive: true });
+                tmp = path.join(dir, `${name}.${crypto.randomUUID()}.tmp`);
+                await pipeline(buffered, fs.createWriteStream(tmp));
+                const { size } = await fsp.stat(tmp);
+                if (size > maxBytes) return await fsp.rm(tmp, { force: true });
+                await fsp.rename(tmp, path.join(dir, name));
+                add(name, size);
+                await evict();
+            } catch (err) {
+                // Stop holding the source back for its other readers
+                source.unpipe(buffered);
+                buffered.destroy();
+                if (tmp) await fsp.rm(tmp, { force: true });
+                throw err;
+            }
+        },
+
+        /** Number of files and bytes currently cached */
+        stats() {
+            return { files: entries.size, bytes: totalBytes };
+        },
+    };
+}
+
+module.exports = { createImageCache };
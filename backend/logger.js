@@ -0,0 +1,50 @@
+"use strict";
+
+/**
+ * Structured logging: one JSON object per line with `time`, `level` and `msg`, then the fields
+ * from `context()` (the request ID for code running inside a request) and the caller's own.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, fatal: 50, silent: Infinity };
+
+/** Errors have no enumerable fields, so JSON.stringify would log `{}` */
+function serializeError(err) {
+    const fields = { message: err.message };
+    if (err.code) fields.code = err.code;
+    if (err.response?.status) fields.status = err.response.status;
+    if (err.config?.url) fields.url = err.config.url; // the API key travels in params, not here
+    // TMDB/axios failures are explained by status and code; anything else is a bug worth a stack
+    if (!err.isAxiosError && err.stack) fields.stack = err.stack;
+    return fields;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.level] – lowest level written: debug | info | warn | error | fatal | silent
+ * @param {{write: Function}} [options.stream] – where lines go (stdout by default)
+ * @param {function(): object} [options.context] – fields added to every line, read at log time
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, fatal: Function}}
+ */
+function createLogger({ level = "info", stream = process.stdout, context = () => ({}) } = {}) {
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown LOG_LEVEL "${level}" (expected ${Object.keys(LEVELS).join(", ")}).`);
+    }
+    const threshold = LEVELS[level];
+
+    function write(lineLevel, msg, fields = {}) {
+        if (LEVELS[lineLevel] < threshold) return;
+        const entry = { time: new Date().toISOString(), level: lineLevel, msg, ...context(), ...fields };
+        if (entry.err instanceof Error) entry.err = serializeError(entry.err);
+        stream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    return {
+        debug: (msg, fields) => write("debug", msg, fields),
+        info: (msg, fields) => write("info", msg, fields),
+        warn: (msg, fields) => write("warn", msg, fields),
+        error: (msg, fields) => write("error", msg, fields),
+        fatal: (msg, fields) => write("fatal", msg, fields),
+    };
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,107 @@
+"use strict";
+
+/**
+ * Minimal Prometheus registry: counters, histograms and collected values, rendered in the text
+ * exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/).
+ */
+
+// Latency buckets in seconds, from a cache hit to a slow upstream call
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+/** `{a="1",b="2"}` for a label object (empty string for no labels) */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return "";
+    return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+/** Stable map key for a label set */
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map((k) => [k, String(labels[k])]));
+}
+
+function createRegistry() {
+    const families = [];
+
+    /** Monotonic counter, optionally labelled */
+    function counter(name, help) {
+        const series = new Map();
+        families.push({
+            name,
+            help,
+            type: "counter",
+            lines: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+        });
+        return {
+            inc(labels = {}, by = 1) {
+                const key = labelKey(labels);
+                const entry = series.get(key) || { labels, value: 0 };
+                entry.value += by;
+                series.set(key, entry);
+            },
+        };
+    }
+
+    /** Histogram of observed values (seconds, by convention) */
+    function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        const series = new Map();
+        families.push({
+            name,
+            help,
+            type: "histogram",
+            lines: () =>
+                [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                    ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+                    `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+                    `${name}_sum${formatLabels(labels)} ${sum}`,
+                    `${name}_count${formatLabels(labels)} ${count}`,
+                ]),
+        });
+        return {
+            observe(labels, value) {
+                const key = labelKey(labels);
+                const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                buckets.forEach((le, i) => {
+                    if (value <= le) entry.counts[i]++;
+                });
+                entry.sum += value;
+                entry.count++;
+                series.set(key, entry);
+            },
+        };
+    }
+
+    /**
+     * Values read at scrape time from state kept elsewhere.
+     * @param {function(): (Array<{labels?: object, value: number}>|Promise<...>)} collect
+     */
+    function collected(name, help, type, collect) {
+        families.push({
+            name,
+            help,
+            type,
+            lines: async () =>
+                (await collect())
+                    .filter(({ value }) => Number.isFinite(value))
+                    .map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`),
+        });
+    }
+
+    /** The whole registry in Prometheus text format */
+    async function render() {
+        const blocks = [];
+        for (const family of families) {
+            const lines = await family.lines();
+            blocks.push(`# HELP ${family.name} ${family.help}\n# TYPE ${family.name} ${family.type}`, ...lines);
+        }
+        return `${blocks.join("\n")}\n`;
+    }
+
+    return { counter, histogram, collected, render };
+}
+
+module.exports = { createRegistry };
@@ -1,25 +1,69 @@
 "use strict";
 
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
 const express = require("express");
 const rateLimit = require("express-rate-limit");
 const slowDown = require("express-slow-down");
 const helmet = require("helmet");
 const cors = require("cors");
-const NodeCache = require("node-cache");
 const axios = require("axios");
-const morgan = require("morgan");
+const { loadApiKeys } = require("./api-keys");
+const { createCache, createStore } = require("./cache");
+const { createImageCache } = require("./image-cache");
+const { createLogger } = require("./logger");
+const { createRegistry } = require("./metrics");
 
 // ---------------------------------------------------------------------------
 // Configuration
 // ---------------------------------------------------------------------------
 const PORT = process.env.PORT || 3000;
 const TMDB_API_KEY = process.env.TMDB_API_KEY;
-const TMDB_BASE_URL = "https://api.themoviedb.org/3";
-const CACHE_TTL_SECONDS = 600; // 10 minutes
+const TMDB_PUBLIC_URL = "https://api.themoviedb.org/3";
+const TMDB_BASE_URL = (process.env.TMDB_BASE_URL || TMDB_PUBLIC_URL).replace(/\/+$/, ""); // e.g. the offline stand-in
+const CACHE_TTL_SECONDS = 600; // 10 minutes, unless CACHE_TTLS says otherwise
+const CACHE_STALE_SECONDS = Number(process.env.CACHE_STALE_SECONDS) || 86400; // served stale while refreshing
 const CACHE_CHECK_PERIOD = 120; // check for expired keys every 2 min
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 5000; // memory backend; least recently used go first
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data"); // persistent lists etc.
+const CACHE_BACKEND = process.env.CACHE_BACKEND || "memory"; // memory | disk | redis
+const CACHE_DIR = process.env.CACHE_DIR || path.join(DATA_DIR, "cache");
+const REDIS_URL = process.env.REDIS_URL; // redis://[:password@]host[:port][/db]
+const BULK_LOOKUPS_PER_SECOND = Number(process.env.BULK_LOOKUPS_PER_SECOND) || 5; // upstream budget for imports/exports
+const TMDB_MAX_RETRIES = Number(process.env.TMDB_MAX_RETRIES ?? 2); // extra attempts for a failed GET
+const TMDB_RETRY_BASE_MS = Number(process.env.TMDB_RETRY_BASE_MS) || 250; // backoff doubles from here
+const TMDB_MAX_RETRY_DELAY_MS = 5000; // longer waits (incl. Retry-After) fail instead
+const CIRCUIT_FAILURE_THRESHOLD = Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5; // consecutive failures
+const CIRCUIT_OPEN_SECONDS = Number(process.env.CIRCUIT_OPEN_SECONDS) || 30; // before a trial request
+const READY_TIMEOUT_MS = 3000; // /api/ready's TMDB probe; below the Docker healthcheck timeout
+const METRICS_TOKEN = process.env.METRICS_TOKEN; // unset = /api/metrics for internal addresses only
+const LOG_LEVEL = process.env.LOG_LEVEL || "info"; // debug | info | warn | error | fatal | silent
+const IMAGE_PROXY = process.env.IMAGE_PROXY !== "off"; // off = browsers load artwork from TMDB directly
+const IMAGE_BASE_URL = (process.env.IMAGE_BASE_URL || "https://image.tmdb.org/t/p").replace(/\/+$/, "");
+const IMAGE_CACHE_DIR = process.env.IMAGE_CACHE_DIR || path.join(DATA_DIR, "images");
+const IMAGE_CACHE_MAX_MB = Number(process.env.IMAGE_CACHE_MAX_MB) || 500; // least recently used files go first
+const IMAGE_TIMEOUT_MS = 15000;
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE) || 40; // per IP, anonymous clients
+const SLOW_DOWN_AFTER = Number(process.env.SLOW_DOWN_AFTER) || 30; // per IP and minute, then +500 ms per request
+const IMAGE_RATE_LIMIT_PER_MINUTE = Number(process.env.IMAGE_RATE_LIMIT_PER_MINUTE) || 600; // /api/image, per IP
+const API_KEYS_FILE = process.env.API_KEYS_FILE; // keys and quotas for third-party consumers; unset = none
 
-if (!TMDB_API_KEY) {
-    console.error("FATAL: TMDB_API_KEY environment variable is not set.");
+// Per-request state: the request ID for log lines, plus what tmdbFetch reports back to the response
+const requestContext = new AsyncLocalStorage();
+
+const log = createLogger({
+    level: LOG_LEVEL,
+    context: () => {
+        const context = requestContext.getStore();
+        return context ? { requestId: context.requestId } : {};
+    },
+});
+
+// The offline stand-in (tmdb-mock/) doesn't check keys, so only the real TMDB needs one
+if (!TMDB_API_KEY && TMDB_BASE_URL === TMDB_PUBLIC_URL) {
+    log.fatal("TMDB_API_KEY environment variable is not set.");
     process.exit(1);
 }
 
@@ -27,39 +71,216 @@ if (!TMDB_API_KEY) {
 // Initialise Express & middleware
 // ---------------------------------------------------------------------------
 const app = express();
+const STARTED_AT = new Date().toISOString();
+
+// IDs from nginx ($request_id) or another proxy are kept; anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const MAX_LOGGED_TMDB_CALLS = 20; // per request line; exports and imports make hundreds
+
+/** Route template for logs and metrics (/api/movie/:id), or "unmatched" */
+function routeOf(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+}
+
+/**
+ * Cache-Control for a GET, unless the route set its own. Responses built from TMDB data are
+ * public for the shortest server cache TTL among the paths they used (context.maxAge), so browsers
+ * and nginx keep them exactly as long as we would; anything else – lists, health, responses with
+ * stale data – must be revalidated (cheap, thanks to ETags), and errors aren't stored at all.
+ */
+function cacheControlFor(res, context) {
+    if (res.statusCode >= 400) return "no-store";
+    if (context.tmdbCalls && !context.stale) return `public, max-age=${context.maxAge}`;
+    return "no-cache";
+}
+
+// Request ID, per-request context and the access log line. Also:
+//  - every error body gets `requestId`, so users can quote it in bug reports
+//  - X-Cache: STALE when any TMDB data in the response came from an expired cache entry, and
+//    Cache-Control for GETs (tmdbFetch fills in the context; headers are added as they go out)
+app.use((req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const context = { requestId, stale: false, tmdb: [], tmdbCalls: 0, maxAge: Infinity };
+    const start = process.hrtime.bigint();
+    res.setHeader("X-Request-Id", requestId);
+
+    const json = res.json;
+    res.json = function (body) {
+        const isError = res.statusCode >= 400 && body && typeof body === "object" && !Array.isArray(body);
+        return json.call(this, isError ? { ...body, requestId } : body);
+    };
+
+    const writeHead = res.writeHead;
+    res.writeHead = function (...args) {
+        if (context.stale) res.setHeader("X-Cache", "STALE");
+        if (typeof args[0] === "number") res.statusCode = args[0];
+        if (["GET", "HEAD"].includes(req.method) && !res.hasHeader("Cache-Control")) {
+            res.setHeader("Cache-Control", cacheControlFor(res, context));
+        }
+        return writeHead.apply(this, args);
+    };
+
+    res.on("finish", () => {
+        log.info("request", {
+            requestId,
+            method: req.method,
+            url: req.originalUrl,
+            route: routeOf(req),
+            status: res.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+            tmdb: context.tmdb,
+            tmdbCalls: context.tmdbCalls,
+            apiKey: req.apiKey?.id,
+        });
+    });
+    requestContext.run(context, next);
+});
 
 app.use(helmet());
 app.use(cors());
-app.use(morgan("combined"));
 app.use(express.json());
 
+// Strong ETags (a hash of the body) with If-None-Match → 304, handled by res.send. Bodies are built
+// from cached TMDB payloads, so the ETag changes exactly when the underlying payload does.
+app.set("etag", "strong");
+
+// ---------------------------------------------------------------------------
+// Metrics – Prometheus series served by GET /api/metrics
+// ---------------------------------------------------------------------------
+const metrics = createRegistry();
+const httpRequests = metrics.counter("cinesearch_http_requests_total", "API requests by method, route and status.");
+const httpDuration = metrics.histogram("cinesearch_http_request_duration_seconds", "API response time by route.");
+const tmdbDuration = metrics.histogram(
+    "cinesearch_tmdb_request_duration_seconds",
+    "TMDB response time by path, per attempt."
+);
+const tmdbErrors = metrics.counter("cinesearch_tmdb_errors_total", "Failed TMDB attempts by path and reason.");
+const slowedRequests = metrics.counter("cinesearch_rate_limit_slowed_total", "Requests delayed by the speed limiter.");
+const rejectedRequests = metrics.counter("cinesearch_rate_limit_rejected_total", "Requests the rate limiter refused.");
+
+function secondsSince(start) {
+    return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+app.use((req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on("finish", () => {
+        // The route template, not the URL, so the series stay bounded
+        const route = routeOf(req);
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        httpDuration.observe({ method: req.method, route }, secondsSince(start));
+    });
+    next();
+});
+
+// ---------------------------------------------------------------------------
+// API keys – optional X-API-Key for internal tools, limited per key instead of per IP
+// ---------------------------------------------------------------------------
+let apiKeys = null;
+if (API_KEYS_FILE) {
+    try {
+        apiKeys = loadApiKeys(API_KEYS_FILE);
+    } catch (err) {
+        log.fatal(err.message);
+        process.exit(1);
+    }
+}
+
+// Usage since startup by key ID, for GET /api/admin/usage
+const apiKeyUsage = new Map(apiKeys?.keys.map(({ id }) => [id, { requests: 0, rejected: 0, lastUsedAt: null }]));
+
+// No header = anonymous (per-IP limits); a header we don't know is refused rather than ignored,
+// so a mistyped key fails loudly instead of quietly falling back to the much lower IP limits
+app.use("/api/", (req, res, next) => {
+    const presented = req.get("X-API-Key");
+    if (presented === undefined) return next();
+    const apiKey = apiKeys?.lookup(presented);
+    if (!apiKey) return res.status(401).json({ error: "Invalid API key." });
+
+    req.apiKey = apiKey;
+    const usage = apiKeyUsage.get(apiKey.id);
+    usage.requests++;
+    usage.lastUsedAt = new Date().toISOString();
+    next();
+});
+
 // ---------------------------------------------------------------------------
 // Rate limiting – protects both our server and the upstream TMDB API
 // ---------------------------------------------------------------------------
 
-// Slow down: after 30 requests in 1 minute, add 500 ms delay per request
+// Artwork has its own, higher limit: a results page loads 20+ posters at once
+const isImageRequest = (req) => req.path.startsWith("/image/");
+// The per-IP limits are for anonymous (browser) traffic; key holders have their own quota
+const skipIpLimits = (req) => Boolean(req.apiKey) || isImageRequest(req);
+
+// Slow down: after SLOW_DOWN_AFTER requests in 1 minute, add 500 ms delay per request
 const speedLimiter = slowDown({
     windowMs: 60 * 1000,
-    delayAfter: 30,
-    delayMs: (hits) => (hits - 30) * 500,
+    skip: skipIpLimits,
+    delayAfter: SLOW_DOWN_AFTER,
+    delayMs: (hits) => {
+        slowedRequests.inc(); // only called once a client is over delayAfter
+        return (hits - SLOW_DOWN_AFTER) * 500;
+    },
 });
 
-// Hard limit: max 40 requests per minute per IP
+// Hard limit: max RATE_LIMIT_PER_MINUTE requests per minute per IP
 const rateLimiter = rateLimit({
     windowMs: 60 * 1000,
-    max: 40,
+    max: RATE_LIMIT_PER_MINUTE,
+    skip: skipIpLimits,
     standardHeaders: true,
     legacyHeaders: false,
     message: {
         error: "Too many requests – please wait a moment and try again.",
     },
+    handler: (req, res, _next, options) => {
+        rejectedRequests.inc();
+        res.status(options.statusCode).json(options.message);
+    },
+});
+
+// Image limit: per IP for everyone, key holders included – every miss is a TMDB fetch and a disk
+// write, so random file names mustn't be free
+const imageRateLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    limit: IMAGE_RATE_LIMIT_PER_MINUTE,
+    skip: (req) => !isImageRequest(req),
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        rejectedRequests.inc();
+        res.status(429).json({ error: "Too many image requests – please wait a moment and try again." });
+    },
 });
 
-// Only apply rate/speed limiters outside of the test environment
+// Per-key limit: the key's perMinute, counted by key ID, so every host using a key shares its quota
+const apiKeyLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    limit: (req) => req.apiKey.perMinute,
+    keyGenerator: (req) => req.apiKey.id,
+    skip: (req) => !req.apiKey || isImageRequest(req),
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        rejectedRequests.inc();
+        apiKeyUsage.get(req.apiKey.id).rejected++;
+        res.status(429).json({
+            error: `Rate limit for this API key reached (${req.apiKey.perMinute} requests per minute).`,
+        });
+    },
+});
+
+// Only apply the per-IP rate/speed limiters outside of the test environment
 if (process.env.NODE_ENV !== "test") {
     app.use("/api/", speedLimiter);
     app.use("/api/", rateLimiter);
 }
+// Key quotas are part of what a key holder was given, so they apply everywhere; the image limit
+// is far above what the UI needs, so tests stay well within it too
+app.use("/api/", apiKeyLimiter);
+app.use("/api/", imageRateLimiter);
 
 // Trust proxy (needed for rate limiter to read real client IP behind Nginx)
 app.set("trust proxy", 1);
@@ -67,213 +288,2519 @@ app.set("trust proxy", 1);
 // ---------------------------------------------------------------------------
 // Cache – avoids redundant calls to TMDB for identical queries
 // ---------------------------------------------------------------------------
-const cache = new NodeCache({
-    stdTTL: CACHE_TTL_SECONDS,
-    checkperiod: CACHE_CHECK_PERIOD,
-    useClones: false,
-});
+let cache;
+try {
+    const store = createStore(CACHE_BACKEND, {
+        dir: CACHE_DIR,
+        redisUrl: REDIS_URL,
+        checkPeriod: CACHE_CHECK_PERIOD,
+        maxEntries: CACHE_MAX_ENTRIES,
+        log,
+    });
+    cache = createCache(store, { staleSeconds: CACHE_STALE_SECONDS, log });
+} catch (err) {
+    log.fatal(err.message);
+    process.exit(1);
+}
+
+// TMDB artwork for /api/image, on disk whatever CACHE_BACKEND says
+const imageCache = createImageCache({ dir: IMAGE_CACHE_DIR, maxBytes: IMAGE_CACHE_MAX_MB * 1024 * 1024, log });
+
+// Freshness per TMDB path, first match wins; anything else gets CACHE_TTL_SECONDS
+const CACHE_TTLS = [
+    [/^\/genre\//, 86400], // genre lists almost never change
+    [/^\/trending\//, 3600], // TMDB recomputes trending hourly
+];
+
+function cacheTtlFor(tmdbPath) {
+    const rule = CACHE_TTLS.find(([pattern]) => pattern.test(tmdbPath));
+    return rule ? rule[1] : CACHE_TTL_SECONDS;
+}
+
+// Upstream requests in flight by cache key – identical concurrent calls share one
+const inFlight = new Map();
+
+// Running totals for tmdbFetch, reported by /api/health
+const tmdbStats = { calls: 0, cacheHits: 0, upstreamRequests: 0, deduplicated: 0, retries: 0, staleServed: 0 };
+
+/**
+ * Circuit breaker for TMDB: after CIRCUIT_FAILURE_THRESHOLD consecutive failed calls it opens and
+ * calls fail fast for CIRCUIT_OPEN_SECONDS; then a single trial call decides whether to close it
+ * again (success) or reopen it (failure).
+ */
+const circuit = {
+    state: "closed", // closed | open | half-open
+    failures: 0,
+    openUntil: 0,
+
+    /** Whether a call may go upstream now; the first call after the cool-down becomes the trial */
+    allow() {
+        if (this.state === "closed") return true;
+        if (this.state === "open" && Date.now() >= this.openUntil) {
+            this.state = "half-open";
+            return true;
+        }
+        return false;
+    },
+
+    success() {
+        this.state = "closed";
+        this.failures = 0;
+    },
+
+    failure() {
+        this.failures++;
+        if (this.state === "half-open" || this.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+            if (this.state !== "open") log.warn("TMDB circuit opened", { failures: this.failures });
+            this.state = "open";
+            this.openUntil = Date.now() + CIRCUIT_OPEN_SECONDS * 1000;
+        }
+    },
+
+    reset() {
+        this.success();
+        this.openUntil = 0;
+    },
+};
+
+/** Whether an axios error means TMDB itself is struggling (no answer, 5xx or 429), not a bad request */
+function isUpstreamFailure(err) {
+    const status = err.response?.status;
+    return !status || status >= 500 || status === 429;
+}
+
+/** Retry-After as milliseconds (delta-seconds or an HTTP date), or null if absent/invalid */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === "") return null;
+    if (/^\d+$/.test(String(value).trim())) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * How long to wait before retrying a failed GET, or null when it shouldn't be retried: 4xx
+ * answers won't change, and a 429 asking for longer than TMDB_MAX_RETRY_DELAY_MS fails now.
+ */
+function retryDelay(err, attempt) {
+    if (attempt >= TMDB_MAX_RETRIES || !isUpstreamFailure(err)) return null;
+    if (err.response?.status === 429) {
+        const retryAfter = parseRetryAfter(err.response.headers?.["retry-after"]);
+        if (retryAfter !== null) return retryAfter <= TMDB_MAX_RETRY_DELAY_MS ? retryAfter : null;
+    }
+    // Exponential backoff with full jitter, so retrying instances don't stampede in lockstep
+    return Math.random() * Math.min(TMDB_MAX_RETRY_DELAY_MS, TMDB_RETRY_BASE_MS * 2 ** attempt);
+}
+
+/** Note a TMDB lookup on the current request: for its log line and its Cache-Control max-age */
+function noteTmdbCall(path, cacheResult) {
+    const context = requestContext.getStore();
+    if (!context) return;
+    context.tmdbCalls++;
+    context.maxAge = Math.min(context.maxAge, cacheTtlFor(path));
+    if (context.tmdb.length < MAX_LOGGED_TMDB_CALLS) context.tmdb.push({ path, cache: cacheResult });
+}
+
+/** Cache key for a TMDB request (path plus the full query, locale included) */
+function tmdbCacheKey(path, query) {
+    return `${path}|${JSON.stringify(query)}`;
+}
 
 /**
- * Fetch from TMDB with caching.
+ * Fetch from TMDB with caching. Stale entries are returned immediately and refreshed in the
+ * background; TTLs come from CACHE_TTLS.
  * @param {string} path  – TMDB API path, e.g. "/search/movie"
  * @param {object} params – query-string parameters (api_key is added automatically)
+ * @param {object} [locale] – `{ language, region }` from the request; overrides params and
+ *                            is part of the cache key so translations never leak across locales
  * @returns {Promise<object>} parsed JSON response
  */
-async function tmdbFetch(path, params = {}) {
-    const cacheKey = `${path}|${JSON.stringify(params)}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return cached;
+async function tmdbFetch(path, params = {}, locale = {}) {
+    tmdbStats.calls++;
+    const query = { ...params, ...locale };
+    const cacheKey = tmdbCacheKey(path, query);
+    const cached = await cache.get(cacheKey);
+    noteTmdbCall(path, cached ? (cached.stale ? "stale" : "hit") : "miss");
+    if (!cached) return fetchShared(path, query, cacheKey);
 
-    const response = await axios.get(`${TMDB_BASE_URL}${path}`, {
-        params: { api_key: TMDB_API_KEY, ...params },
-        timeout: 8000,
-    });
+    tmdbStats.cacheHits++;
+    if (cached.stale) {
+        tmdbStats.staleServed++;
+        const context = requestContext.getStore();
+        if (context) context.stale = true;
+        // Stale-while-revalidate: answer from cache now, refresh for the next caller – unless
+        // the circuit is open, in which case the stale copy is the last known good value
+        if (!inFlight.has(cacheKey) && circuit.state !== "open") {
+            fetchShared(path, query, cacheKey).catch((err) => {
+                log.warn("Cache refresh failed", { tmdbPath: path, err });
+            });
+        }
+    }
+    return cached.value;
+}
 
-    cache.set(cacheKey, response.data);
-    return response.data;
+/**
+ * Fetch `cacheKey` from TMDB unless a request for it is already pending, in which case the
+ * caller shares that promise – including its rejection, since failures are never cached.
+ */
+function fetchShared(path, query, cacheKey) {
+    const pending = inFlight.get(cacheKey);
+    if (pending) {
+        tmdbStats.deduplicated++;
+        return pending;
+    }
+    const request = fetchAndCache(path, query, cacheKey).finally(() => inFlight.delete(cacheKey));
+    inFlight.set(cacheKey, request);
+    return request;
+}
+
+async function fetchAndCache(path, query, cacheKey) {
+    const data = await requestTmdb(path, query);
+    await cache.set(cacheKey, data, cacheTtlFor(path));
+    return data;
+}
+
+/** Metrics label for a TMDB path: IDs collapsed so /movie/27205 and /movie/155 share a series */
+function tmdbPathLabel(tmdbPath) {
+    return tmdbPath.replace(/\/(\d+|tt\d+)(?=\/|$)/g, "/:id");
+}
+
+/** Short failure reason for metrics: the HTTP status, "timeout" or "network" */
+function tmdbErrorReason(err) {
+    if (err.response) return String(err.response.status);
+    return err.code === "ECONNABORTED" || err.code === "ETIMEDOUT" ? "timeout" : "network";
+}
+
+/** GET from TMDB through the circuit breaker, retrying upstream failures with backoff */
+async function requestTmdb(path, query) {
+    const pathLabel = tmdbPathLabel(path);
+    if (!circuit.allow()) {
+        tmdbErrors.inc({ path: pathLabel, reason: "circuit_open" });
+        const err = new Error("TMDB circuit is open");
+        err.code = "ECIRCUITOPEN";
+        throw err;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        const start = process.hrtime.bigint();
+        try {
+            tmdbStats.upstreamRequests++;
+            const response = await axios.get(`${TMDB_BASE_URL}${path}`, {
+                params: { api_key: TMDB_API_KEY, ...query },
+                timeout: 8000,
+            });
+            tmdbDuration.observe({ path: pathLabel }, secondsSince(start));
+            circuit.success();
+            return response.data;
+        } catch (err) {
+            tmdbDuration.observe({ path: pathLabel }, secondsSince(start));
+            tmdbErrors.inc({ path: pathLabel, reason: tmdbErrorReason(err) });
+            const delay = retryDelay(err, attempt);
+            if (delay === null) {
+                // A 404 still proves TMDB is up; only outages count towards opening the circuit
+                if (isUpstreamFailure(err)) circuit.failure();
+                else circuit.success();
+                throw err;
+            }
+            tmdbStats.retries++;
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+    }
 }
 
 // ---------------------------------------------------------------------------
-// Routes
+// Locale – every route accepts ?locale=xx[-YY] and ?region=YY. ?language= is an alias for
+// ?locale=, except on the routes below, where it has been the original-language filter from the start
 // ---------------------------------------------------------------------------
+const ORIGINAL_LANGUAGE_ROUTES = new Set(["/api/search", "/api/search/export"]);
+
+/**
+ * Parse the locale query parameters, normalising case (fr-fr → fr-FR, be → BE).
+ * @param {object} query – req.query
+ * @param {boolean} [languageIsFilter] – whether ?language= means something else on this route
+ * @returns {{error: string}|{language?: string, region?: string}}
+ */
+function parseLocale(query, languageIsFilter = false) {
+    const locale = {};
+
+    const param = languageIsFilter || (query.locale !== undefined && query.locale !== "") ? "locale" : "language";
+    if (query[param] !== undefined && query[param] !== "") {
+        const [lang, country] = String(query[param]).split("-");
+        const language = country === undefined ? lang.toLowerCase() : `${lang.toLowerCase()}-${country.toUpperCase()}`;
+        if (!/^[a-z]{2}(-[A-Z]{2})?$/.test(language)) {
+            return { error: `${param} must be an ISO 639-1 code, optionally with a region, e.g. fr or pt-BR.` };
+        }
+        locale.language = language;
+    }
+
+    if (query.region !== undefined && query.region !== "") {
+        const region = String(query.region).toUpperCase();
+        if (!/^[A-Z]{2}$/.test(region)) {
+            return { error: "region must be a two-letter ISO 3166-1 country code, e.g. BE." };
+        }
+        locale.region = region;
+    }
+
+    return locale;
+}
+
+/**
+ * Appended images/videos are filtered by the request language on TMDB's side; keep English and
+ * language-neutral ones too so a translated detail page doesn't lose its gallery and trailers.
+ * @param {object} locale – req.locale
+ * @returns {object} extra TMDB params (empty for the default locale)
+ */
+function mediaLanguageParams(locale) {
+    if (!locale.language) return {};
+    const lang = locale.language.slice(0, 2);
+    return { include_image_language: `${lang},en,null`, include_video_language: `${lang},en` };
+}
+
+app.use("/api/", (req, res, next) => {
+    const locale = parseLocale(req.query, ORIGINAL_LANGUAGE_ROUTES.has(req.baseUrl + req.path));
+    if (locale.error) return res.status(400).json({ error: locale.error });
+    req.locale = locale;
+    next();
+});
 
 // ---------------------------------------------------------------------------
 // Routes
 // ---------------------------------------------------------------------------
 
-// Health check
+// Health check, with tmdbFetch counters (deduplicated = callers that joined an in-flight request).
+// Liveness only: it answers without touching TMDB or the cache – see /api/ready for those.
 app.get("/api/health", (_req, res) => {
-    res.json({ status: "ok", timestamp: new Date().toISOString() });
+    res.json({ status: "ok", timestamp: new Date().toISOString(), tmdb: tmdbStats });
+});
+
+/**
+ * GET /api/config
+ * Deploy-time settings the frontend reads at startup: whether artwork goes through /api/image.
+ */
+app.get("/api/config", (_req, res) => {
+    res.json({ imageProxy: IMAGE_PROXY });
+});
+
+/**
+ * Ask TMDB for /configuration with our key – a cheap call that fails with 401 for a bad key.
+ * Goes straight to TMDB (no cache, retries or circuit breaker) so it reports what TMDB says now.
+ * @returns {Promise<{ok: boolean, url: string, latencyMs: number, status?: number, error?: string}>}
+ */
+async function checkTmdb() {
+    const start = process.hrtime.bigint();
+    const result = { url: TMDB_BASE_URL };
+    try {
+        await axios.get(`${TMDB_BASE_URL}/configuration`, {
+            params: { api_key: TMDB_API_KEY },
+            timeout: READY_TIMEOUT_MS,
+        });
+        return { ok: true, ...result, latencyMs: Math.round(secondsSince(start) * 1000) };
+    } catch (err) {
+        const reason = tmdbErrorReason(err);
+        result.latencyMs = Math.round(secondsSince(start) * 1000);
+        if (err.response) result.status = err.response.status;
+        if (err.response?.status === 401) result.error = "TMDB rejected the API key.";
+        else if (err.response) result.error = `TMDB answered ${err.response.status}.`;
+        else if (reason === "timeout") result.error = `TMDB did not answer within ${READY_TIMEOUT_MS} ms.`;
+        else result.error = `Could not reach TMDB (${err.code || err.message}).`;
+        return { ok: false, ...result };
+    }
+}
+
+/**
+ * GET /api/ready
+ * Readiness: TMDB accepts our key, the cache store reads and writes, and the circuit breaker is
+ * closed. 200 with `status: "ready"`, or 503 with `status: "degraded"` and what failed in `checks`.
+ */
+app.get("/api/ready", async (_req, res) => {
+    const [tmdb, cacheCheck] = await Promise.all([checkTmdb(), cache.check()]);
+    const checks = {
+        tmdb,
+        cache: cacheCheck,
+        circuit: {
+            ok: circuit.state !== "open",
+            state: circuit.state,
+            failures: circuit.failures,
+            ...(circuit.state === "open" && { retryAt: new Date(circuit.openUntil).toISOString() }),
+        },
+    };
+    const ready = Object.values(checks).every((check) => check.ok);
+    if (!ready) log.warn("Not ready", { checks });
+    res.status(ready ? 200 : 503).json({
+        status: ready ? "ready" : "degraded",
+        timestamp: new Date().toISOString(),
+        checks,
+    });
+});
+
+// Scrape-time values from the cache, tmdbFetch and the circuit breaker
+const cacheStat = (name) => async () => [{ value: (await cache.stats())[name] }];
+metrics.collected("cinesearch_cache_hits_total", "Cache lookups that found an entry.", "counter", cacheStat("hits"));
+metrics.collected("cinesearch_cache_misses_total", "Cache lookups that found nothing.", "counter", cacheStat("misses"));
+metrics.collected("cinesearch_cache_errors_total", "Failed cache reads and writes.", "counter", cacheStat("errors"));
+metrics.collected("cinesearch_cache_keys", "Entries in the cache (absent for Redis).", "gauge", cacheStat("keys"));
+metrics.collected("cinesearch_cache_stale_served_total", "Responses served from expired entries.", "counter", () => [
+    { value: tmdbStats.staleServed },
+]);
+metrics.collected("cinesearch_tmdb_deduplicated_total", "Calls that joined an in-flight request.", "counter", () => [
+    { value: tmdbStats.deduplicated },
+]);
+metrics.collected("cinesearch_tmdb_retries_total", "TMDB attempts that were retried.", "counter", () => [
+    { value: tmdbStats.retries },
+]);
+metrics.collected("cinesearch_image_cache_bytes", "Bytes of artwork in the image cache.", "gauge", () => [
+    { value: imageCache.stats().bytes },
+]);
+metrics.collected("cinesearch_image_cache_files", "Files in the image cache.", "gauge", () => [
+    { value: imageCache.stats().files },
+]);
+metrics.collected("cinesearch_tmdb_circuit_open", "1 while the TMDB circuit breaker is open.", "gauge", () => [
+    { value: circuit.state === "open" ? 1 : 0 },
+]);
+
+/** Loopback and private-range addresses (IPv4, IPv4-mapped IPv6 and IPv6 ULA) */
+function isInternalAddress(ip = "") {
+    const address = ip.replace(/^::ffff:/, "");
+    return (
+        address === "::1" ||
+        /^(127|10)\./.test(address) ||
+        /^192\.168\./.test(address) ||
+        /^172\.(1[6-9]|2\d|3[01])\./.test(address) ||
+        /^f[cd][0-9a-f]{2}:/i.test(address)
+    );
+}
+
+/**
+ * GET /api/metrics
+ * Prometheus text format. With METRICS_TOKEN set it needs `Authorization: Bearer <token>`;
+ * without one, only loopback and private-network clients may scrape it.
+ */
+app.get("/api/metrics", async (req, res) => {
+    if (METRICS_TOKEN) {
+        const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+        const given = Buffer.from(req.get("Authorization") || "");
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return res.status(401).json({ error: "A valid metrics token is required." });
+        }
+    } else if (!isInternalAddress(req.ip)) {
+        return res.status(403).json({ error: "Metrics are only available from the internal network." });
+    }
+
+    try {
+        res.type("text/plain; version=0.0.4").send(await metrics.render());
+    } catch (err) {
+        log.error("Metrics error", { err });
+        res.status(500).json({ error: "Failed to collect metrics." });
+    }
+});
+
+/**
+ * GET /api/admin/usage
+ * Requests and rate-limit rejections per API key since the backend started, with each key's
+ * quota and its current one-minute window. Needs a key with `admin: true`.
+ */
+app.get("/api/admin/usage", async (req, res) => {
+    if (!req.apiKey) return res.status(401).json({ error: "An admin API key is required." });
+    if (!req.apiKey.admin) return res.status(403).json({ error: "This API key may not read usage." });
+
+    const keys = await Promise.all(
+        apiKeys.keys.map(async ({ id, tier, perMinute, admin }) => {
+            const window = await apiKeyLimiter.getKey(id);
+            return {
+                id,
+                tier,
+                perMinute,
+                admin,
+                ...apiKeyUsage.get(id),
+                currentWindow: { used: window?.totalHits ?? 0, resetAt: window?.resetTime?.toISOString() ?? null },
+            };
+        })
+    );
+    res.set("Cache-Control", "no-store").json({ since: STARTED_AT, keys });
 });
 
+/**
+ * TMDB's movie genre list, English unless the locale names a language. Everything that needs
+ * genre names goes through here, so they share one cache entry per locale.
+ */
+function fetchGenres(locale) {
+    return tmdbFetch("/genre/movie/list", { language: "en" }, locale);
+}
+
 /**
  * GET /api/genres
  * Returns the full TMDB genre list (cached).
  */
-app.get("/api/genres", async (_req, res) => {
+app.get("/api/genres", async (req, res) => {
     try {
-        const data = await tmdbFetch("/genre/movie/list", { language: "en" });
+        const data = await fetchGenres(req.locale);
         res.json(data);
     } catch (err) {
-        console.error("Genre fetch error:", err.message);
+        log.error("Genre fetch error", { err });
         res.status(502).json({ error: "Failed to fetch genres from TMDB." });
     }
 });
 
 /**
- * GET /api/search
+ * Reduce a TMDB /search/person result to what a person picker needs.
+ * @param {object} person – raw TMDB person search result
+ * @returns {object} candidate with id, name, department, profile and known-for titles
+ */
+function toPersonCandidate(person) {
+    return {
+        id: person.id,
+        name: person.name,
+        department: person.known_for_department || null,
+        profile_path: person.profile_path || null,
+        popularity: person.popularity || 0,
+        known_for: (person.known_for || []).slice(0, 3).map((k) => ({
+            id: k.id,
+            media_type: k.media_type || "movie",
+            title: k.title || k.name,
+            year: (k.release_date || k.first_air_date || "").slice(0, 4) || null,
+        })),
+    };
+}
+
+/** Lower-case, accent-free name with collapsed whitespace for comparison ("Zoë  Kravitz" → "zoe kravitz") */
+function normalisePersonName(name) {
+    return String(name || "")
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Resolve a free-text person name to the most popular matching TMDB person ID.
+ * When several people carry exactly that name, picking the most popular one would quietly
+ * filter by the wrong person, so they come back as candidates instead.
+ * @param {string} name – trimmed person name
+ * @param {object} [locale] – req.locale
+ * @returns {Promise<{id: number|null}|{candidates: object[]}>} id is null when TMDB has no match
+ */
+async function resolvePersonId(name, locale) {
+    const personSearch = await tmdbFetch("/search/person", { query: name, include_adult: false }, locale);
+    const results = personSearch.results || [];
+    const wanted = normalisePersonName(name);
+    const namesakes = results.filter((p) => normalisePersonName(p.name) === wanted);
+    if (namesakes.length > 1) return { candidates: namesakes.map(toPersonCandidate) };
+    return { id: results[0]?.id ?? null };
+}
+
+/**
+ * GET /api/people/search
  *
- * At least one of: query, year, genre, cast, director must be provided.
- *   query    – movie title keyword(s)
- *   year     – primary release year (YYYY)
- *   genre    – TMDB genre ID (numeric)
- *   cast     – actor name (resolved to TMDB person ID)
- *   director – director name (resolved to TMDB person ID)
- *   page     – results page (default 1)
+ * Ranked person candidates for disambiguating cast/director filters.
+ *   query      – person name (required, max 100 chars)
+ *   department – optional preferred department, e.g. "Acting" or "Directing";
+ *                matching people are ranked first
+ *   page       – results page (default 1)
  */
-app.get("/api/search", async (req, res) => {
+app.get("/api/people/search", async (req, res) => {
     try {
-        const { query, year, genre, cast, director, page = "1" } = req.query;
+        const { query, department, page = "1" } = req.query;
 
-        // At least one search parameter required
-        if (!query && !year && !genre && !cast && !director) {
-            return res.status(400).json({
-                error: "Provide at least one search parameter: query, year, genre, cast, or director.",
-            });
+        const trimmed = typeof query === "string" ? query.trim() : "";
+        if (!trimmed) {
+            return res.status(400).json({ error: "query parameter is required." });
         }
-
-        // Validate year
-        if (year !== undefined) {
-            const y = Number(year);
-            if (!Number.isInteger(y) || y < 1880 || y > new Date().getFullYear() + 5) {
-                return res.status(400).json({ error: "Invalid year." });
-            }
+        if (trimmed.length > 100) {
+            return res.status(400).json({ error: "query parameter too long." });
         }
 
-        // Validate page
         const pageNum = Number(page);
         if (!Number.isInteger(pageNum) || pageNum < 1 || pageNum > 500) {
             return res.status(400).json({ error: "page must be an integer between 1 and 500." });
         }
 
-        // Validate genre
-        if (genre !== undefined && !/^\d+$/.test(genre)) {
-            return res.status(400).json({ error: "genre must be a numeric TMDB genre ID." });
-        }
-
-        // Resolve cast person ID
-        let castId;
-        if (cast) {
-            const castTrimmed = cast.trim();
-            if (castTrimmed.length > 100) {
-                return res.status(400).json({ error: "cast parameter too long." });
-            }
-            const personSearch = await tmdbFetch("/search/person", {
-                query: castTrimmed,
-                include_adult: false,
-            });
-            if (!personSearch.results || personSearch.results.length === 0) {
-                return res.json({ results: [], total_results: 0, total_pages: 0, page: pageNum });
-            }
-            castId = personSearch.results[0].id;
-        }
+        const data = await tmdbFetch(
+            "/search/person",
+            { query: trimmed, page: pageNum, include_adult: false },
+            req.locale
+        );
 
-        // Resolve director person ID
-        let directorId;
-        if (director) {
-            const dirTrimmed = director.trim();
-            if (dirTrimmed.length > 100) {
-                return res.status(400).json({ error: "director parameter too long." });
-            }
-            const personSearch = await tmdbFetch("/search/person", {
-                query: dirTrimmed,
-                include_adult: false,
-            });
-            if (!personSearch.results || personSearch.results.length === 0) {
-                return res.json({ results: [], total_results: 0, total_pages: 0, page: pageNum });
-            }
-            directorId = personSearch.results[0].id;
-        }
-
-        // Choose: /search/movie (title-only) vs /discover/movie (any filter)
-        let data;
-        const useDiscover = !!(genre || castId || directorId || (year && !query));
-
-        if (!useDiscover) {
-            // Simple title search with optional year
-            const params = { query: query.trim(), page: pageNum, include_adult: false };
-            if (year) params.primary_release_year = year;
-            data = await tmdbFetch("/search/movie", params);
-        } else {
-            // Discover for genre / cast / director (+ optional keyword)
-            const params = {
-                page: pageNum,
-                include_adult: false,
-                sort_by: "popularity.desc",
-            };
-            if (query) params.with_keywords = query.trim();
-            if (year) params.primary_release_year = year;
-            if (genre) params.with_genres = genre;
-            if (castId) params.with_cast = String(castId);
-            if (directorId) params.with_crew = String(directorId);
-            data = await tmdbFetch("/discover/movie", params);
-
-            // Fallback: if discover returns nothing and we have a title query, try /search/movie
-            if (query && (!data.results || data.results.length === 0)) {
-                const fbParams = { query: query.trim(), page: pageNum, include_adult: false };
-                if (year) fbParams.primary_release_year = year;
-                data = await tmdbFetch("/search/movie", fbParams);
+        const preferred = typeof department === "string" ? department.trim().toLowerCase() : "";
+        const results = (data.results || []).map(toPersonCandidate).sort((a, b) => {
+            if (preferred) {
+                const aMatch = (a.department || "").toLowerCase() === preferred;
+                const bMatch = (b.department || "").toLowerCase() === preferred;
+                if (aMatch !== bMatch) return aMatch ? -1 : 1;
             }
-        }
+            return b.popularity - a.popularity;
+        });
 
         res.json({
-            results: data.results || [],
+            results,
             total_results: data.total_results || 0,
             total_pages: data.total_pages || 0,
             page: pageNum,
         });
     } catch (err) {
-        console.error("Search error:", err.message);
-        res.status(502).json({ error: "Failed to fetch search results from TMDB." });
+        log.error("People search error", { err });
+        res.status(502).json({ error: "Failed to fetch people from TMDB." });
     }
 });
 
 /**
- * GET /api/movie/:id
- * Full movie details including credits, videos, images, recommendations, reviews.
+ * GET /api/keywords
+ *
+ * TMDB keyword lookup, so keyword text can be turned into IDs for /api/search.
+ *   query – keyword text (required, max 100 chars)
+ *   page  – results page (default 1)
  */
-app.get("/api/movie/:id", async (req, res) => {
+app.get("/api/keywords", async (req, res) => {
     try {
-        const movieId = Number(req.params.id);
-        if (!Number.isInteger(movieId) || movieId <= 0) {
-            return res.status(400).json({ error: "Invalid movie ID." });
+        const { query, page = "1" } = req.query;
+
+        const trimmed = typeof query === "string" ? query.trim() : "";
+        if (!trimmed) {
+            return res.status(400).json({ error: "query parameter is required." });
+        }
+        if (trimmed.length > 100) {
+            return res.status(400).json({ error: "query parameter too long." });
         }
 
-        const data = await tmdbFetch(`/movie/${movieId}`, {
-            append_to_response: "credits,videos,images,recommendations,reviews",
-        });
+        const pageNum = Number(page);
+        if (!Number.isInteger(pageNum) || pageNum < 1 || pageNum > 500) {
+            return res.status(400).json({ error: "page must be an integer between 1 and 500." });
+        }
 
-        res.json(data);
+        const data = await tmdbFetch("/search/keyword", { query: trimmed, page: pageNum }, req.locale);
+        res.json({
+            results: (data.results || []).map((k) => ({ id: k.id, name: k.name })),
+            total_results: data.total_results || 0,
+            total_pages: data.total_pages || 0,
+            page: pageNum,
+        });
     } catch (err) {
-        console.error("Movie detail error:", err.message);
-        const status = err.response?.status;
-        if (status === 404) return res.status(404).json({ error: "Movie not found." });
-        res.status(502).json({ error: "Failed to fetch movie details from TMDB." });
+        log.error("Keyword search error", { err });
+        res.status(502).json({ error: "Failed to fetch keywords from TMDB." });
     }
 });
 
 /**
- * GET /api/trending
- * Trending movies this week.
+ * Cast/crew filters accepted by /api/search. Each filter takes free-text names and
+ * explicit TMDB person IDs; "director"/"directorId" are kept as aliases for crew.
  */
-app.get("/api/trending", async (_req, res) => {
-    try {
-        const data = await tmdbFetch("/trending/movie/week");
-        res.json(data);
-    } catch (err) {
-        console.error("Trending error:", err.message);
-        res.status(502).json({ error: "Failed to fetch trending movies." });
+const PERSON_FILTERS = [
+    { key: "cast", nameParams: ["cast"], idParams: ["castId"], modeParam: "castMode" },
+    { key: "crew", nameParams: ["crew", "director"], idParams: ["crewId", "directorId"], modeParam: "crewMode" },
+];
+const MAX_PEOPLE_PER_FILTER = 10;
+
+/**
+ * Normalise a repeatable and/or comma-separated query parameter into trimmed values.
+ * @param {string|string[]|undefined} value – raw req.query value
+ * @returns {string[]} non-empty values
+ */
+function listParam(value) {
+    if (value === undefined) return [];
+    return []
+        .concat(value)
+        .flatMap((v) => String(v).split(","))
+        .map((v) => v.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Validate one person filter (cast or crew) from the request query.
+ * @param {object} query  – req.query
+ * @param {object} filter – entry from PERSON_FILTERS
+ * @returns {{error: string}|{names: string[], ids: number[], mode: string}}
+ */
+function parsePersonFilter(query, filter) {
+    const names = [];
+    for (const param of filter.nameParams) {
+        for (const name of listParam(query[param])) {
+            if (name.length > 100) return { error: `${param} parameter too long.` };
+            names.push(name);
+        }
+    }
+
+    const ids = [];
+    for (const param of filter.idParams) {
+        for (const id of listParam(query[param])) {
+            if (!/^\d+$/.test(id) || Number(id) <= 0) {
+                return { error: `${param} must be a positive TMDB person ID.` };
+            }
+            ids.push(Number(id));
+        }
+    }
+
+    if (names.length + ids.length > MAX_PEOPLE_PER_FILTER) {
+        return { error: `At most ${MAX_PEOPLE_PER_FILTER} ${filter.key} members can be combined.` };
     }
+
+    const mode = query[filter.modeParam] === undefined ? "and" : String(query[filter.modeParam]).toLowerCase();
+    if (mode !== "and" && mode !== "or") {
+        return { error: `${filter.modeParam} must be "and" or "or".` };
+    }
+
+    return { names, ids, mode };
+}
+
+/**
+ * Resolve a parsed person filter to a list of TMDB person IDs.
+ * @param {object} filter – { names, ids, mode } from parsePersonFilter
+ * @param {object} [locale] – req.locale
+ * @returns {Promise<number[]|null|undefined|{ambiguous: {name: string, candidates: object[]}}>} unique
+ *   IDs; null when the filter can never match; undefined when the filter is empty; ambiguous when a
+ *   name fits several people
+ */
+async function resolvePersonFilter({ names, ids, mode }, locale) {
+    if (names.length === 0 && ids.length === 0) return undefined;
+
+    const resolved = [...ids];
+    // Sequential on purpose – keeps upstream load predictable for long lists
+    for (const name of names) {
+        const { id, candidates } = await resolvePersonId(name, locale);
+        if (candidates) return { ambiguous: { name, candidates } };
+        if (id) resolved.push(id);
+        else if (mode === "and") return null; // an unknown person can never be part of an AND match
+    }
+    if (resolved.length === 0) return null;
+
+    return [...new Set(resolved)];
+}
+
+/**
+ * Join IDs in TMDB's discover syntax: comma-separated for AND, pipe-separated for OR.
+ * @param {number[]} ids
+ * @param {string} mode – "and" | "or"
+ * @returns {string}
+ */
+function joinIds(ids, mode) {
+    return ids.join(mode === "or" ? "|" : ",");
+}
+
+const MAX_KEYWORDS = 10;
+
+/**
+ * Validate the keyword filter of /api/search.
+ * @param {object} query – req.query
+ * @returns {{error: string}|{ids: number[], mode: string}}
+ */
+function parseKeywordFilter(query) {
+    const ids = [];
+    for (const id of listParam(query.keywords)) {
+        if (!/^\d+$/.test(id) || Number(id) <= 0) {
+            return { error: "keywords must be numeric TMDB keyword IDs (see /api/keywords)." };
+        }
+        ids.push(Number(id));
+    }
+    if (ids.length > MAX_KEYWORDS) {
+        return { error: `At most ${MAX_KEYWORDS} keywords can be combined.` };
+    }
+
+    const mode = query.keywordMode === undefined ? "and" : String(query.keywordMode).toLowerCase();
+    if (mode !== "and" && mode !== "or") {
+        return { error: 'keywordMode must be "and" or "or".' };
+    }
+
+    return { ids: [...new Set(ids)], mode };
+}
+
+/**
+ * Numeric discover filters accepted by /api/search and the TMDB parameter each maps to.
+ */
+const DISCOVER_RANGE_FILTERS = [
+    { param: "minRating", tmdb: "vote_average.gte", min: 0, max: 10 },
+    { param: "maxRating", tmdb: "vote_average.lte", min: 0, max: 10 },
+    { param: "minVotes", tmdb: "vote_count.gte", min: 0, max: 1000000, integer: true },
+    { param: "minRuntime", tmdb: "with_runtime.gte", min: 0, max: 1000, integer: true },
+    { param: "maxRuntime", tmdb: "with_runtime.lte", min: 0, max: 1000, integer: true },
+];
+
+/** Friendly sort keys → TMDB sort_by fields (and their default direction) */
+const SORT_FIELDS = {
+    popularity: { field: "popularity", dir: "desc" },
+    rating: { field: "vote_average", dir: "desc" },
+    votes: { field: "vote_count", dir: "desc" },
+    release_date: { field: "primary_release_date", dir: "desc" },
+    revenue: { field: "revenue", dir: "desc" },
+    title: { field: "original_title", dir: "asc" },
+};
+
+/**
+ * Validate the rating/vote/runtime/original-language/sort filters of /api/search.
+ * @param {object} query – req.query
+ * @returns {{error: string}|{params: object, sortBy: string, sort: object|null, active: boolean}}
+ *   params are TMDB discover parameters; sort is the explicitly requested { field, dir } (or null);
+ *   active is true when any filter (not sort) is set
+ */
+function parseDiscoverFilters(query) {
+    const params = {};
+
+    for (const { param, tmdb, min, max, integer } of DISCOVER_RANGE_FILTERS) {
+        if (query[param] === undefined || query[param] === "") continue;
+        const value = Number(query[param]);
+        if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+            return { error: `${param} must be ${integer ? "an integer" : "a number"} between ${min} and ${max}.` };
+        }
+        params[tmdb] = value;
+    }
+
+    if (params["vote_average.gte"] > params["vote_average.lte"]) {
+        return { error: "minRating cannot be greater than maxRating." };
+    }
+    if (params["with_runtime.gte"] > params["with_runtime.lte"]) {
+        return { error: "minRuntime cannot be greater than maxRuntime." };
+    }
+
+    const originalLanguage = query.language ?? query.originalLanguage; // originalLanguage: alias
+    if (originalLanguage !== undefined && originalLanguage !== "") {
+        const language = String(originalLanguage).toLowerCase();
+        if (!/^[a-z]{2}$/.test(language)) {
+            return { error: "language must be a two-letter ISO 639-1 code, e.g. ko." };
+        }
+        params.with_original_language = language;
+    }
+
+    let sortBy = "popularity.desc";
+    let explicitSort = null;
+    if (query.sort !== undefined && query.sort !== "") {
+        const [key, dir] = String(query.sort).toLowerCase().split(".");
+        const sort = SORT_FIELDS[key];
+        if (!sort || (dir !== undefined && dir !== "asc" && dir !== "desc")) {
+            return {
+                error: `sort must be one of ${Object.keys(SORT_FIELDS).join(", ")} (optionally suffixed with .asc or .desc).`,
+            };
+        }
+        explicitSort = { field: sort.field, dir: dir || sort.dir };
+        sortBy = `${explicitSort.field}.${explicitSort.dir}`;
+    }
+
+    return { params, sortBy, sort: explicitSort, active: Object.keys(params).length > 0 };
+}
+
+/** True when y is an integer year between 1880 and five years from now */
+function isValidYear(y) {
+    return Number.isInteger(y) && y >= 1880 && y <= new Date().getFullYear() + 5;
+}
+
+/**
+ * Validate the release-date range of /api/search. yearFrom/yearTo expand to whole years;
+ * releasedAfter/releasedBefore are exact YYYY-MM-DD dates. Both forms map to TMDB's
+ * primary_release_date.gte/lte.
+ * @param {object} query – req.query
+ * @returns {{error: string}|{gte?: string, lte?: string}}
+ */
+function parseReleaseRange(query) {
+    const bounds = [
+        { yearParam: "yearFrom", dateParam: "releasedAfter", key: "gte", monthDay: "01-01" },
+        { yearParam: "yearTo", dateParam: "releasedBefore", key: "lte", monthDay: "12-31" },
+    ];
+    const range = {};
+
+    for (const { yearParam, dateParam, key, monthDay } of bounds) {
+        const yearValue = query[yearParam];
+        const dateValue = query[dateParam];
+        const hasYear = yearValue !== undefined && yearValue !== "";
+        const hasDate = dateValue !== undefined && dateValue !== "";
+
+        if (hasYear && hasDate) {
+            return { error: `Use either ${yearParam} or ${dateParam}, not both.` };
+        }
+        if (hasYear) {
+            if (!isValidYear(Number(yearValue))) return { error: `Invalid ${yearParam}.` };
+            range[key] = `${Number(yearValue)}-${monthDay}`;
+        }
+        if (hasDate) {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateValue));
+            const date = match && new Date(`${dateValue}T00:00:00Z`);
+            // Round-tripping rejects impossible dates such as 2023-02-30
+            if (!match || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== dateValue) {
+                return { error: `${dateParam} must be a YYYY-MM-DD date.` };
+            }
+            if (!isValidYear(Number(match[1]))) return { error: `Invalid ${dateParam}.` };
+            range[key] = dateValue;
+        }
+    }
+
+    if (range.gte && range.lte && range.gte > range.lte) {
+        return { error: "The start of the release range must not be after its end." };
+    }
+    return range;
+}
+
+const RESULTS_PER_PAGE = 20; // TMDB's fixed page size
+const TITLE_SCAN_PAGES = 5; // /search/movie pages scanned when a title is combined with filters
+
+/**
+ * Movie IDs credited to the given people, via /person/:id/movie_credits.
+ * @param {number[]} ids  – TMDB person IDs
+ * @param {string} mode   – "and" (credited to all of them) | "or" (any of them)
+ * @param {string} role   – "cast" | "crew"
+ * @returns {Promise<Set<number>>}
+ */
+async function creditedMovieIds(ids, mode, role) {
+    let result = null;
+    for (const id of ids) {
+        const credits = await tmdbFetch(`/person/${id}/movie_credits`);
+        const movieIds = new Set((credits[role] || []).map((m) => m.id));
+        if (result === null) result = movieIds;
+        else if (mode === "or") movieIds.forEach((m) => result.add(m));
+        else result = new Set([...result].filter((m) => movieIds.has(m)));
+    }
+    return result || new Set();
+}
+
+/** Sort keys usable on /search/movie results (revenue is not part of them) */
+const LOCAL_SORT_FIELDS = {
+    popularity: "popularity",
+    vote_average: "vote_average",
+    vote_count: "vote_count",
+    primary_release_date: "release_date",
+    original_title: "original_title",
+};
+
+/**
+ * Title search that still honours the other filters: scans the first TITLE_SCAN_PAGES pages of
+ * /search/movie, keeps the movies matching every filter and paginates the matches locally.
+ * Filters missing from search results (runtime, keywords) are rejected by the caller.
+ * @returns {Promise<{results: object[], total_results: number, total_pages: number}>}
+ */
+async function searchTitleWithFilters(title, filters, pageNum, locale) {
+    const { year, release, genre, discover, cast, crew } = filters;
+    const params = { query: title, include_adult: false };
+    if (year) params.primary_release_year = year;
+
+    const first = await tmdbFetch("/search/movie", { ...params, page: 1 }, locale);
+    let movies = first.results || [];
+    const lastPage = Math.min(first.total_pages || 1, TITLE_SCAN_PAGES);
+    for (let p = 2; p <= lastPage; p++) {
+        const next = await tmdbFetch("/search/movie", { ...params, page: p }, locale);
+        movies = movies.concat(next.results || []);
+    }
+
+    const castMovies = cast && (await creditedMovieIds(cast.ids, cast.mode, "cast"));
+    const crewMovies = crew && (await creditedMovieIds(crew.ids, crew.mode, "crew"));
+    const d = discover.params;
+
+    let matches = movies.filter((m) => {
+        const released = m.release_date || "";
+        if (release.gte && (!released || released < release.gte)) return false;
+        if (release.lte && (!released || released > release.lte)) return false;
+        if (genre && !(m.genre_ids || []).includes(Number(genre))) return false;
+        if (d["vote_average.gte"] !== undefined && !(m.vote_average >= d["vote_average.gte"])) return false;
+        if (d["vote_average.lte"] !== undefined && !(m.vote_average <= d["vote_average.lte"])) return false;
+        if (d["vote_count.gte"] !== undefined && !(m.vote_count >= d["vote_count.gte"])) return false;
+        if (d.with_original_language && m.original_language !== d.with_original_language) return false;
+        if (castMovies && !castMovies.has(m.id)) return false;
+        if (crewMovies && !crewMovies.has(m.id)) return false;
+        return true;
+    });
+
+    const sortField = discover.sort && LOCAL_SORT_FIELDS[discover.sort.field];
+    if (sortField) {
+        const sign = discover.sort.dir === "asc" ? 1 : -1;
+        matches = [...matches].sort((a, b) => {
+            const av = a[sortField] ?? "";
+            const bv = b[sortField] ?? "";
+            return sign * (typeof av === "number" ? av - bv : String(av).localeCompare(String(bv)));
+        });
+    }
+
+    const start = (pageNum - 1) * RESULTS_PER_PAGE;
+    return {
+        results: matches.slice(start, start + RESULTS_PER_PAGE),
+        total_results: matches.length,
+        total_pages: Math.ceil(matches.length / RESULTS_PER_PAGE),
+    };
+}
+
+/**
+ * GET /api/search
+ *
+ * At least one of: query, year, a release range, genre, cast, castId, crew, crewId or a
+ * discover filter (minRating, maxRating, minVotes, minRuntime, maxRuntime, language) must be provided.
+ *   query    – movie title keyword(s)
+ *   year     – primary release year (YYYY)
+ *   yearFrom / yearTo             – release year range, inclusive (YYYY)
+ *   releasedAfter / releasedBefore – release date range, inclusive (YYYY-MM-DD)
+ *   genre    – TMDB genre ID (numeric)
+ *   cast     – actor name(s), repeatable or comma-separated; each resolved to the
+ *              most popular matching TMDB person ID. A name shared by several people is
+ *              a 400 listing them as candidates – pass castId instead
+ *   castId   – exact TMDB person ID(s), repeatable or comma-separated
+ *   castMode – "and" (default: films with all of them) or "or" (any of them)
+ *   crew     – crew member name(s), e.g. directors; same rules as cast (alias: director)
+ *   crewId   – exact TMDB person ID(s) for crew (alias: directorId)
+ *   crewMode – "and" (default) or "or"
+ *   minRating / maxRating   – vote average bounds, 0–10
+ *   minVotes                – minimum vote count
+ *   minRuntime / maxRuntime – runtime bounds in minutes
+ *   language – original language, ISO 639-1 (e.g. "ko"); originalLanguage is an alias
+ *   keywords    – TMDB keyword ID(s), repeatable or comma-separated (see /api/keywords)
+ *   keywordMode – "and" (default) or "or"
+ *   sort     – popularity | rating | votes | release_date | revenue | title, optionally
+ *              suffixed with .asc/.desc (default popularity.desc; title searches keep
+ *              TMDB relevance order unless a sort is given)
+ *   page     – results page (default 1)
+ *   locale / region – response locale (see parseLocale); region also scopes release dates
+ *
+ * A title query combined with filters scans the first TITLE_SCAN_PAGES pages of title
+ * matches and keeps those that satisfy every filter; runtime and keyword filters need
+ * discover and cannot be combined with a title query.
+ */
+app.get("/api/search", async (req, res) => {
+    try {
+        // Validate page
+        const pageNum = Number(req.query.page ?? "1");
+        if (!Number.isInteger(pageNum) || pageNum < 1 || pageNum > 500) {
+            return res.status(400).json({ error: "page must be an integer between 1 and 500." });
+        }
+
+        const { error, candidates, plan } = await planSearch(req.query, req.locale);
+        if (error) return res.status(400).json({ error, candidates });
+        if (!plan) return res.json({ results: [], total_results: 0, total_pages: 0, page: pageNum });
+
+        res.json(await fetchSearchPage(plan, pageNum, req.locale));
+    } catch (err) {
+        log.error("Search error", { err });
+        res.status(502).json({ error: "Failed to fetch search results from TMDB." });
+    }
+});
+
+/**
+ * Validate the /api/search filters (everything but page) and resolve people to TMDB IDs.
+ * @param {object} query – req.query
+ * @param {object} [locale] – req.locale, for resolving person names
+ * @returns {Promise<{error: string, candidates?: object[]}|{plan: object|null}>} plan is null
+ *   when a person filter can never match, so the search is known to be empty; candidates lists
+ *   the people an ambiguous name could mean
+ */
+async function planSearch(query, locale) {
+    const { year, genre } = query;
+
+    const hasPeople = PERSON_FILTERS.some((f) =>
+        [...f.nameParams, ...f.idParams].some((param) => listParam(query[param]).length > 0)
+    );
+
+    const hasDiscoverFilter = [
+        ...DISCOVER_RANGE_FILTERS.map((f) => f.param),
+        "language",
+        "originalLanguage",
+        "keywords",
+        "yearFrom",
+        "yearTo",
+        "releasedAfter",
+        "releasedBefore",
+    ].some(
+        (param) => query[param] !== undefined && query[param] !== ""
+    );
+
+    // At least one search parameter required
+    if (!query.query && !year && !genre && !hasPeople && !hasDiscoverFilter) {
+        return {
+            error: "Provide at least one search parameter: query, year, genre, cast, crew, or a discover filter.",
+        };
+    }
+
+    // Validate year
+    if (year !== undefined && !isValidYear(Number(year))) {
+        return { error: "Invalid year." };
+    }
+
+    // Validate release range (cannot be mixed with an exact year)
+    const release = parseReleaseRange(query);
+    if (release.error) return { error: release.error };
+    const hasRange = !!(release.gte || release.lte);
+    if (hasRange && year !== undefined) {
+        return { error: "year cannot be combined with a release range." };
+    }
+
+    // Validate genre
+    if (genre !== undefined && !/^\d+$/.test(genre)) {
+        return { error: "genre must be a numeric TMDB genre ID." };
+    }
+
+    // Validate rating / votes / runtime / language / sort
+    const discover = parseDiscoverFilters(query);
+    if (discover.error) return { error: discover.error };
+
+    // Validate keyword IDs
+    const keywords = parseKeywordFilter(query);
+    if (keywords.error) return { error: keywords.error };
+
+    const titleQuery = typeof query.query === "string" ? query.query.trim() : "";
+    const needsDiscover =
+        keywords.ids.length > 0 ||
+        discover.params["with_runtime.gte"] !== undefined ||
+        discover.params["with_runtime.lte"] !== undefined;
+    if (titleQuery && needsDiscover) {
+        return { error: "Runtime and keyword filters cannot be combined with a title query." };
+    }
+
+    // Validate cast/crew lists before making any upstream calls
+    const personFilters = {};
+    for (const filter of PERSON_FILTERS) {
+        const parsed = parsePersonFilter(query, filter);
+        if (parsed.error) return { error: parsed.error };
+        personFilters[filter.key] = parsed;
+    }
+
+    // Resolve names to person IDs; a filter that can never match short-circuits
+    const resolved = {};
+    for (const filter of PERSON_FILTERS) {
+        const ids = await resolvePersonFilter(personFilters[filter.key], locale);
+        if (ids === null) return { plan: null };
+        if (ids?.ambiguous) {
+            const { name, candidates } = ids.ambiguous;
+            return {
+                error: `"${name}" matches ${candidates.length} people – pick one and pass its ${filter.idParams[0]}.`,
+                candidates,
+            };
+        }
+        resolved[filter.key] = ids;
+    }
+    const { cast: castIds, crew: crewIds } = resolved;
+
+    return {
+        plan: {
+            titleQuery,
+            year,
+            release,
+            genre,
+            discover,
+            keywords,
+            cast: castIds && { ids: castIds, mode: personFilters.cast.mode },
+            crew: crewIds && { ids: crewIds, mode: personFilters.crew.mode },
+            hasFilters: !!(genre || castIds || crewIds || discover.active || hasRange || discover.sort),
+        },
+    };
+}
+
+/**
+ * Fetch one page of a planned search.
+ * @returns {Promise<{results: object[], total_results: number, total_pages: number, page: number}>}
+ */
+async function fetchSearchPage(plan, pageNum, locale) {
+    const { titleQuery, year, release, genre, discover, keywords, cast, crew } = plan;
+
+    // Choose: /search/movie (title, optionally post-filtered) vs /discover/movie (filters only)
+    let data;
+    if (titleQuery && !plan.hasFilters) {
+        // Simple title search with optional year
+        const params = { query: titleQuery, page: pageNum, include_adult: false };
+        if (year) params.primary_release_year = year;
+        data = await tmdbFetch("/search/movie", params, locale);
+    } else if (titleQuery) {
+        // Title + filters: post-filter title matches so both are respected
+        data = await searchTitleWithFilters(titleQuery, { year, release, genre, discover, cast, crew }, pageNum, locale);
+    } else {
+        // Discover for year / genre / cast / crew / keywords / discover filters
+        const params = {
+            page: pageNum,
+            include_adult: false,
+            sort_by: discover.sortBy,
+            ...discover.params,
+        };
+        if (year) params.primary_release_year = year;
+        if (release.gte) params["primary_release_date.gte"] = release.gte;
+        if (release.lte) params["primary_release_date.lte"] = release.lte;
+        if (genre) params.with_genres = genre;
+        if (cast) params.with_cast = joinIds(cast.ids, cast.mode);
+        if (crew) params.with_crew = joinIds(crew.ids, crew.mode);
+        if (keywords.ids.length) params.with_keywords = joinIds(keywords.ids, keywords.mode);
+        data = await tmdbFetch("/discover/movie", params, locale);
+    }
+
+    return {
+        results: data.results || [],
+        total_results: data.total_results || 0,
+        total_pages: data.total_pages || 0,
+        page: pageNum,
+    };
+}
+
+// Sub-resources appended to movie details; /api/movie/:id returns them all unless `include` narrows it
+const MOVIE_SECTIONS = ["credits", "videos", "images", "recommendations", "reviews"];
+const MOVIE_VIEWS = ["full", "card"];
+
+// Top-level fields kept by view=card – what movie cards and the detail page render
+const MOVIE_CARD_FIELDS = [
+    "id",
+    "imdb_id",
+    "title",
+    "original_title",
+    "original_language",
+    "tagline",
+    "overview",
+    "release_date",
+    "runtime",
+    "status",
+    "genres",
+    "vote_average",
+    "vote_count",
+    "poster_path",
+    "backdrop_path",
+    "budget",
+    "revenue",
+    "homepage",
+    "belongs_to_collection",
+];
+const SUMMARY_FIELDS = ["id", "title", "release_date", "vote_average", "poster_path"];
+
+/** The listed keys of `obj` that are present */
+function pick(obj, keys) {
+    return Object.fromEntries(keys.filter((key) => obj?.[key] !== undefined).map((key) => [key, obj[key]]));
+}
+
+// view=card trims each section to what the detail page shows (12 cast, directors, 4 YouTube
+// videos, 10 backdrops, 8 recommendations, 3 reviews); the sub-routes below page through the rest
+const MOVIE_CARD_SECTIONS = {
+    credits: (credits = {}) => ({
+        cast: (credits.cast || []).slice(0, 12).map((c) => pick(c, ["id", "name", "character", "profile_path"])),
+        crew: (credits.crew || []).filter((c) => c.job === "Director").map((c) => pick(c, ["id", "name", "job"])),
+    }),
+    videos: (videos = {}) => ({
+        results: (videos.results || [])
+            .filter((v) => v.site === "YouTube")
+            .slice(0, 4)
+            .map((v) => pick(v, ["key", "name", "site", "type"])),
+    }),
+    images: (images = {}) => ({
+        backdrops: (images.backdrops || []).slice(0, 10).map((img) => pick(img, ["file_path", "width", "height"])),
+    }),
+    recommendations: (recommendations = {}) => ({
+        results: (recommendations.results || []).slice(0, 8).map((m) => pick(m, SUMMARY_FIELDS)),
+        total_results: recommendations.total_results || 0,
+    }),
+    reviews: (reviews = {}) => ({
+        results: (reviews.results || []).slice(0, 3).map((r) => ({
+            ...pick(r, ["id", "author", "content", "created_at", "url"]),
+            author_details: { rating: r.author_details?.rating ?? null },
+        })),
+        total_results: reviews.total_results || 0,
+    }),
+};
+
+/**
+ * Parse `include` (comma-separated MOVIE_SECTIONS; absent = all, empty = none) and `view`.
+ * @returns {{error: string}|{sections: string[], view: string}}
+ */
+function parseMovieShape(query) {
+    const view = query.view === undefined ? "full" : String(query.view);
+    if (!MOVIE_VIEWS.includes(view)) return { error: `view must be one of ${MOVIE_VIEWS.join(", ")}.` };
+    if (query.include === undefined) return { sections: MOVIE_SECTIONS, view };
+
+    const sections = [
+        ...new Set(
+            String(query.include)
+                .split(",")
+                .map((s) => s.trim())
+                .filter(Boolean)
+        ),
+    ];
+    if (sections.some((s) => !MOVIE_SECTIONS.includes(s))) {
+        return { error: `include must be a comma-separated list of ${MOVIE_SECTIONS.join(", ")}.` };
+    }
+    return { sections, view };
+}
+
+/**
+ * Movie details with every section appended. Whatever a caller includes, this is one TMDB
+ * request and one cache entry; trimming happens on the way out.
+ */
+function fetchMovieDetails(movieId, locale) {
+    return tmdbFetch(
+        `/movie/${movieId}`,
+        { append_to_response: MOVIE_SECTIONS.join(","), ...mediaLanguageParams(locale) },
+        locale
+    );
+}
+
+/** `data` reduced to the requested sections, in the requested view */
+function shapeMovie(data, { sections, view }) {
+    const body =
+        view === "card"
+            ? pick(data, MOVIE_CARD_FIELDS)
+            : Object.fromEntries(Object.entries(data).filter(([key]) => !MOVIE_SECTIONS.includes(key)));
+    for (const section of sections) {
+        body[section] = view === "card" ? MOVIE_CARD_SECTIONS[section](data[section]) : data[section];
+    }
+    return body;
+}
+
+/**
+ * GET /api/movie/:id?include=credits,videos&view=card
+ * Movie details with credits, videos, images, recommendations and reviews. `include` picks
+ * sections; `view=card` trims fields and sections to what the frontend renders.
+ */
+app.get("/api/movie/:id", async (req, res) => {
+    try {
+        const movieId = Number(req.params.id);
+        if (!Number.isInteger(movieId) || movieId <= 0) {
+            return res.status(400).json({ error: "Invalid movie ID." });
+        }
+
+        const shape = parseMovieShape(req.query);
+        if (shape.error) return res.status(400).json({ error: shape.error });
+
+        const data = await fetchMovieDetails(movieId, req.locale);
+        res.json(shapeMovie(data, shape));
+    } catch (err) {
+        log.error("Movie detail error", { err });
+        const status = err.response?.status;
+        if (status === 404) return res.status(404).json({ error: "Movie not found." });
+        res.status(502).json({ error: "Failed to fetch movie details from TMDB." });
+    }
+});
+
+const SECTION_PAGE_SIZE = 20; // matches TMDB's own page size
+const MAX_SECTION_PAGE_SIZE = 100;
+
+/**
+ * Parse `page` and `per_page` for the movie section routes.
+ * @returns {{error: string}|{page: number, perPage: number}}
+ */
+function parseSectionPage(query) {
+    const page = Number(query.page ?? 1);
+    if (!Number.isInteger(page) || page < 1 || page > 500) {
+        return { error: "page must be an integer between 1 and 500." };
+    }
+    const perPage = Number(query.per_page ?? SECTION_PAGE_SIZE);
+    if (!Number.isInteger(perPage) || perPage < 1 || perPage > MAX_SECTION_PAGE_SIZE) {
+        return { error: `per_page must be an integer between 1 and ${MAX_SECTION_PAGE_SIZE}.` };
+    }
+    return { page, perPage };
+}
+
+/**
+ * Handler for a movie section served in pages from the (cached) appended details.
+ * @param {string} section – name used in error messages
+ * @param {{param: string, values: string[]}|null} choice – query parameter selecting a sub-list
+ *                                                          (the first value is the default)
+ * @param {function(object, string): object[]} items – the list to page through
+ */
+function movieSectionHandler(section, choice, items) {
+    return async (req, res) => {
+        try {
+            const movieId = Number(req.params.id);
+            if (!Number.isInteger(movieId) || movieId <= 0) {
+                return res.status(400).json({ error: "Invalid movie ID." });
+            }
+
+            const paging = parseSectionPage(req.query);
+            if (paging.error) return res.status(400).json({ error: paging.error });
+
+            const chosen = choice ? String(req.query[choice.param] ?? choice.values[0]) : null;
+            if (choice && !choice.values.includes(chosen)) {
+                return res.status(400).json({ error: `${choice.param} must be one of ${choice.values.join(", ")}.` });
+            }
+
+            const all = items(await fetchMovieDetails(movieId, req.locale), chosen) || [];
+            const { page, perPage } = paging;
+            res.json({
+                id: movieId,
+                ...(choice && { [choice.param]: chosen }),
+                page,
+                per_page: perPage,
+                results: all.slice((page - 1) * perPage, page * perPage),
+                total_pages: Math.ceil(all.length / perPage),
+                total_results: all.length,
+            });
+        } catch (err) {
+            log.error(`Movie ${section} error`, { err });
+            const status = err.response?.status;
+            if (status === 404) return res.status(404).json({ error: "Movie not found." });
+            res.status(502).json({ error: `Failed to fetch movie ${section} from TMDB.` });
+        }
+    };
+}
+
+/**
+ * Handler for a movie section TMDB pages itself (20 per page, so no per_page).
+ * @param {string} section – TMDB sub-path: reviews | recommendations
+ */
+function movieTmdbPageHandler(section) {
+    return async (req, res) => {
+        try {
+            const movieId = Number(req.params.id);
+            if (!Number.isInteger(movieId) || movieId <= 0) {
+                return res.status(400).json({ error: "Invalid movie ID." });
+            }
+
+            const page = Number(req.query.page ?? 1);
+            if (!Number.isInteger(page) || page < 1 || page > 500) {
+                return res.status(400).json({ error: "page must be an integer between 1 and 500." });
+            }
+
+            const data = await tmdbFetch(`/movie/${movieId}/${section}`, { page }, req.locale);
+            res.json({
+                id: movieId,
+                page,
+                results: data.results || [],
+                total_pages: data.total_pages || 0,
+                total_results: data.total_results || 0,
+            });
+        } catch (err) {
+            log.error(`Movie ${section} error`, { err });
+            const status = err.response?.status;
+            if (status === 404) return res.status(404).json({ error: "Movie not found." });
+            res.status(502).json({ error: `Failed to fetch movie ${section} from TMDB.` });
+        }
+    };
+}
+
+/**
+ * GET /api/movie/:id/credits?role=cast|crew&page=&per_page=
+ * Cast (billing order) or crew, a page at a time.
+ */
+app.get(
+    "/api/movie/:id/credits",
+    movieSectionHandler("credits", { param: "role", values: ["cast", "crew"] }, (data, role) => data.credits?.[role])
+);
+
+/**
+ * GET /api/movie/:id/images?type=backdrops|posters|logos&page=&per_page=
+ */
+app.get(
+    "/api/movie/:id/images",
+    movieSectionHandler(
+        "images",
+        { param: "type", values: ["backdrops", "posters", "logos"] },
+        (data, type) => data.images?.[type]
+    )
+);
+
+/**
+ * GET /api/movie/:id/videos?page=&per_page=
+ */
+app.get("/api/movie/:id/videos", movieSectionHandler("videos", null, (data) => data.videos?.results));
+
+/**
+ * GET /api/movie/:id/reviews?page=
+ * GET /api/movie/:id/recommendations?page=
+ */
+app.get("/api/movie/:id/reviews", movieTmdbPageHandler("reviews"));
+app.get("/api/movie/:id/recommendations", movieTmdbPageHandler("recommendations"));
+
+const DEFAULT_REGION = "US";
+const OFFER_TYPES = ["flatrate", "rent", "buy"];
+
+/**
+ * GET /api/movie/:id/providers?region=XX
+ * Streaming (flatrate), rental and purchase offers for one ISO 3166-1 region, each list in
+ * TMDB's display order. `available_regions` lists every region that has offers at all.
+ */
+app.get("/api/movie/:id/providers", async (req, res) => {
+    try {
+        const movieId = Number(req.params.id);
+        if (!Number.isInteger(movieId) || movieId <= 0) {
+            return res.status(400).json({ error: "Invalid movie ID." });
+        }
+
+        const region = req.locale.region || DEFAULT_REGION;
+
+        // TMDB answers with every region, but the entry is keyed by the region served from it
+        const data = await tmdbFetch(`/movie/${movieId}/watch/providers`, {}, { region });
+        const offers = data.results?.[region] || {};
+
+        const body = { id: movieId, region, link: offers.link || null };
+        for (const type of OFFER_TYPES) {
+            body[type] = (offers[type] || [])
+                .slice()
+                .sort((a, b) => (a.display_priority ?? Infinity) - (b.display_priority ?? Infinity))
+                .map((p) => ({
+                    provider_id: p.provider_id,
+                    provider_name: p.provider_name,
+                    logo_path: p.logo_path,
+                }));
+        }
+        body.available_regions = Object.keys(data.results || {}).sort();
+
+        res.json(body);
+    } catch (err) {
+        log.error("Watch providers error", { err });
+        const status = err.response?.status;
+        if (status === 404) return res.status(404).json({ error: "Movie not found." });
+        res.status(502).json({ error: "Failed to fetch watch providers from TMDB." });
+    }
+});
+
+/**
+ * Map items through an async function a few at a time, preserving order.
+ * @param {Array} items
+ * @param {number} size – maximum calls in flight
+ * @param {Function} fn – async (item) => result
+ * @returns {Promise<Array>}
+ */
+async function mapInBatches(items, size, fn) {
+    const out = [];
+    for (let i = 0; i < items.length; i += size) {
+        out.push(...(await Promise.all(items.slice(i, i + size).map(fn))));
+    }
+    return out;
+}
+
+/**
+ * GET /api/collection/:id
+ * A franchise with every film in release order (undated films last), each part enriched
+ * with runtime/budget/revenue, plus aggregate totals for the whole collection.
+ */
+app.get("/api/collection/:id", async (req, res) => {
+    try {
+        const collectionId = Number(req.params.id);
+        if (!Number.isInteger(collectionId) || collectionId <= 0) {
+            return res.status(400).json({ error: "Invalid collection ID." });
+        }
+
+        const data = await tmdbFetch(`/collection/${collectionId}`, {}, req.locale);
+
+        const sorted = [...(data.parts || [])].sort((a, b) => {
+            if (!a.release_date || !b.release_date) return a.release_date ? -1 : b.release_date ? 1 : 0;
+            return a.release_date.localeCompare(b.release_date);
+        });
+
+        // Collection parts lack runtime and box office – fill them in from (cached) movie details
+        const parts = await mapInBatches(sorted, 5, async (part) => {
+            const details = await fetchMovieDetails(part.id, req.locale);
+            return {
+                ...part,
+                runtime: details.runtime || 0,
+                budget: details.budget || 0,
+                revenue: details.revenue || 0,
+            };
+        });
+
+        const rated = parts.filter((p) => p.vote_count > 0);
+        const averageRating = rated.length
+            ? Math.round((rated.reduce((sum, p) => sum + p.vote_average, 0) / rated.length) * 10) / 10
+            : null;
+
+        res.json({
+            id: data.id,
+            name: data.name,
+            overview: data.overview,
+            poster_path: data.poster_path,
+            backdrop_path: data.backdrop_path,
+            parts,
+            totals: {
+                films: parts.length,
+                runtime: parts.reduce((sum, p) => sum + p.runtime, 0),
+                revenue: parts.reduce((sum, p) => sum + p.revenue, 0),
+                budget: parts.reduce((sum, p) => sum + p.budget, 0),
+                average_rating: averageRating,
+            },
+        });
+    } catch (err) {
+        log.error("Collection error", { err });
+        const status = err.response?.status;
+        if (status === 404) return res.status(404).json({ error: "Collection not found." });
+        res.status(502).json({ error: "Failed to fetch collection from TMDB." });
+    }
+});
+
+/**
+ * GET /api/person/:id
+ * Person details including movie credits, profile images and external IDs.
+ */
+app.get("/api/person/:id", async (req, res) => {
+    try {
+        const personId = Number(req.params.id);
+        if (!Number.isInteger(personId) || personId <= 0) {
+            return res.status(400).json({ error: "Invalid person ID." });
+        }
+
+        const data = await tmdbFetch(
+            `/person/${personId}`,
+            { append_to_response: "movie_credits,images,external_ids" },
+            req.locale
+        );
+
+        res.json(data);
+    } catch (err) {
+        log.error("Person detail error", { err });
+        const status = err.response?.status;
+        if (status === 404) return res.status(404).json({ error: "Person not found." });
+        res.status(502).json({ error: "Failed to fetch person details from TMDB." });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// TV series
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/tv/genres
+ * Returns the TMDB TV genre list (cached).
+ */
+app.get("/api/tv/genres", async (req, res) => {
+    try {
+        const data = await tmdbFetch("/genre/tv/list", { language: "en" }, req.locale);
+        res.json(data);
+    } catch (err) {
+        log.error("TV genre fetch error", { err });
+        res.status(502).json({ error: "Failed to fetch TV genres from TMDB." });
+    }
+});
+
+/**
+ * GET /api/tv/trending
+ * Trending TV series this week.
+ */
+app.get("/api/tv/trending", async (req, res) => {
+    try {
+        const data = await tmdbFetch("/trending/tv/week", {}, req.locale);
+        res.json(data);
+    } catch (err) {
+        log.error("TV trending error", { err });
+        res.status(502).json({ error: "Failed to fetch trending TV series." });
+    }
+});
+
+/**
+ * Name + genre: /search/tv has no genre filter, so scan up to TITLE_SCAN_PAGES pages of name
+ * matches, keep the series carrying the genre and paginate those (totals count only the kept ones).
+ */
+async function searchTvNameWithGenre(name, year, genre, pageNum, locale) {
+    const params = { query: name, include_adult: false };
+    if (year) params.first_air_date_year = year;
+
+    const first = await tmdbFetch("/search/tv", { ...params, page: 1 }, locale);
+    let series = first.results || [];
+    const lastPage = Math.min(first.total_pages || 1, TITLE_SCAN_PAGES);
+    for (let p = 2; p <= lastPage; p++) {
+        const next = await tmdbFetch("/search/tv", { ...params, page: p }, locale);
+        series = series.concat(next.results || []);
+    }
+
+    const matches = series.filter((t) => (t.genre_ids || []).includes(genre));
+    const start = (pageNum - 1) * RESULTS_PER_PAGE;
+    return {
+        results: matches.slice(start, start + RESULTS_PER_PAGE),
+        total_results: matches.length,
+        total_pages: Math.ceil(matches.length / RESULTS_PER_PAGE),
+    };
+}
+
+/**
+ * GET /api/tv/search
+ *
+ * At least one of: query, year, genre must be provided.
+ *   query – series name keyword(s)
+ *   year  – first air date year (YYYY)
+ *   genre – TMDB TV genre ID (numeric)
+ *   page  – results page (default 1)
+ */
+app.get("/api/tv/search", async (req, res) => {
+    try {
+        const { query, year, genre, page = "1" } = req.query;
+
+        if (!query && !year && !genre) {
+            return res.status(400).json({
+                error: "Provide at least one search parameter: query, year, or genre.",
+            });
+        }
+
+        if (year !== undefined && !isValidYear(Number(year))) {
+            return res.status(400).json({ error: "Invalid year." });
+        }
+
+        const pageNum = Number(page);
+        if (!Number.isInteger(pageNum) || pageNum < 1 || pageNum > 500) {
+            return res.status(400).json({ error: "page must be an integer between 1 and 500." });
+        }
+
+        if (genre !== undefined && !/^\d+$/.test(genre)) {
+            return res.status(400).json({ error: "genre must be a numeric TMDB genre ID." });
+        }
+
+        const titleQuery = typeof query === "string" ? query.trim() : "";
+        if (titleQuery.length > 100) {
+            return res.status(400).json({ error: "query parameter too long." });
+        }
+
+        let data;
+        if (titleQuery && !genre) {
+            const params = { query: titleQuery, page: pageNum, include_adult: false };
+            if (year) params.first_air_date_year = year;
+            data = await tmdbFetch("/search/tv", params, req.locale);
+        } else if (titleQuery) {
+            data = await searchTvNameWithGenre(titleQuery, year, Number(genre), pageNum, req.locale);
+        } else {
+            const params = { page: pageNum, include_adult: false, sort_by: "popularity.desc" };
+            if (year) params.first_air_date_year = year;
+            if (genre) params.with_genres = genre;
+            data = await tmdbFetch("/discover/tv", params, req.locale);
+        }
+
+        res.json({
+            results: data.results || [],
+            total_results: data.total_results || 0,
+            total_pages: data.total_pages || 0,
+            page: pageNum,
+        });
+    } catch (err) {
+        log.error("TV search error", { err });
+        res.status(502).json({ error: "Failed to fetch TV search results from TMDB." });
+    }
+});
+
+/**
+ * GET /api/tv/:id
+ * Full series details (including the season list) with credits, videos, images and recommendations.
+ */
+app.get("/api/tv/:id", async (req, res) => {
+    try {
+        const tvId = Number(req.params.id);
+        if (!Number.isInteger(tvId) || tvId <= 0) {
+            return res.status(400).json({ error: "Invalid TV series ID." });
+        }
+
+        const data = await tmdbFetch(
+            `/tv/${tvId}`,
+            {
+                append_to_response: "credits,videos,images,recommendations",
+                ...mediaLanguageParams(req.locale),
+            },
+            req.locale
+        );
+
+        res.json(data);
+    } catch (err) {
+        log.error("TV detail error", { err });
+        const status = err.response?.status;
+        if (status === 404) return res.status(404).json({ error: "TV series not found." });
+        res.status(502).json({ error: "Failed to fetch TV series details from TMDB." });
+    }
+});
+
+/**
+ * GET /api/tv/:id/season/:n
+ * One season with its episodes. Season 0 holds specials.
+ */
+app.get("/api/tv/:id/season/:n", async (req, res) => {
+    try {
+        const tvId = Number(req.params.id);
+        if (!Number.isInteger(tvId) || tvId <= 0) {
+            return res.status(400).json({ error: "Invalid TV series ID." });
+        }
+
+        const seasonNum = Number(req.params.n);
+        if (!Number.isInteger(seasonNum) || seasonNum < 0 || seasonNum > 500) {
+            return res.status(400).json({ error: "Invalid season number." });
+        }
+
+        const data = await tmdbFetch(`/tv/${tvId}/season/${seasonNum}`, {}, req.locale);
+        res.json(data);
+    } catch (err) {
+        log.error("TV season error", { err });
+        const status = err.response?.status;
+        if (status === 404) return res.status(404).json({ error: "Season not found." });
+        res.status(502).json({ error: "Failed to fetch season details from TMDB." });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Trending
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/trending
+ * Trending movies this week.
+ */
+app.get("/api/trending", async (req, res) => {
+    try {
+        const data = await tmdbFetch("/trending/movie/week", {}, req.locale);
+        res.json(data);
+    } catch (err) {
+        log.error("Trending error", { err });
+        res.status(502).json({ error: "Failed to fetch trending movies." });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Lists – shared watchlists persisted as JSON under DATA_DIR
+// ---------------------------------------------------------------------------
+const LISTS_FILE = path.join(DATA_DIR, "lists.json");
+const MAX_LIST_NAME_LENGTH = 100;
+const MAX_NOTE_LENGTH = 500;
+
+let listsLoading = null; // Promise<{ lists: object[] }>, loaded once and kept in memory
+let listsQueue = Promise.resolve(); // serialises updates so concurrent writes never interleave
+
+/** Read the lists file once (a missing file is an empty store) */
+function loadLists() {
+    if (!listsLoading) {
+        listsLoading = fs
+            .readFile(LISTS_FILE, "utf8")
+            .then((text) => JSON.parse(text))
+            .catch((err) => {
+                if (err.code === "ENOENT") return { lists: [] };
+                listsLoading = null; // retry on the next request
+                throw err;
+            });
+    }
+    return listsLoading;
+}
+
+/**
+ * Apply a change to a copy of the lists and persist it. Updates run one at a time and the file
+ * is replaced atomically (temp file + rename), so a failed write leaves both the file and the
+ * in-memory store untouched.
+ * @param {Function} change – (data) => result; return null to abort without writing (e.g. not found)
+ * @returns {Promise<*>} the change's result
+ */
+function updateLists(change) {
+    const run = listsQueue.then(async () => {
+        const draft = structuredClone(await loadLists());
+        const result = change(draft);
+        if (result === null) return null;
+
+        await fs.mkdir(DATA_DIR, { recursive: true });
+        const tmpFile = `${LISTS_FILE}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(draft, null, 2));
+        await fs.rename(tmpFile, LISTS_FILE);
+        listsLoading = Promise.resolve(draft);
+        return result;
+    });
+    listsQueue = run.catch(() => {});
+    return run;
+}
+
+/** A list without its items, for the index */
+function listSummary(list) {
+    return {
+        id: list.id,
+        name: list.name,
+        created_at: list.created_at,
+        updated_at: list.updated_at,
+        item_count: list.items.length,
+    };
+}
+
+/**
+ * Validate a list name from a request body.
+ * @returns {{error: string}|{name: string}}
+ */
+function parseListName(body) {
+    const name = typeof body?.name === "string" ? body.name.trim() : "";
+    if (!name) return { error: "name is required." };
+    if (name.length > MAX_LIST_NAME_LENGTH) return { error: "name too long." };
+    return { name };
+}
+
+/**
+ * Validate an optional note from a request body.
+ * @returns {{error: string}|{note: string}}
+ */
+function parseNote(body) {
+    if (body?.note === undefined || body.note === null) return { note: "" };
+    if (typeof body.note !== "string") return { error: "note must be a string." };
+    const note = body.note.trim();
+    if (note.length > MAX_NOTE_LENGTH) return { error: "note too long." };
+    return { note };
+}
+
+/** Respond with the standard storage failure */
+function listsError(res, err) {
+    log.error("Lists error", { err });
+    res.status(500).json({ error: "Failed to access lists storage." });
+}
+
+/**
+ * GET /api/lists
+ * Every list (without items), most recently updated first.
+ */
+app.get("/api/lists", async (_req, res) => {
+    try {
+        const { lists } = await loadLists();
+        const summaries = lists.map(listSummary).sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+        res.json({ results: summaries });
+    } catch (err) {
+        listsError(res, err);
+    }
+});
+
+/**
+ * POST /api/lists
+ * Create a list. Body: { name }
+ */
+app.post("/api/lists", async (req, res) => {
+    try {
+        const parsed = parseListName(req.body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        const now = new Date().toISOString();
+        const list = { id: crypto.randomUUID(), name: parsed.name, created_at: now, updated_at: now, items: [] };
+        await updateLists((data) => {
+            data.lists.push(list);
+            return list;
+        });
+        res.status(201).json(list);
+    } catch (err) {
+        listsError(res, err);
+    }
+});
+
+/**
+ * GET /api/lists/:id
+ * One list with its items (newest first). Items hold TMDB movie IDs only; clients hydrate them
+ * through /api/movie/:id.
+ */
+app.get("/api/lists/:id", async (req, res) => {
+    try {
+        const { lists } = await loadLists();
+        const list = lists.find((l) => l.id === req.params.id);
+        if (!list) return res.status(404).json({ error: "List not found." });
+        res.json(list);
+    } catch (err) {
+        listsError(res, err);
+    }
+});
+
+/**
+ * PATCH /api/lists/:id
+ * Rename a list. Body: { name }
+ */
+app.patch("/api/lists/:id", async (req, res) => {
+    try {
+        const parsed = parseListName(req.body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        const list = await updateLists((data) => {
+            const found = data.lists.find((l) => l.id === req.params.id);
+            if (!found) return null;
+            found.name = parsed.name;
+            found.updated_at = new Date().toISOString();
+            return found;
+        });
+        if (!list) return res.status(404).json({ error: "List not found." });
+        res.json(list);
+    } catch (err) {
+        listsError(res, err);
+    }
+});
+
+/**
+ * DELETE /api/lists/:id
+ * Delete a list and its items.
+ */
+app.delete("/api/lists/:id", async (req, res) => {
+    try {
+        const deleted = await updateLists((data) => {
+            const index = data.lists.findIndex((l) => l.id === req.params.id);
+            if (index === -1) return null;
+            return data.lists.splice(index, 1)[0];
+        });
+        if (!deleted) return res.status(404).json({ error: "List not found." });
+        res.status(204).end();
+    } catch (err) {
+        listsError(res, err);
+    }
+});
+
+/**
+ * POST /api/lists/:id/items
+ * Add a movie to a list. Body: { movieId, note? }. Adding a movie twice is a 409.
+ */
+app.post("/api/lists/:id/items", async (req, res) => {
+    try {
+        const movieId = Number(req.body?.movieId);
+        if (!Number.isInteger(movieId) || movieId <= 0) {
+            return res.status(400).json({ error: "movieId must be a positive TMDB movie ID." });
+        }
+        const parsed = parseNote(req.body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        const result = await updateLists((data) => {
+            const list = data.lists.find((l) => l.id === req.params.id);
+            if (!list) return null;
+            if (list.items.some((i) => i.movie_id === movieId)) return { duplicate: true };
+            const item = { movie_id: movieId, note: parsed.note, added_at: new Date().toISOString() };
+            list.items.unshift(item);
+            list.updated_at = item.added_at;
+            return { item };
+        });
+        if (!result) return res.status(404).json({ error: "List not found." });
+        if (result.duplicate) return res.status(409).json({ error: "Movie is already in this list." });
+        res.status(201).json(result.item);
+    } catch (err) {
+        listsError(res, err);
+    }
+});
+
+/**
+ * PATCH /api/lists/:id/items/:movieId
+ * Update the note on a list item. Body: { note }
+ */
+app.patch("/api/lists/:id/items/:movieId", async (req, res) => {
+    try {
+        const movieId = Number(req.params.movieId);
+        const parsed = parseNote(req.body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        const item = await updateLists((data) => {
+            const list = data.lists.find((l) => l.id === req.params.id);
+            const found = list?.items.find((i) => i.movie_id === movieId);
+            if (!found) return null;
+            found.note = parsed.note;
+            list.updated_at = new Date().toISOString();
+            return found;
+        });
+        if (!item) return res.status(404).json({ error: "List item not found." });
+        res.json(item);
+    } catch (err) {
+        listsError(res, err);
+    }
+});
+
+/**
+ * DELETE /api/lists/:id/items/:movieId
+ * Remove a movie from a list.
+ */
+app.delete("/api/lists/:id/items/:movieId", async (req, res) => {
+    try {
+        const movieId = Number(req.params.movieId);
+        const removed = await updateLists((data) => {
+            const list = data.lists.find((l) => l.id === req.params.id);
+            const index = list ? list.items.findIndex((i) => i.movie_id === movieId) : -1;
+            if (index === -1) return null;
+            list.updated_at = new Date().toISOString();
+            return list.items.splice(index, 1)[0];
+        });
+        if (!removed) return res.status(404).json({ error: "List item not found." });
+        res.status(204).end();
+    } catch (err) {
+        listsError(res, err);
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Import – match Letterboxd / IMDb CSV exports to TMDB movies
+// ---------------------------------------------------------------------------
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_JOB_TTL_MS = 60 * 60 * 1000; // finished jobs are kept for an hour
+const IMPORT_CANDIDATES = 5; // candidates listed for an ambiguous row
+
+/** Running and recently finished import jobs, by ID */
+const importJobs = new Map();
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, "" escapes, embedded newlines, CRLF, optional BOM).
+ * @param {string} text
+ * @returns {string[][]} rows of fields; blank lines are skipped
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ",") {
+            row.push(field);
+            field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && input[i + 1] === "\n") i++;
+            row.push(field);
+            if (row.some((f) => f !== "")) rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.some((f) => f !== "")) rows.push(row);
+    return rows;
+}
+
+/**
+ * Recognise the export format from its header and map each data row to
+ * { row, title, year, imdb_id, title_type, rating, date } (row is the 1-based data row number).
+ * @param {string[][]} table – parsed CSV including the header row
+ * @returns {{error: string}|{format: "letterboxd"|"imdb", rows: object[]}}
+ */
+function readImportRows(table) {
+    const [header = [], ...data] = table;
+    const col = (name) => header.findIndex((h) => h.trim().toLowerCase() === name.toLowerCase());
+
+    let format;
+    let fields;
+    if (col("Const") !== -1 && col("Title") !== -1) {
+        format = "imdb";
+        fields = {
+            title: col("Title"),
+            year: col("Year"),
+            imdb_id: col("Const"),
+            title_type: col("Title Type"),
+            rating: col("Your Rating"),
+            date: col("Date Rated"),
+        };
+    } else if (col("Name") !== -1 && col("Year") !== -1) {
+        format = "letterboxd";
+        fields = {
+            title: col("Name"),
+            year: col("Year"),
+            rating: col("Rating"),
+            date: col("Watched Date") !== -1 ? col("Watched Date") : col("Date"),
+        };
+    } else {
+        return { error: "Unrecognised CSV: expected a Letterboxd or IMDb export." };
+    }
+
+    const rows = data.map((cells, i) => {
+        const get = (key) => (fields[key] >= 0 ? (cells[fields[key]] || "").trim() : "");
+        return {
+            row: i + 1,
+            title: get("title"),
+            year: /^\d{4}$/.test(get("year")) ? Number(get("year")) : null,
+            imdb_id: /^tt\d+$/.test(get("imdb_id")) ? get("imdb_id") : null,
+            title_type: get("title_type") || null,
+            rating: get("rating") === "" ? null : Number(get("rating")),
+            date: get("date") || null,
+        };
+    });
+    return { format, rows };
+}
+
+/**
+ * Space calls out to at most `perSecond` per second, across every caller sharing the pacer.
+ * @returns {() => Promise<void>} resolves when the caller may proceed
+ */
+function createPacer(perSecond) {
+    const interval = 1000 / perSecond;
+    let next = 0;
+    return () => {
+        const now = Date.now();
+        const wait = Math.max(0, next - now);
+        next = Math.max(now, next) + interval;
+        return new Promise((resolve) => setTimeout(resolve, wait));
+    };
+}
+
+// Imports and exports share one budget; cached lookups don't spend it
+const bulkPacer = createPacer(BULK_LOOKUPS_PER_SECOND);
+
+async function bulkLookup(path, params = {}, locale = {}) {
+    if (!(await cache.has(tmdbCacheKey(path, { ...params, ...locale })))) await bulkPacer();
+    return tmdbFetch(path, params, locale);
+}
+
+/** Lower-case, accent-free, punctuation-free title for comparison ("Amélie!" → "amelie") */
+function normaliseTitle(title) {
+    return String(title || "")
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/&/g, "and")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+}
+
+/** The movie fields a reviewer needs to confirm a match */
+function toImportCandidate(movie) {
+    return {
+        id: movie.id,
+        title: movie.title,
+        original_title: movie.original_title,
+        release_date: movie.release_date || null,
+        poster_path: movie.poster_path || null,
+    };
+}
+
+/** Types in IMDb exports that TMDB files as movies */
+const IMDB_MOVIE_TYPES = new Set(["movie", "tvmovie", "video", "short"]);
+
+/**
+ * Match one import row: via /find for an IMDb ID, else by title + year through /search/movie.
+ * A single exact title match is "matched"; several exact matches, or only loose ones, are
+ * "ambiguous"; nothing at all is "unmatched".
+ * @returns {Promise<{bucket: "matched"|"ambiguous"|"unmatched", entry: object}>}
+ */
+async function matchImportRow(row) {
+    if (!row.title && !row.imdb_id) return { bucket: "unmatched", entry: { ...row, reason: "No title." } };
+
+    const type = (row.title_type || "").replace(/\s+/g, "").toLowerCase();
+    if (type && !IMDB_MOVIE_TYPES.has(type)) {
+        return { bucket: "unmatched", entry: { ...row, reason: `Not a movie (${row.title_type}).` } };
+    }
+
+    if (row.imdb_id) {
+        const found = await bulkLookup(`/find/${row.imdb_id}`, { external_source: "imdb_id" });
+        const movie = found.movie_results?.[0];
+        if (movie) {
+            const match = toImportCandidate(movie);
+            return { bucket: "matched", entry: { ...row, tmdb_id: match.id, via: "imdb_id", match } };
+        }
+        if (!row.title) return { bucket: "unmatched", entry: { ...row, reason: "IMDb ID not found on TMDB." } };
+    }
+
+    const params = { query: row.title, include_adult: false };
+    if (row.year) params.primary_release_year = row.year;
+    let results = (await bulkLookup("/search/movie", params)).results || [];
+    if (results.length === 0 && row.year) {
+        // Export years can be off by one from TMDB's primary release (festival vs. theatrical)
+        const loose = await bulkLookup("/search/movie", { query: row.title, include_adult: false });
+        results = (loose.results || []).filter(
+            (m) => Math.abs(Number((m.release_date || "").slice(0, 4)) - row.year) <= 1
+        );
+    }
+    if (results.length === 0) {
+        return { bucket: "unmatched", entry: { ...row, reason: "No TMDB movie with this title and year." } };
+    }
+
+    const wanted = normaliseTitle(row.title);
+    const exact = results.filter(
+        (m) => normaliseTitle(m.title) === wanted || normaliseTitle(m.original_title) === wanted
+    );
+    if (exact.length === 1) {
+        const match = toImportCandidate(exact[0]);
+        return { bucket: "matched", entry: { ...row, tmdb_id: match.id, via: "search", match } };
+    }
+    const candidates = (exact.length ? exact : results).slice(0, IMPORT_CANDIDATES).map(toImportCandidate);
+    return { bucket: "ambiguous", entry: { ...row, candidates } };
+}
+
+/** Match every row of a job in order, recording progress as it goes */
+async function runImport(job, rows) {
+    for (const row of rows) {
+        try {
+            const { bucket, entry } = await matchImportRow(row);
+            job[bucket].push(entry);
+        } catch (err) {
+            log.error("Import lookup error", { err });
+            job.unmatched.push({ ...row, reason: "TMDB lookup failed." });
+        }
+        job.processed++;
+    }
+    job.status = "done";
+    job.finished_at = Date.now();
+}
+
+/**
+ * POST /api/import
+ * Start matching a Letterboxd (diary/watched/ratings) or IMDb (ratings/watchlist) CSV export,
+ * sent as the raw request body with Content-Type text/csv. Returns 202 with the job; poll
+ * GET /api/import/:id for progress and the matched / ambiguous / unmatched rows.
+ * Lookups are paced to BULK_LOOKUPS_PER_SECOND so large files never burst TMDB.
+ */
+const csvBody = express.text({ type: ["text/csv", "text/plain", "application/csv"], limit: "5mb" });
+
+app.post("/api/import", csvBody, (req, res) => {
+    if (typeof req.body !== "string" || !req.body.trim()) {
+        return res.status(400).json({ error: "Send the CSV export as the request body with Content-Type: text/csv." });
+    }
+
+    const parsed = readImportRows(parseCsv(req.body));
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (parsed.rows.length === 0) return res.status(400).json({ error: "The CSV has no data rows." });
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once.` });
+    }
+
+    // Forget finished jobs nobody collected
+    for (const [id, old] of importJobs) {
+        if (old.finished_at && Date.now() - old.finished_at > IMPORT_JOB_TTL_MS) importJobs.delete(id);
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        status: "running",
+        format: parsed.format,
+        total: parsed.rows.length,
+        processed: 0,
+        matched: [],
+        ambiguous: [],
+        unmatched: [],
+    };
+    importJobs.set(job.id, job);
+    runImport(job, parsed.rows);
+
+    res.status(202).location(`/api/import/${job.id}`).json({
+        id: job.id,
+        status: job.status,
+        format: job.format,
+        total: job.total,
+        processed: job.processed,
+    });
+});
+
+/**
+ * GET /api/import/:id
+ * Progress of an import job; the result arrays fill in as rows are matched.
+ */
+app.get("/api/import/:id", (req, res) => {
+    const job = importJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: "Import not found." });
+    const { finished_at, ...body } = job;
+    res.json(body);
+});
+
+// ---------------------------------------------------------------------------
+// Export – search results and lists as CSV, JSON or a Letterboxd import CSV
+// ---------------------------------------------------------------------------
+const EXPORT_FORMATS = ["csv", "json", "letterboxd"];
+const MAX_EXPORT_PAGES = 10;
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or newline. Text that a spreadsheet
+ * would run as a formula (=, +, -, @, tab, CR) gets a leading ' first, so a title or list
+ * note can't smuggle one in.
+ */
+function csvField(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Columns per format as [header, row => value]; list exports add the note and added date */
+function exportColumns(format, withListFields) {
+    if (format === "letterboxd") {
+        const columns = [
+            ["Title", (r) => r.title],
+            ["Year", (r) => r.year],
+            ["tmdbID", (r) => r.tmdb_id],
+            ["imdbID", (r) => r.imdb_id],
+        ];
+        // Letterboxd's list importer keeps Review as the entry's note
+        return withListFields ? [...columns, ["Review", (r) => r.note]] : columns;
+    }
+    const columns = [
+        ["tmdb_id", (r) => r.tmdb_id],
+        ["imdb_id", (r) => r.imdb_id],
+        ["title", (r) => r.title],
+        ["year", (r) => r.year],
+        ["release_date", (r) => r.release_date],
+        ["rating", (r) => r.rating],
+        ["votes", (r) => r.votes],
+        ["genres", (r) => r.genres.join("; ")],
+    ];
+    return withListFields ? [...columns, ["note", (r) => r.note], ["added_at", (r) => r.added_at]] : columns;
+}
+
+/**
+ * Validate ?format=.
+ * @returns {{error?: string, format?: string}}
+ */
+function parseExportFormat(query) {
+    const format = String(query.format || "csv").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        return { error: `format must be one of: ${EXPORT_FORMATS.join(", ")}.` };
+    }
+    return { format };
+}
+
+/**
+ * Send download headers and return a row writer. Rows go out as they are built, so a long
+ * export keeps the connection busy instead of sitting behind the proxy timeout.
+ * @param {object} res – Express response
+ * @param {string} format – csv | json | letterboxd
+ * @param {string} basename – file name without extension
+ * @param {boolean} withListFields – include the list note and added date
+ * @returns {{write: (row: object) => void, end: () => void}}
+ */
+function startExport(res, format, basename, withListFields) {
+    const json = format === "json";
+    const columns = exportColumns(format, withListFields);
+    const filename = `${basename}${format === "letterboxd" ? "-letterboxd" : ""}.${json ? "json" : "csv"}`;
+
+    res.setHeader("Content-Type", json ? "application/json; charset=utf-8" : "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.write(json ? "[" : `${columns.map(([name]) => name).join(",")}\r\n`);
+
+    let count = 0;
+    return {
+        write(row) {
+            if (json) res.write(`${count ? "," : ""}\n${JSON.stringify(row)}`);
+            else res.write(`${columns.map(([, get]) => csvField(get(row))).join(",")}\r\n`);
+            count++;
+        },
+        end() {
+            res.end(json ? "\n]\n" : "");
+        },
+    };
+}
+
+/**
+ * Flatten a movie (search result or full details) into an export row. Search results carry
+ * no IMDb ID, so that comes from the paced /movie/:id lookup; a failed lookup leaves it null.
+ * @param {object} movie
+ * @param {Map<number, string>} genreNames – genre id → name, for search results
+ */
+async function toExportRow(movie, genreNames) {
+    let imdbId = movie.imdb_id;
+    if (imdbId === undefined) {
+        try {
+            imdbId = (await bulkLookup(`/movie/${movie.id}`)).imdb_id;
+        } catch (err) {
+            log.error("Export lookup error", { err });
+        }
+    }
+    const genres = movie.genres
+        ? movie.genres.map((g) => g.name)
+        : (movie.genre_ids || []).map((id) => genreNames.get(id)).filter(Boolean);
+    return {
+        tmdb_id: movie.id,
+        imdb_id: imdbId || null,
+        title: movie.title ?? null,
+        year: movie.release_date ? Number(movie.release_date.slice(0, 4)) : null,
+        release_date: movie.release_date || null,
+        rating: movie.vote_average ?? null,
+        votes: movie.vote_count ?? null,
+        genres,
+    };
+}
+
+/**
+ * GET /api/search/export
+ * Accepts every /api/search parameter except page, plus:
+ *   format – csv (default) | json | letterboxd
+ *   pages  – result pages to walk, 1–10 (default 1)
+ * Streams title, year, rating, votes, genres and TMDB/IMDb IDs for each result.
+ */
+app.get("/api/search/export", async (req, res) => {
+    try {
+        const { error: formatError, format } = parseExportFormat(req.query);
+        if (formatError) return res.status(400).json({ error: formatError });
+
+        const pages = Number(req.query.pages ?? 1);
+        if (!Number.isInteger(pages) || pages < 1 || pages > MAX_EXPORT_PAGES) {
+            return res.status(400).json({ error: `pages must be an integer between 1 and ${MAX_EXPORT_PAGES}.` });
+        }
+
+        const { error, candidates, plan } = await planSearch(req.query, req.locale);
+        if (error) return res.status(400).json({ error, candidates });
+
+        // Fetch the first page before any bytes go out, so an upstream failure is still a 502
+        let data = plan ? await fetchSearchPage(plan, 1, req.locale) : { results: [], total_pages: 0 };
+        const { genres = [] } = await fetchGenres(req.locale);
+        const genreNames = new Map(genres.map((g) => [g.id, g.name]));
+
+        const out = startExport(res, format, "cinesearch-search", false);
+        const lastPage = Math.min(pages, data.total_pages);
+        for (let page = 1; page <= lastPage; page++) {
+            if (page > 1) data = await fetchSearchPage(plan, page, req.locale);
+            for (const movie of data.results) out.write(await toExportRow(movie, genreNames));
+        }
+        out.end();
+    } catch (err) {
+        log.error("Search export error", { err });
+        // Mid-stream failures can't change the status any more – cut the file short instead
+        if (res.headersSent) return res.end();
+        res.status(502).json({ error: "Failed to fetch search results from TMDB." });
+    }
+});
+
+/**
+ * GET /api/lists/:id/export
+ *   format – csv (default) | json | letterboxd (Letterboxd list import, notes as Review)
+ * Streams every entry of the list with its note and added date.
+ */
+app.get("/api/lists/:id/export", async (req, res) => {
+    try {
+        const { error, format } = parseExportFormat(req.query);
+        if (error) return res.status(400).json({ error });
+
+        const list = (await loadLists()).lists.find((l) => l.id === req.params.id);
+        if (!list) return res.status(404).json({ error: "List not found." });
+
+        const basename = `cinesearch-${normaliseTitle(list.name).replace(/ /g, "-") || "list"}`;
+        const out = startExport(res, format, basename, true);
+        for (const item of list.items) {
+            let movie = { id: item.movie_id, imdb_id: null };
+            try {
+                movie = await bulkLookup(`/movie/${item.movie_id}`, {}, req.locale);
+            } catch (err) {
+                // Keep the entry (ID, note, date) even when TMDB can't describe it
+                log.error("List export lookup error", { err });
+            }
+            out.write({ ...(await toExportRow(movie, new Map())), note: item.note, added_at: item.added_at });
+        }
+        out.end();
+    } catch (err) {
+        if (res.headersSent) {
+            log.error("List export error", { err });
+            return res.end();
+        }
+        listsError(res, err);
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Image proxy – TMDB artwork served from our origin, kept on disk
+// ---------------------------------------------------------------------------
+// Every size TMDB's /configuration lists for backdrops, logos, posters, profiles and stills
+const IMAGE_SIZES = ["w45", "w92", "w154", "w185", "w300", "w342", "w500", "w780", "w1280", "h632", "original"];
+const IMAGE_FILE_PATTERN = /^[A-Za-z0-9_-]+\.(jpg|png|svg)$/; // TMDB file names, no directories
+const IMAGE_MAX_AGE_SECONDS = 365 * 24 * 3600; // a TMDB file path never changes content
+
+/**
+ * GET /api/image/:size/:file
+ * The image TMDB serves at /t/p/:size/:file, so the browser never contacts TMDB (no third-party
+ * requests, works behind `img-src 'self'` and where TMDB's CDN is blocked). Misses are streamed
+ * through and written to the image cache at the same time.
+ */
+app.get("/api/image/:size/:file", async (req, res) => {
+    if (!IMAGE_PROXY) return res.status(404).json({ error: "The image proxy is turned off." });
+    const { size, file } = req.params;
+    if (!IMAGE_SIZES.includes(size)) {
+        return res.status(400).json({ error: `size must be one of ${IMAGE_SIZES.join(", ")}.` });
+    }
+    if (!IMAGE_FILE_PATTERN.test(file)) return res.status(400).json({ error: "Invalid image path." });
+
+    const name = `${size}-${file}`;
+    try {
+        const cached = await imageCache.lookup(name);
+        if (cached) return res.sendFile(cached, { maxAge: IMAGE_MAX_AGE_SECONDS * 1000, immutable: true });
+
+        const upstream = await axios.get(`${IMAGE_BASE_URL}/${size}/${file}`, {
+            responseType: "stream",
+            timeout: IMAGE_TIMEOUT_MS,
+        });
+        const type = upstream.headers["content-type"];
+        if (!String(type).startsWith("image/")) {
+            upstream.data.destroy?.();
+            throw new Error(`Unexpected content type ${type} for ${name}`);
+        }
+        res.set({ "Content-Type": type, "Cache-Control": `public, max-age=${IMAGE_MAX_AGE_SECONDS}, immutable` });
+        if (upstream.headers["content-length"]) res.set("Content-Length", upstream.headers["content-length"]);
+        // A failed download cuts the response short; the cache drops its partial copy on its own
+        upstream.data.on("error", (err) => {
+            log.error("Image proxy error", { err });
+            res.destroy(err);
+        });
+        imageCache.save(name, upstream.data).catch((err) => log.error("Image cache error", { err }));
+        upstream.data.pipe(res);
+    } catch (err) {
+        if (err.response?.status === 404) return res.status(404).json({ error: "Image not found." });
+        log.error("Image proxy error", { err });
+        if (res.headersSent) return res.destroy();
+        res.status(502).json({ error: "Failed to fetch image from TMDB." });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Fallbacks – JSON answers for unknown API routes and requests Express itself rejected
+// ---------------------------------------------------------------------------
+app.use("/api/", (_req, res) => {
+    res.status(404).json({ error: "Not found." });
+});
+
+// Express recognises error handlers by their four parameters, so _next has to stay
+app.use((err, _req, res, _next) => {
+    // body-parser errors (malformed JSON, oversized bodies) carry a 4xx status
+    const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+    if (status === 500) log.error("Unhandled error", { err });
+    res.status(status).json({ error: status === 500 ? "Internal server error." : "Malformed request body." });
 });
 
 // ---------------------------------------------------------------------------
@@ -282,8 +2809,8 @@ app.get("/api/trending", async (_req, res) => {
 /* istanbul ignore next */
 if (require.main === module) {
     app.listen(PORT, "0.0.0.0", () => {
-        console.log(`CineSearch backend listening on http://0.0.0.0:${PORT}`);
+        log.info("CineSearch backend listening", { port: Number(PORT), cache: cache.backend, tmdb: TMDB_BASE_URL });
     });
 }
 
-module.exports = { app, cache };
+module.exports = { app, cache, circuit };
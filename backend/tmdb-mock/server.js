@@ -0,0 +1,333 @@
+"use strict";
+
+/**
+ * Offline TMDB stand-in for development and end-to-end tests.
+ *
+ * Point the backend at it with TMDB_BASE_URL=http://localhost:4010/3. Requests are answered from
+ * fixtures in this order:
+ *
+ *   1. recorded responses (fixtures/recorded/*.json) matching the path and query exactly
+ *   2. handlers for the common endpoints, computed from fixtures/movies.json and genres.json:
+ *      search/movie, search/person, discover/movie, movie/:id (+ append_to_response),
+ *      movie/:id/recommendations, movie/:id/reviews,
+ *      trending/movie/:window, genre/movie/list and configuration
+ *   3. TMDB's own 404 body
+ *
+ * Record mode (TMDB_MOCK_RECORD=1 with a real TMDB_API_KEY) forwards every request to TMDB and
+ * saves the response as a recorded fixture, so replay covers anything the handlers don't.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const express = require("express");
+
+const PAGE_SIZE = 20;
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures");
+const TMDB_PUBLIC_URL = "https://api.themoviedb.org/3";
+// Sections of a movie fixture that TMDB only returns through append_to_response
+const APPENDABLE = ["credits", "videos", "images", "reviews", "recommendations"];
+
+// GET /configuration – the backend's readiness check calls it to validate the key
+const CONFIGURATION = {
+    images: {
+        base_url: "http://image.tmdb.org/t/p/",
+        secure_base_url: "https://image.tmdb.org/t/p/",
+        backdrop_sizes: ["w300", "w780", "w1280", "original"],
+        logo_sizes: ["w45", "w92", "w154", "w185", "w300", "w500", "original"],
+        poster_sizes: ["w92", "w154", "w185", "w342", "w500", "w780", "original"],
+        profile_sizes: ["w45", "w185", "h632", "original"],
+        still_sizes: ["w92", "w185", "w300", "original"],
+    },
+    change_keys: [],
+};
+
+const NOT_FOUND = { success: false, status_code: 34, status_message: "The resource you requested could not be found." };
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Query without the API key, with sorted keys – the identity of a recorded response */
+function canonicalQuery(query) {
+    return Object.fromEntries(
+        Object.keys(query)
+            .filter((k) => k !== "api_key")
+            .sort()
+            .map((k) => [k, String(query[k])])
+    );
+}
+
+/** File name for a recording: readable path prefix plus a hash of path and query */
+function recordingFile(dir, tmdbPath, query) {
+    const hash = crypto
+        .createHash("sha1")
+        .update(`${tmdbPath}|${JSON.stringify(canonicalQuery(query))}`)
+        .digest("hex")
+        .slice(0, 12);
+    return path.join(dir, `${tmdbPath.slice(1).replace(/\//g, "_")}-${hash}.json`);
+}
+
+/** Lower-case, accent-free text for substring matching */
+function fold(text) {
+    return String(text || "")
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase();
+}
+
+/** The list form TMDB uses in search, discover and trending results */
+function toListItem(movie) {
+    return {
+        adult: false,
+        id: movie.id,
+        title: movie.title,
+        original_title: movie.original_title,
+        original_language: movie.original_language,
+        overview: movie.overview,
+        release_date: movie.release_date,
+        poster_path: movie.poster_path,
+        backdrop_path: movie.backdrop_path,
+        genre_ids: movie.genres.map((g) => g.id),
+        popularity: movie.popularity,
+        vote_average: movie.vote_average,
+        vote_count: movie.vote_count,
+    };
+}
+
+function paginate(items, page) {
+    const pageNum = Math.max(1, Number(page) || 1);
+    return {
+        page: pageNum,
+        results: items.slice((pageNum - 1) * PAGE_SIZE, pageNum * PAGE_SIZE),
+        total_pages: Math.ceil(items.length / PAGE_SIZE),
+        total_results: items.length,
+    };
+}
+
+/** Match "1,2" (all of) or "1|2" (any of) against a set of IDs */
+function matchesIds(filter, ids) {
+    if (filter === undefined || filter === "") return true;
+    const text = String(filter);
+    if (text.includes("|")) return text.split("|").some((id) => ids.has(Number(id)));
+    return text.split(",").every((id) => ids.has(Number(id)));
+}
+
+/** Sort by a TMDB sort_by value such as "popularity.desc" or "original_title.asc" */
+function sortMovies(movies, sortBy = "popularity.desc") {
+    const [field, dir] = sortBy.split(".");
+    const key = field === "primary_release_date" ? "release_date" : field;
+    const sign = dir === "asc" ? 1 : -1;
+    return [...movies].sort((a, b) => {
+        const x = a[key] ?? "";
+        const y = b[key] ?? "";
+        return (typeof x === "string" ? x.localeCompare(y) : x - y) * sign;
+    });
+}
+
+/** Everyone in the fixtures' credits, one entry per person with the films they're known for */
+function collectPeople(movies) {
+    const people = new Map();
+    for (const movie of movies) {
+        const credits = [...(movie.credits?.cast || []), ...(movie.credits?.crew || [])];
+        for (const credit of credits) {
+            const person = people.get(credit.id) || {
+                adult: false,
+                id: credit.id,
+                name: credit.name,
+                known_for_department: credit.known_for_department || credit.department || "Acting",
+                profile_path: credit.profile_path ?? null,
+                popularity: 0,
+                known_for: [],
+            };
+            if (!person.known_for.some((m) => m.id === movie.id)) {
+                person.known_for.push(toListItem(movie));
+                person.popularity += movie.popularity / 10;
+            }
+            people.set(credit.id, person);
+        }
+    }
+    return [...people.values()];
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the stand-in app.
+ * @param {object} [options]
+ * @param {string} [options.fixturesDir] – directory with movies.json, genres.json and recorded/
+ * @param {boolean} [options.record] – forward to TMDB and save responses instead of replaying
+ * @param {string} [options.upstreamUrl] – real TMDB base URL for record mode
+ * @param {string} [options.apiKey] – real TMDB key for record mode
+ * @returns {import("express").Express}
+ */
+function createMockTmdb({
+    fixturesDir = DEFAULT_FIXTURES_DIR,
+    record = false,
+    upstreamUrl = TMDB_PUBLIC_URL,
+    apiKey,
+} = {}) {
+    const recordedDir = path.join(fixturesDir, "recorded");
+    const readJson = (name) => JSON.parse(fs.readFileSync(path.join(fixturesDir, name), "utf8"));
+    const movies = readJson("movies.json");
+    const genres = readJson("genres.json");
+    const people = collectPeople(movies);
+
+    const app = express();
+    app.get("/health", (_req, res) => res.json({ status: "ok", record }));
+
+    const tmdb = express.Router();
+
+    // Record mode: every request goes to TMDB and its answer becomes a fixture
+    if (record) {
+        tmdb.use(async (req, res) => {
+            try {
+                const upstream = await axios.get(`${upstreamUrl}${req.path}`, {
+                    params: { ...req.query, api_key: apiKey },
+                    timeout: 10000,
+                    validateStatus: () => true,
+                });
+                // Keep answers and 404s; auth errors and outages aren't worth replaying
+                if (upstream.status < 300 || upstream.status === 404) {
+                    fs.mkdirSync(recordedDir, { recursive: true });
+                    const recording = { path: req.path, query: canonicalQuery(req.query), status: upstream.status };
+                    fs.writeFileSync(
+                        recordingFile(recordedDir, req.path, req.query),
+                        `${JSON.stringify({ ...recording, body: upstream.data }, null, 2)}\n`
+                    );
+                    console.log(`Recorded ${upstream.status} ${req.path}`);
+                }
+                res.status(upstream.status).json(upstream.data);
+            } catch (err) {
+                console.error("Record error:", err.message);
+                res.status(502).json({ success: false, status_message: err.message });
+            }
+        });
+        app.use("/3", tmdb);
+        return app;
+    }
+
+    // Recorded responses win over computed ones
+    tmdb.use((req, res, next) => {
+        const file = recordingFile(recordedDir, req.path, req.query);
+        if (!fs.existsSync(file)) return next();
+        const { status, body } = JSON.parse(fs.readFileSync(file, "utf8"));
+        res.status(status).json(body);
+    });
+
+    tmdb.get("/configuration", (_req, res) => res.json(CONFIGURATION));
+
+    tmdb.get("/genre/movie/list", (_req, res) => res.json(genres));
+
+    tmdb.get("/trending/movie/:window", (req, res) => {
+        res.json(paginate(sortMovies(movies).map(toListItem), req.query.page));
+    });
+
+    tmdb.get("/search/movie", (req, res) => {
+        const query = fold(req.query.query);
+        const year = req.query.primary_release_year || req.query.year;
+        const found = movies.filter(
+            (m) =>
+                query &&
+                (fold(m.title).includes(query) || fold(m.original_title).includes(query)) &&
+                (!year || m.release_date.startsWith(String(year)))
+        );
+        res.json(paginate(sortMovies(found).map(toListItem), req.query.page));
+    });
+
+    tmdb.get("/search/person", (req, res) => {
+        const query = fold(req.query.query);
+        const found = people.filter((p) => query && fold(p.name).includes(query));
+        res.json(paginate(found.sort((a, b) => b.popularity - a.popularity), req.query.page));
+    });
+
+    tmdb.get("/discover/movie", (req, res) => {
+        const q = req.query;
+        const num = (value) => (value === undefined || value === "" ? null : Number(value));
+        const found = movies.filter((m) => {
+            const castIds = new Set((m.credits?.cast || []).map((c) => c.id));
+            const crewIds = new Set((m.credits?.crew || []).map((c) => c.id));
+            const date = m.release_date;
+            return (
+                matchesIds(q.with_genres, new Set(m.genres.map((g) => g.id))) &&
+                matchesIds(q.with_cast, castIds) &&
+                matchesIds(q.with_crew, crewIds) &&
+                matchesIds(q.with_people, new Set([...castIds, ...crewIds])) &&
+                (!q.primary_release_year || date.startsWith(String(q.primary_release_year))) &&
+                (!q["primary_release_date.gte"] || date >= q["primary_release_date.gte"]) &&
+                (!q["primary_release_date.lte"] || date <= q["primary_release_date.lte"]) &&
+                (num(q["vote_average.gte"]) === null || m.vote_average >= num(q["vote_average.gte"])) &&
+                (num(q["vote_average.lte"]) === null || m.vote_average <= num(q["vote_average.lte"])) &&
+                (num(q["vote_count.gte"]) === null || m.vote_count >= num(q["vote_count.gte"])) &&
+                (num(q["with_runtime.gte"]) === null || m.runtime >= num(q["with_runtime.gte"])) &&
+                (num(q["with_runtime.lte"]) === null || m.runtime <= num(q["with_runtime.lte"])) &&
+                (!q.with_original_language || m.original_language === q.with_original_language)
+            );
+        });
+        res.json(paginate(sortMovies(found, q.sort_by).map(toListItem), q.page));
+    });
+
+    // Films sharing a genre, most popular first
+    const recommendationsFor = (movie) => {
+        const genreIds = new Set(movie.genres.map((g) => g.id));
+        const related = movies.filter((m) => m.id !== movie.id && m.genres.some((g) => genreIds.has(g.id)));
+        return sortMovies(related).map(toListItem);
+    };
+    const reviewsFor = (movie) => movie.reviews?.results || [];
+
+    tmdb.get("/movie/:id", (req, res) => {
+        const movie = movies.find((m) => m.id === Number(req.params.id));
+        if (!movie) return res.status(404).json(NOT_FOUND);
+
+        const details = Object.fromEntries(Object.entries(movie).filter(([key]) => !APPENDABLE.includes(key)));
+        const append = String(req.query.append_to_response || "").split(",");
+        for (const section of append.filter((s) => APPENDABLE.includes(s))) {
+            if (section === "recommendations") {
+                details.recommendations = paginate(recommendationsFor(movie), 1);
+            } else if (section === "reviews") {
+                details.reviews = paginate(reviewsFor(movie), 1);
+            } else {
+                details[section] = movie[section] || (section === "images" ? { backdrops: [], posters: [] } : {});
+            }
+        }
+        res.json(details);
+    });
+
+    tmdb.get("/movie/:id/:section(recommendations|reviews)", (req, res) => {
+        const movie = movies.find((m) => m.id === Number(req.params.id));
+        if (!movie) return res.status(404).json(NOT_FOUND);
+        const items = req.params.section === "reviews" ? reviewsFor(movie) : recommendationsFor(movie);
+        res.json({ id: movie.id, ...paginate(items, req.query.page) });
+    });
+
+    tmdb.use((_req, res) => res.status(404).json(NOT_FOUND));
+
+    app.use("/3", tmdb);
+    return app;
+}
+
+// ---------------------------------------------------------------------------
+// Start server (skipped when imported by tests)
+// ---------------------------------------------------------------------------
+/* istanbul ignore next */
+if (require.main === module) {
+    const record = ["1", "true"].includes(String(process.env.TMDB_MOCK_RECORD).toLowerCase());
+    if (record && !process.env.TMDB_API_KEY) {
+        console.error("FATAL: record mode needs a real TMDB_API_KEY.");
+        process.exit(1);
+    }
+    const port = process.env.TMDB_MOCK_PORT || 4010;
+    const app = createMockTmdb({
+        fixturesDir: process.env.TMDB_MOCK_FIXTURES || DEFAULT_FIXTURES_DIR,
+        record,
+        apiKey: process.env.TMDB_API_KEY,
+    });
+    app.listen(port, "0.0.0.0", () => {
+        console.log(`TMDB stand-in ${record ? "recording" : "replaying"} on http://0.0.0.0:${port}/3`);
+    });
+}
+
+module.exports = { createMockTmdb };
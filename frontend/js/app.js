@@ -11,14 +11,86 @@
     const IMG_BASE = "https://image.tmdb.org/t/p/";
     const DEBOUNCE_MS = 400; // debounce search input
     const MIN_QUERY_LENGTH = 2;
+    const MAX_RESTORED_PAGES = 5; // "load more" pages re-fetched when a search URL is opened
+    const LIST_HYDRATE_BATCH = 4; // movie details fetched at a time when opening a list
+    const MAX_EXPORT_PAGES = 10; // mirrors the backend's cap on /api/search/export
+    const EXPORT_FORMATS = [
+        ["csv", "CSV"],
+        ["json", "JSON"],
+        ["letterboxd", "Letterboxd CSV"],
+    ];
+    const REGION_STORAGE_KEY = "cinesearch.region";
+    const LOCALE_STORAGE_KEY = "cinesearch.locale";
+    const LOCALES = ["en-US", "en-GB", "nl-BE", "nl-NL", "fr-FR", "de-DE", "es-ES", "it-IT", "pt-BR", "ja-JP", "ko-KR"];
+
+    /** UI/TMDB locale: the saved choice, else the closest match to the browser language, else en-US */
+    const initialLocale = () => {
+        try {
+            const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+            if (LOCALES.includes(saved)) return saved;
+        } catch {
+            // Storage blocked – fall through to the browser language
+        }
+        const browser = navigator.language || "";
+        return (
+            LOCALES.find((l) => l.toLowerCase() === browser.toLowerCase()) ||
+            LOCALES.find((l) => l.startsWith(`${browser.slice(0, 2)}-`)) ||
+            "en-US"
+        );
+    };
+
+    /** Watch-provider region: the saved choice, else the browser locale's country, else US */
+    const initialRegion = () => {
+        try {
+            const saved = localStorage.getItem(REGION_STORAGE_KEY);
+            if (saved) return saved;
+        } catch {
+            // Storage blocked – fall through to the browser locale
+        }
+        const match = /-([A-Z]{2})\b/.exec(navigator.language || "");
+        return match ? match[1] : "US";
+    };
+
+    /**
+     * Blank advanced-filter state. The release window is either a year range or the last
+     * `recentMonths` months. `cast`/`crew` hold `{ id, name }` people picked from the typeahead
+     * (id is "" only for bare names from links made before the picker) and `keywords` holds
+     * picked `{ id, name }` keywords;
+     * the modes map to TMDB's AND (",") / OR ("|").
+     */
+    const emptyFilters = () => ({
+        yearFrom: "",
+        yearTo: "",
+        recentMonths: "",
+        genre: "",
+        cast: [],
+        castMode: "and",
+        crew: [],
+        crewMode: "and",
+        keywords: [],
+        keywordMode: "and",
+        sort: "",
+        minRating: "",
+        maxRating: "",
+        minVotes: "",
+        minRuntime: "",
+        maxRuntime: "",
+        originalLanguage: "",
+    });
 
     let state = {
         query: "",
         page: 1,
         totalPages: 1,
         results: [],
-        previousView: "trending", // "trending" | "results"
-        filters: { year: "", genre: "", cast: "", director: "" },
+        mediaType: "movie", // "movie" | "tv"
+        currentDetail: null, // { type: "movie" | "tv", id } shown in the detail view
+        person: null, // person shown in the person view (for re-sorting the filmography)
+        filters: emptyFilters(),
+        resultsHash: "", // search route currently rendered in the results grid
+        region: initialRegion(), // ISO 3166-1 code for "Where to watch"
+        locale: initialLocale(), // BCP 47 tag for TMDB translations and number/date formatting
+        imageProxy: true, // artwork via /api/image unless /api/config reports imageProxy: false
     };
 
     // -----------------------------------------------------------------------
@@ -30,28 +102,79 @@
     const searchSpinner = $("#searchSpinner");
     const trendingSection = $("#trendingSection");
     const trendingGrid = $("#trendingGrid");
+    const trendingTitle = $("#trendingTitle");
+    const searchPanel = $("#searchPanel");
+    const mediaToggle = $("#mediaToggle");
+    const localeSelect = $("#localeSelect");
     const resultsSection = $("#resultsSection");
     const resultsGrid = $("#resultsGrid");
     const resultsTitle = $("#resultsTitle");
+    const exportControls = $("#exportControls");
+    const exportFormat = $("#exportFormat");
+    const exportBtn = $("#exportBtn");
     const loadMoreBtn = $("#loadMoreBtn");
     const loadMoreWrap = $("#loadMore");
     const detailSection = $("#detailSection");
     const detailContent = $("#detailContent");
     const backBtn = $("#backBtn");
+    const personSection = $("#personSection");
+    const personContent = $("#personContent");
+    const personBackBtn = $("#personBackBtn");
+    const listsSection = $("#listsSection");
+    const listsContent = $("#listsContent");
+    const listDialog = $("#listDialog");
+    const listDialogMovie = $("#listDialogMovie");
+    const listDialogLists = $("#listDialogLists");
+    const listNoteInput = $("#listNoteInput");
+    const newListForm = $("#newListForm");
+    const newListInput = $("#newListInput");
     const errorToast = $("#errorToast");
     // Advanced filter controls
     const filterForm = $("#filterForm");
     const yearInput = $("#yearInput");
+    const yearToInput = $("#yearToInput");
+    const decadeSelect = $("#decadeSelect");
     const genreSelect = $("#genreSelect");
     const castInput = $("#castInput");
+    const castMode = $("#castMode");
+    const castChips = $("#castChips");
     const directorInput = $("#directorInput");
+    const crewMode = $("#crewMode");
+    const crewChips = $("#crewChips");
+    const keywordInput = $("#keywordInput");
+    const keywordMode = $("#keywordMode");
+    const keywordChips = $("#keywordChips");
+    const sortSelect = $("#sortSelect");
+    const languageSelect = $("#languageSelect");
     const filterClearBtn = $("#filterClearBtn");
     const activeFilters = $("#activeFilters");
 
+    /** Discover filters: state key, form control, and chip label (sort alone never triggers a search) */
+    const selectedText = (select) => select?.options[select.selectedIndex]?.text || "";
+    const DISCOVER_CONTROLS = [
+        { key: "minRating", el: $("#minRatingInput"), label: (v) => `Rating ≥ ${v}` },
+        { key: "maxRating", el: $("#maxRatingInput"), label: (v) => `Rating ≤ ${v}` },
+        { key: "minVotes", el: $("#minVotesInput"), label: (v) => `Votes ≥ ${fmtNumber(Number(v))}` },
+        { key: "minRuntime", el: $("#minRuntimeInput"), label: (v) => `Runtime ≥ ${v} min` },
+        { key: "maxRuntime", el: $("#maxRuntimeInput"), label: (v) => `Runtime ≤ ${v} min` },
+        { key: "originalLanguage", el: languageSelect, label: () => `Language: ${selectedText(languageSelect)}` },
+        { key: "sort", el: sortSelect, label: () => `Sort: ${selectedText(sortSelect)}` },
+    ];
+
+    /** Top-level views; exactly one is visible at a time */
+    const VIEW_SECTIONS = [trendingSection, resultsSection, detailSection, personSection, listsSection];
+
     // -----------------------------------------------------------------------
     // Utility helpers
     // -----------------------------------------------------------------------
 
+    /** Show one top-level view and hide the others */
+    function showView(section) {
+        VIEW_SECTIONS.forEach((s) => {
+            if (s) s.hidden = s !== section;
+        });
+    }
+
     /** Debounce function calls */
     function debounce(fn, ms) {
         let timer;
@@ -68,22 +191,54 @@
         setTimeout(() => (errorToast.hidden = true), 4000);
     }
 
-    /** Build an image URL with TMDB sizing */
+    /** Build an image URL with TMDB sizing (path is TMDB's, starting with "/") */
     function imgUrl(path, size = "w500") {
-        return path ? `${IMG_BASE}${size}${path}` : null;
+        if (!path) return null;
+        // TMDB is only contacted directly when the deployment says so – never as a fallback
+        return state.imageProxy === false ? `${IMG_BASE}${size}${path}` : `${API_BASE}/image/${size}${path}`;
+    }
+
+    /** Read deploy-time settings from /api/config; without them the image proxy stays on */
+    async function loadConfig() {
+        try {
+            if ((await apiFetch("/config")).imageProxy === false) state.imageProxy = false;
+        } catch {
+            // Keep the defaults – artwork still goes through /api/image
+        }
     }
 
-    /** Escape HTML to prevent XSS */
+    // Placeholders for artwork that fails to load (missing on TMDB, proxy error), as for movies
+    // without artwork. Image errors don't bubble, hence the capture phase; no inline onerror, so a
+    // strict CSP still works.
+    const IMAGE_PLACEHOLDERS = { "cast-card__img": "👤", "person-picker__img": "👤", "season-card__img": "📺" };
+    document.addEventListener(
+        "error",
+        (e) => {
+            const img = e.target;
+            if (!(img instanceof HTMLImageElement)) return;
+            if (img.classList.contains("detail__backdrop") || img.classList.contains("gallery__img")) {
+                return img.remove(); // decorative – nothing to stand in for
+            }
+            const placeholder = document.createElement("div");
+            placeholder.className = `${img.className} no-poster`.trim();
+            const kind = Object.keys(IMAGE_PLACEHOLDERS).find((cls) => img.classList.contains(cls));
+            placeholder.textContent = IMAGE_PLACEHOLDERS[kind] || "🎞️";
+            img.replaceWith(placeholder);
+        },
+        true
+    );
+
+    const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+    /** Escape HTML to prevent XSS – safe in element text and in quoted attribute values */
     function esc(str) {
-        const div = document.createElement("div");
-        div.textContent = str ?? "";
-        return div.innerHTML;
+        return String(str ?? "").replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
     }
 
     /** Format date string */
     function fmtDate(dateStr) {
         if (!dateStr) return "N/A";
-        return new Date(dateStr).toLocaleDateString("en-US", {
+        return new Date(dateStr).toLocaleDateString(state.locale, {
             year: "numeric",
             month: "long",
             day: "numeric",
@@ -98,33 +253,59 @@
         return `${h}h ${m}m`;
     }
 
-    /** Format currency */
+    /** Format a count with the locale's digit grouping */
+    function fmtNumber(val) {
+        return val.toLocaleString(state.locale);
+    }
+
+    /** Format currency (TMDB budgets and revenues are in US dollars) */
     function fmtMoney(val) {
         if (!val) return "N/A";
-        return "$" + val.toLocaleString("en-US");
+        return val.toLocaleString(state.locale, { style: "currency", currency: "USD", maximumFractionDigits: 0 });
     }
 
     // -----------------------------------------------------------------------
     // API helpers
     // -----------------------------------------------------------------------
 
-    async function apiFetch(path, params = {}) {
+    function apiUrl(path, params = {}) {
         const url = new URL(`${API_BASE}${path}`, window.location.origin);
+        url.searchParams.set("locale", state.locale);
         Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, v));
+        return url;
+    }
 
-        const res = await fetch(url);
-        if (!res.ok) {
-            const body = await res.json().catch(() => ({}));
-            throw new Error(body.error || `HTTP ${res.status}`);
-        }
+    /** Error for a failed API response, quoting the request ID so it can go in a bug report */
+    async function apiError(res) {
+        const body = await res.json().catch(() => ({}));
+        const message = body.error || `HTTP ${res.status}`;
+        const err = new Error(body.requestId ? `${message} (request ID ${body.requestId})` : message);
+        err.status = res.status;
+        return err;
+    }
+
+    async function apiFetch(path, params = {}) {
+        const res = await fetch(apiUrl(path, params));
+        if (!res.ok) throw await apiError(res);
         return res.json();
     }
 
+    /** Send a JSON request to the lists API; resolves to the response body (null for 204) */
+    async function apiSend(method, path, body) {
+        const res = await fetch(`${API_BASE}${path}`, {
+            method,
+            headers: { "Content-Type": "application/json" },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        if (!res.ok) throw await apiError(res);
+        return res.status === 204 ? null : res.json();
+    }
+
     // -----------------------------------------------------------------------
     // Rendering helpers
     // -----------------------------------------------------------------------
 
-    function renderMovieCard(movie) {
+    function renderMovieCard(movie, onOpen = () => navigate(`#/movie/${movie.id}`)) {
         const poster = imgUrl(movie.poster_path, "w342");
         const year = movie.release_date ? movie.release_date.slice(0, 4) : "—";
         const rating = movie.vote_average ? movie.vote_average.toFixed(1) : "—";
@@ -137,6 +318,8 @@
                 ? `<img class="movie-card__poster" src="${poster}" alt="${esc(movie.title)}" loading="lazy" />`
                 : `<div class="movie-card__poster no-poster">🎞️</div>`
             }
+      <button type="button" class="movie-card__add" data-add-to-list="${movie.id}" data-title="${esc(movie.title)}"
+        aria-label="Add ${esc(movie.title)} to a list" title="Add to list">＋</button>
       <div class="movie-card__info">
         <div class="movie-card__title">${esc(movie.title)}</div>
         <div class="movie-card__meta">
@@ -145,10 +328,76 @@
         </div>
       </div>
     `;
-        card.addEventListener("click", () => openDetail(movie.id));
+        card.addEventListener("click", onOpen);
+        return card;
+    }
+
+    /** Series card: the movie card layout with the series name and first air date */
+    function renderTvCard(show) {
+        const card = renderMovieCard(
+            { ...show, title: show.name, release_date: show.first_air_date },
+            () => navigate(`#/tv/${show.id}`)
+        );
+        card.classList.add("movie-card--tv");
+        card.querySelector(".movie-card__add").remove(); // lists hold movies only
+        delete card.dataset.movieId;
+        card.dataset.tvId = show.id;
         return card;
     }
 
+    /** Card renderer for the current media type */
+    function renderCard(item) {
+        return state.mediaType === "tv" ? renderTvCard(item) : renderMovieCard(item);
+    }
+
+    /** Top-billed cast cards; each opens the person view */
+    function renderCastHtml(cast) {
+        return cast
+            .map((c) => {
+                const photo = imgUrl(c.profile_path, "w185");
+                const character = c.character ?? c.roles?.[0]?.character;
+                return `
+          <div class="cast-card" data-person-id="${c.id}" role="link" tabindex="0">
+            ${photo
+                        ? `<img class="cast-card__img" src="${photo}" alt="${esc(c.name)}" loading="lazy" />`
+                        : `<div class="cast-card__img no-poster" style="font-size:1.2rem;display:flex;align-items:center;justify-content:center;">👤</div>`
+                    }
+            <div class="cast-card__name">${esc(c.name)}</div>
+            <div class="cast-card__character">${esc(character)}</div>
+          </div>`;
+            })
+            .join("");
+    }
+
+    /** Embedded YouTube trailers/clips (first four) */
+    function renderVideosHtml(videos) {
+        return (videos || [])
+            .filter((v) => v.site === "YouTube")
+            .slice(0, 4)
+            .map(
+                (v) => `
+        <div class="video-card">
+          <iframe src="https://www.youtube-nocookie.com/embed/${v.key}" title="${esc(v.name)}" allowfullscreen loading="lazy"></iframe>
+        </div>`
+            )
+            .join("");
+    }
+
+    /** Make every [data-person-id] element inside `container` open the person view */
+    function bindPersonLinks(container) {
+        container.querySelectorAll("[data-person-id]").forEach((el) => {
+            const open = (e) => {
+                e.preventDefault();
+                navigate(`#/person/${el.dataset.personId}`);
+                window.scrollTo({ top: 0, behavior: "smooth" });
+            };
+            el.addEventListener("click", open);
+            el.addEventListener("keydown", (e) => {
+                if (e.key === "Enter") open(e);
+            });
+        });
+    }
+
     function renderSkeletons(container, count = 12) {
         container.innerHTML = "";
         for (let i = 0; i < count; i++) {
@@ -158,47 +407,350 @@
         }
     }
 
+    /**
+     * Turn a filter input into a typeahead picker.
+     *   search(q)        – resolves to the candidate list for the typed text
+     *   renderItem(item) – inner HTML for one candidate
+     *   onPick(item)     – called with the chosen candidate; the input is then cleared
+     *   unpicked         – message shown when Enter is pressed on text with no candidate chosen
+     * Only listed candidates can be picked: Enter on typed text never guesses one.
+     */
+    function attachTypeahead(input, { search, renderItem, onPick, unpicked }) {
+        if (!input) return;
+        const list = document.createElement("ul");
+        list.className = "typeahead";
+        list.setAttribute("role", "listbox");
+        list.hidden = true;
+        input.insertAdjacentElement("afterend", list);
+        input.setAttribute("aria-autocomplete", "list");
+
+        let candidates = [];
+        let activeIndex = -1;
+
+        const close = () => {
+            list.hidden = true;
+            activeIndex = -1;
+        };
+
+        const pick = (item) => {
+            onPick(item);
+            input.value = "";
+            close();
+        };
+
+        const highlight = (index) => {
+            activeIndex = index;
+            list.querySelectorAll(".typeahead__item").forEach((li, i) => {
+                li.classList.toggle("is-active", i === index);
+            });
+        };
+
+        const lookup = debounce(async (q) => {
+            if (q.length < MIN_QUERY_LENGTH || q !== input.value.trim()) return;
+            try {
+                const results = await search(q);
+                if (q !== input.value.trim()) return; // stale response
+                candidates = results.slice(0, 8);
+                if (!candidates.length) return close();
+
+                list.innerHTML = candidates
+                    .map(
+                        (item, i) =>
+                            `<li class="typeahead__item" role="option" data-index="${i}">${renderItem(item)}</li>`
+                    )
+                    .join("");
+                activeIndex = -1;
+                list.hidden = false;
+            } catch {
+                close(); // Non-fatal – the picker just stays empty
+            }
+        }, DEBOUNCE_MS);
+
+        input.addEventListener("input", () => lookup(input.value.trim()));
+
+        input.addEventListener("keydown", (e) => {
+            // Enter on un-picked text moves into the list (or asks for a choice) instead of
+            // taking the first candidate or submitting the form
+            if (e.key === "Enter" && activeIndex < 0 && input.value.trim()) {
+                e.preventDefault();
+                if (!list.hidden) highlight(0);
+                else showError(unpicked);
+                return;
+            }
+            if (list.hidden) return;
+            if (e.key === "ArrowDown") {
+                e.preventDefault();
+                highlight(Math.min(activeIndex + 1, candidates.length - 1));
+            } else if (e.key === "ArrowUp") {
+                e.preventDefault();
+                highlight(Math.max(activeIndex - 1, 0));
+            } else if (e.key === "Enter" && activeIndex >= 0) {
+                e.preventDefault();
+                pick(candidates[activeIndex]);
+            } else if (e.key === "Escape") {
+                close();
+            }
+        });
+
+        // mousedown fires before the input's blur, so the click is not lost
+        list.addEventListener("mousedown", (e) => {
+            const item = e.target.closest(".typeahead__item");
+            if (!item) return;
+            e.preventDefault();
+            pick(candidates[Number(item.dataset.index)]);
+        });
+
+        input.addEventListener("blur", close);
+    }
+
+    /** Person picker backed by /api/people/search; `onPick` receives `{ id, name }` */
+    function attachPersonPicker(input, department, onPick) {
+        attachTypeahead(input, {
+            search: async (q) => (await apiFetch("/people/search", { query: q, department })).results || [],
+            renderItem: (p) => {
+                const photo = imgUrl(p.profile_path, "w92");
+                const knownFor = p.known_for.map((k) => (k.year ? `${k.title} (${k.year})` : k.title)).join(", ");
+                return `
+            ${photo
+                        ? `<img class="person-picker__img" src="${photo}" alt="" loading="lazy" />`
+                        : `<div class="person-picker__img no-poster">👤</div>`
+                    }
+            <div class="person-picker__text">
+              <div class="person-picker__name">${esc(p.name)}${p.department ? ` <span class="person-picker__dept">${esc(p.department)}</span>` : ""}</div>
+              ${knownFor ? `<div class="person-picker__known">${esc(knownFor)}</div>` : ""}
+            </div>`;
+            },
+            onPick: (p) => onPick({ id: String(p.id), name: p.name }),
+            unpicked: "Choose a person from the suggestions.",
+        });
+    }
+
+    /** Keyword picker backed by /api/keywords; only real TMDB keywords can be picked */
+    function attachKeywordPicker(input, onPick) {
+        attachTypeahead(input, {
+            search: async (q) => (await apiFetch("/keywords", { query: q })).results || [],
+            renderItem: (k) => `<div class="person-picker__name">${esc(k.name)}</div>`,
+            onPick: (k) => onPick({ id: String(k.id), name: k.name }),
+            unpicked: "Choose a keyword from the suggestions.",
+        });
+    }
+
+    /** True when any advanced filter is set */
+    function hasActiveFilters() {
+        const f = state.filters;
+        const discover = DISCOVER_CONTROLS.some(({ key }) => key !== "sort" && f[key]);
+        const people = f.cast.length || f.crew.length || f.keywords.length;
+        return !!(f.yearFrom || f.yearTo || f.recentMonths || f.genre || people || discover);
+    }
+
+    /** Add a person (cast/crew) or keyword to its filter list, ignoring duplicates */
+    function addPerson(kind, person) {
+        const list = state.filters[kind];
+        const dupe = list.some((p) => (person.id ? p.id === person.id : p.name === person.name));
+        if (!dupe) list.push(person);
+        renderPersonChips();
+    }
+
+    /** Remove a person or keyword from its filter list */
+    function removePerson(kind, person) {
+        state.filters[kind] = state.filters[kind].filter((p) => p !== person);
+        renderPersonChips();
+    }
+
+    /** Render the removable people/keyword chips inside the filter form */
+    function renderPersonChips() {
+        [
+            ["cast", castChips],
+            ["crew", crewChips],
+            ["keywords", keywordChips],
+        ].forEach(([kind, container]) => {
+            if (!container) return;
+            container.innerHTML = "";
+            state.filters[kind].forEach((person) => {
+                container.appendChild(
+                    renderChip(person.name, () => removePerson(kind, person))
+                );
+            });
+        });
+    }
+
+    /** Build a filter chip; with `onRemove` it gets an × button */
+    function renderChip(label, onRemove) {
+        const chip = document.createElement("span");
+        chip.className = "filter-chip";
+        chip.textContent = label;
+        if (onRemove) {
+            const btn = document.createElement("button");
+            btn.type = "button";
+            btn.className = "filter-chip__remove";
+            btn.setAttribute("aria-label", `Remove ${label}`);
+            btn.innerHTML = "&times;";
+            btn.addEventListener("click", onRemove);
+            chip.appendChild(btn);
+        }
+        return chip;
+    }
+
+    /** Human label for the release window, e.g. "1990s", "2001–2004", "last 6 months" */
+    function releaseLabel(f) {
+        if (f.recentMonths) return `last ${f.recentMonths} months`;
+        if (f.yearFrom && f.yearFrom === f.yearTo) return f.yearFrom;
+        if (f.yearFrom && f.yearTo) {
+            const from = Number(f.yearFrom);
+            const isDecade = from % 10 === 0 && Number(f.yearTo) === from + 9;
+            return isDecade ? `${from}s` : `${f.yearFrom}–${f.yearTo}`;
+        }
+        if (f.yearFrom) return `${f.yearFrom} onwards`;
+        if (f.yearTo) return `up to ${f.yearTo}`;
+        return "";
+    }
+
+    /** Map the release window onto /api/search params (a single year stays an exact `year`) */
+    function releaseParams(f) {
+        if (f.recentMonths) {
+            const today = new Date();
+            const since = new Date(today);
+            since.setMonth(since.getMonth() - Number(f.recentMonths));
+            return {
+                releasedAfter: since.toISOString().slice(0, 10),
+                releasedBefore: today.toISOString().slice(0, 10),
+            };
+        }
+        if (f.yearFrom && f.yearFrom === f.yearTo) return { year: f.yearFrom };
+        const params = {};
+        if (f.yearFrom) params.yearFrom = f.yearFrom;
+        if (f.yearTo) params.yearTo = f.yearTo;
+        return params;
+    }
+
+    /** Fill the decade selector with every decade from now back to the 1920s */
+    function populateDecades() {
+        if (!decadeSelect) return;
+        const current = Math.floor(new Date().getFullYear() / 10) * 10;
+        for (let decade = current; decade >= 1920; decade -= 10) {
+            const opt = document.createElement("option");
+            opt.value = `decade:${decade}`;
+            opt.textContent = `${decade}s`;
+            decadeSelect.appendChild(opt);
+        }
+    }
+
+    /** Re-run the current search after a filter change, or fall back to trending */
+    function refreshSearch() {
+        const q = searchInput.value.trim();
+        state.page = 1;
+        if (q.length >= MIN_QUERY_LENGTH || hasActiveFilters()) {
+            navigate(searchHash(q, state.filters));
+        } else {
+            navigate(homeHash());
+        }
+    }
+
+    /** Reflect state.filters in the advanced-filter controls (after a reset or a URL restore) */
+    function syncFilterInputs() {
+        const f = state.filters;
+        if (yearInput) yearInput.value = f.yearFrom;
+        if (yearToInput) yearToInput.value = f.yearTo;
+        if (decadeSelect) {
+            const from = Number(f.yearFrom);
+            const isDecade = f.yearFrom && from % 10 === 0 && Number(f.yearTo) === from + 9;
+            decadeSelect.value = f.recentMonths ? `recent:${f.recentMonths}` : isDecade ? `decade:${from}` : "";
+            if (decadeSelect.selectedIndex < 0) decadeSelect.value = "";
+        }
+        if (genreSelect) genreSelect.value = f.genre;
+        if (castInput) castInput.value = "";
+        if (directorInput) directorInput.value = "";
+        DISCOVER_CONTROLS.forEach(({ key, el }) => {
+            if (el) el.value = f[key];
+        });
+        if (keywordInput) keywordInput.value = "";
+        if (castMode) castMode.value = f.castMode;
+        if (crewMode) crewMode.value = f.crewMode;
+        if (keywordMode) keywordMode.value = f.keywordMode;
+        renderPersonChips();
+    }
+
+    /** Reset every advanced-filter control to blank */
+    function clearFilterInputs() {
+        state.filters = emptyFilters();
+        syncFilterInputs();
+        if (activeFilters) activeFilters.hidden = true;
+    }
+
     // -----------------------------------------------------------------------
     // Views
     // -----------------------------------------------------------------------
 
     /** Show the trending movies on the landing page */
     async function showTrending() {
-        trendingSection.hidden = false;
-        resultsSection.hidden = true;
-        detailSection.hidden = true;
+        showView(trendingSection);
 
         renderSkeletons(trendingGrid, 12);
+        const isTv = state.mediaType === "tv";
+        if (trendingTitle) trendingTitle.textContent = `🔥 Trending ${isTv ? "TV" : "Movies"} This Week`;
 
         try {
-            const data = await apiFetch("/trending");
+            const data = await apiFetch(isTv ? "/tv/trending" : "/trending");
             trendingGrid.innerHTML = "";
             (data.results || []).slice(0, 18).forEach((m) => {
-                trendingGrid.appendChild(renderMovieCard(m));
+                trendingGrid.appendChild(renderCard(m));
             });
         } catch (err) {
-            showError("Could not load trending movies.");
+            showError(`Could not load trending ${isTv ? "series" : "movies"}.`);
             trendingGrid.innerHTML = "";
         }
     }
 
-    /** Search for movies using title + optional filter params */
+    /** /api/search (or /api/tv/search) parameters for a title and the current filters, minus the page */
+    function searchParams(query) {
+        const params = {};
+        if (query && query.length >= MIN_QUERY_LENGTH) params.query = query;
+        Object.assign(params, releaseParams(state.filters));
+        if (state.filters.genre) params.genre = state.filters.genre;
+        // Series search only understands name, year and genre
+        if (state.mediaType === "tv") return params;
+        ["cast", "crew"].forEach((kind) => {
+            const people = state.filters[kind];
+            const ids = people.filter((p) => p.id).map((p) => p.id);
+            const names = people.filter((p) => !p.id).map((p) => p.name);
+            if (ids.length) params[`${kind}Id`] = ids.join(",");
+            if (names.length) params[kind] = names.join(",");
+            if (people.length > 1) params[`${kind}Mode`] = state.filters[`${kind}Mode`];
+        });
+        const keywords = state.filters.keywords;
+        if (keywords.length) params.keywords = keywords.map((k) => k.id).join(",");
+        if (keywords.length > 1) params.keywordMode = state.filters.keywordMode;
+        DISCOVER_CONTROLS.forEach(({ key }) => {
+            if (state.filters[key]) params[key] = state.filters[key];
+        });
+        return params;
+    }
+
+    /** Fill an export format <select> */
+    function fillExportFormats(select) {
+        EXPORT_FORMATS.forEach(([value, label]) => select.appendChild(new Option(label, value)));
+    }
+
     async function performSearch(query, page = 1, append = false) {
         const hasQuery = query && query.length >= MIN_QUERY_LENGTH;
-        const hasFilters = Object.values(state.filters).some(Boolean);
+        const hasFilters = hasActiveFilters();
 
         if (!hasQuery && !hasFilters) return;
 
         searchSpinner.hidden = false;
-        trendingSection.hidden = true;
-        resultsSection.hidden = false;
-        detailSection.hidden = true;
+        showView(resultsSection);
 
         const titleLabel = hasQuery ? `"${query}"` : null;
         const filterParts = [];
-        if (state.filters.cast) filterParts.push(`starring ${state.filters.cast}`);
-        if (state.filters.director) filterParts.push(`dir. ${state.filters.director}`);
-        if (state.filters.year) filterParts.push(state.filters.year);
+        const joinNames = (people, mode) => people.map((p) => p.name).join(mode === "or" ? " or " : " & ");
+        if (state.filters.cast.length) {
+            filterParts.push(`starring ${joinNames(state.filters.cast, state.filters.castMode)}`);
+        }
+        if (state.filters.crew.length) {
+            filterParts.push(`crew ${joinNames(state.filters.crew, state.filters.crewMode)}`);
+        }
+        const release = releaseLabel(state.filters);
+        if (release) filterParts.push(release);
         if (state.filters.genre && genreSelect) {
             const opt = genreSelect.options[genreSelect.selectedIndex];
             if (opt && opt.value) filterParts.push(opt.text);
@@ -211,14 +763,8 @@
         }
 
         try {
-            const params = { page };
-            if (hasQuery) params.query = query;
-            if (state.filters.year) params.year = state.filters.year;
-            if (state.filters.genre) params.genre = state.filters.genre;
-            if (state.filters.cast) params.cast = state.filters.cast;
-            if (state.filters.director) params.director = state.filters.director;
-
-            const data = await apiFetch("/search", params);
+            const isTv = state.mediaType === "tv";
+            const data = await apiFetch(isTv ? "/tv/search" : "/search", { ...searchParams(query), page });
             state.page = data.page;
             state.totalPages = data.total_pages;
             state.query = query;
@@ -226,28 +772,36 @@
             if (!append) resultsGrid.innerHTML = "";
 
             if (data.results.length === 0 && page === 1) {
-                resultsGrid.innerHTML = `<p style="color:var(--clr-text-muted);grid-column:1/-1;">No movies found. Try different search terms.</p>`;
+                resultsGrid.innerHTML = `<p style="color:var(--clr-text-muted);grid-column:1/-1;">No ${isTv ? "series" : "movies"} found. Try different search terms.</p>`;
             }
 
             data.results.forEach((m) => {
                 state.results.push(m);
-                resultsGrid.appendChild(renderMovieCard(m));
+                resultsGrid.appendChild(renderCard(m));
             });
 
             loadMoreWrap.hidden = state.page >= state.totalPages;
+            exportControls.hidden = isTv || state.results.length === 0; // export covers movies only
             renderFilterChips();
         } catch (err) {
             showError(err.message || "Search failed.");
-            if (!append) resultsGrid.innerHTML = "";
+            if (!append) {
+                resultsGrid.innerHTML = "";
+                exportControls.hidden = true;
+            }
         } finally {
             searchSpinner.hidden = true;
         }
     }
 
-    /** Populate the genre <select> from the /api/genres endpoint */
+    /** Populate the genre <select> from /api/genres (or /api/tv/genres) */
     async function loadGenres() {
+        const selected = genreSelect.value || state.filters.genre; // survives a locale switch or URL restore
+        const mediaType = state.mediaType;
         try {
-            const data = await apiFetch("/genres");
+            const data = await apiFetch(mediaType === "tv" ? "/tv/genres" : "/genres");
+            if (mediaType !== state.mediaType) return; // switched again while loading
+            genreSelect.length = 1; // keep only "Any genre"
             if (!data.genres) return;
             data.genres.forEach((g) => {
                 const opt = document.createElement("option");
@@ -255,84 +809,100 @@
                 opt.textContent = g.name;
                 genreSelect.appendChild(opt);
             });
+            genreSelect.value = selected;
         } catch {
             // Non-fatal – genre dropdown stays with just "Any genre"
+            if (mediaType === state.mediaType) genreSelect.length = 1;
         }
     }
 
-    /** Render active filter chips */
+    /** Render active filter chips; each one removes its filter and re-runs the search */
     function renderFilterChips() {
         if (!activeFilters) return;
         const query = searchInput.value.trim();
         const chips = [];
-        if (query) chips.push(`Title: "${query}"`);
-        if (state.filters.year) chips.push(`Year: ${state.filters.year}`);
+        if (query) {
+            chips.push([`Title: "${query}"`, () => {
+                searchInput.value = "";
+                clearBtn.hidden = true;
+            }]);
+        }
+        const release = releaseLabel(state.filters);
+        if (release) {
+            chips.push([`Released: ${release}`, () => {
+                state.filters.yearFrom = "";
+                state.filters.yearTo = "";
+                state.filters.recentMonths = "";
+                if (yearInput) yearInput.value = "";
+                if (yearToInput) yearToInput.value = "";
+                if (decadeSelect) decadeSelect.value = "";
+            }]);
+        }
         if (state.filters.genre && genreSelect) {
             const opt = genreSelect.options[genreSelect.selectedIndex];
-            if (opt && opt.value) chips.push(`Genre: ${opt.text}`);
+            if (opt && opt.value) {
+                chips.push([`Genre: ${opt.text}`, () => {
+                    state.filters.genre = "";
+                    genreSelect.value = "";
+                }]);
+            }
         }
-        if (state.filters.cast) chips.push(`Cast: ${state.filters.cast}`);
-        if (state.filters.director) chips.push(`Director: ${state.filters.director}`);
+        [
+            ["cast", "Cast"],
+            ["crew", "Crew"],
+            ["keywords", "Keyword"],
+        ].forEach(([kind, label]) => {
+            const people = state.filters[kind];
+            const mode = state.filters[kind === "keywords" ? "keywordMode" : `${kind}Mode`];
+            const prefix = people.length > 1 && mode === "or" ? `${label} (any)` : label;
+            people.forEach((person) => {
+                chips.push([`${prefix}: ${person.name}`, () => removePerson(kind, person)]);
+            });
+        });
+        DISCOVER_CONTROLS.forEach(({ key, el, label }) => {
+            const value = state.filters[key];
+            if (!value) return;
+            chips.push([label(value), () => {
+                state.filters[key] = "";
+                if (el) el.value = "";
+            }]);
+        });
 
-        if (chips.length) {
-            activeFilters.innerHTML = chips
-                .map((c) => `<span class="filter-chip">${esc(c)}</span>`)
-                .join("");
-            activeFilters.hidden = false;
-        } else {
-            activeFilters.hidden = true;
-        }
+        activeFilters.innerHTML = "";
+        chips.forEach(([label, remove]) => {
+            activeFilters.appendChild(
+                renderChip(label, () => {
+                    remove();
+                    refreshSearch();
+                })
+            );
+        });
+        activeFilters.hidden = chips.length === 0;
     }
 
     /** Open movie detail view */
     async function openDetail(movieId) {
-        trendingSection.hidden = true;
-        resultsSection.hidden = true;
-        detailSection.hidden = false;
+        showView(detailSection);
         detailContent.innerHTML = `<div class="skeleton" style="height:400px;border-radius:var(--radius-lg);"></div>`;
 
-        // Remember where we came from
-        state.previousView = state.query ? "results" : "trending";
+        state.currentDetail = { type: "movie", id: movieId };
 
         try {
-            const m = await apiFetch(`/movie/${movieId}`);
+            // view=card: only the cast, videos, images and reviews this page shows
+            const m = await apiFetch(`/movie/${movieId}`, { view: "card" });
             const backdrop = imgUrl(m.backdrop_path, "w1280");
             const poster = imgUrl(m.poster_path, "w500");
             const genres = (m.genres || []).map((g) => `<span class="badge">${esc(g.name)}</span>`).join("");
             const directors = (m.credits?.crew || [])
                 .filter((c) => c.job === "Director")
-                .map((c) => esc(c.name))
+                .map((c) => `<a href="#" class="person-link" data-person-id="${c.id}">${esc(c.name)}</a>`)
                 .join(", ");
 
             // Cast (top 12)
-            const cast = (m.credits?.cast || []).slice(0, 12);
-            const castHtml = cast
-                .map((c) => {
-                    const photo = imgUrl(c.profile_path, "w185");
-                    return `
-          <div class="cast-card">
-            ${photo
-                            ? `<img class="cast-card__img" src="${photo}" alt="${esc(c.name)}" loading="lazy" />`
-                            : `<div class="cast-card__img no-poster" style="font-size:1.2rem;display:flex;align-items:center;justify-content:center;">👤</div>`
-                        }
-            <div class="cast-card__name">${esc(c.name)}</div>
-            <div class="cast-card__character">${esc(c.character)}</div>
-          </div>`;
-                })
-                .join("");
+            const castHtml = renderCastHtml((m.credits?.cast || []).slice(0, 12));
 
             // Videos (YouTube trailers)
-            const videos = (m.videos?.results || [])
-                .filter((v) => v.site === "YouTube")
-                .slice(0, 4);
-            const videosHtml = videos
-                .map(
-                    (v) => `
-        <div class="video-card">
-          <iframe src="https://www.youtube-nocookie.com/embed/${v.key}" title="${esc(v.name)}" allowfullscreen loading="lazy"></iframe>
-        </div>`
-                )
-                .join("");
+            const videosHtml = renderVideosHtml(m.videos?.results);
 
             // Images (backdrops)
             const images = (m.images?.backdrops || []).slice(0, 10);
@@ -369,7 +939,7 @@
               ${m.tagline ? `<p class="detail__tagline">"${esc(m.tagline)}"</p>` : ""}
               <div class="detail__stats">
                 ${m.vote_average ? `<span class="badge badge--gold">★ ${m.vote_average.toFixed(1)}</span>` : ""}
-                ${m.vote_count ? `<span class="badge">${m.vote_count.toLocaleString()} votes</span>` : ""}
+                ${m.vote_count ? `<span class="badge">${fmtNumber(m.vote_count)} votes</span>` : ""}
                 ${m.runtime ? `<span class="badge badge--accent">⏱ ${fmtRuntime(m.runtime)}</span>` : ""}
                 ${m.status ? `<span class="badge">${esc(m.status)}</span>` : ""}
               </div>
@@ -380,11 +950,16 @@
               ${m.revenue ? `<p><strong>Revenue:</strong> ${fmtMoney(m.revenue)}</p>` : ""}
               ${m.original_language ? `<p><strong>Language:</strong> ${m.original_language.toUpperCase()}</p>` : ""}
               ${m.homepage ? `<p><a href="${m.homepage}" target="_blank" rel="noopener noreferrer">Official Website ↗</a></p>` : ""}
+              <p><button type="button" class="btn btn--ghost btn--sm" data-add-to-list="${m.id}" data-title="${esc(m.title)}">＋ Add to list</button></p>
             </div>
           </div>
 
           <div class="detail__overview">${esc(m.overview)}</div>
 
+          <div id="watchProviders" class="detail-section" hidden></div>
+
+          ${m.belongs_to_collection ? `<div id="collectionStrip" class="detail-section collection-strip" hidden></div>` : ""}
+
           ${castHtml
                     ? `<div class="detail-section">
                    <h3 class="detail-section__title">Cast</h3>
@@ -430,28 +1005,889 @@
             // Re-attach click handlers on recommendation cards
             detailContent.querySelectorAll(".rec-grid .movie-card").forEach((card) => {
                 card.addEventListener("click", () => {
-                    openDetail(Number(card.dataset.movieId));
+                    navigate(`#/movie/${card.dataset.movieId}`);
                     window.scrollTo({ top: 0, behavior: "smooth" });
                 });
             });
+
+            // Cast cards and director names open the person view
+            bindPersonLinks(detailContent);
+
+            loadWatchProviders(m.id);
+            if (m.belongs_to_collection) loadCollectionStrip(m.belongs_to_collection, m.id);
         } catch (err) {
             showError(err.message || "Could not load movie details.");
             detailContent.innerHTML = "";
         }
     }
 
+    /** Remember the watch-provider region across visits */
+    function setRegion(region) {
+        state.region = region;
+        try {
+            localStorage.setItem(REGION_STORAGE_KEY, region);
+        } catch {
+            // Storage blocked – the choice lasts for this page load only
+        }
+    }
+
+    const OFFER_GROUPS = [
+        { key: "flatrate", label: "Stream" },
+        { key: "rent", label: "Rent" },
+        { key: "buy", label: "Buy" },
+    ];
+
+    /** Fill the "Where to watch" section for the current region, with a region picker */
+    async function loadWatchProviders(movieId) {
+        const section = detailContent.querySelector("#watchProviders");
+        if (!section) return;
+        try {
+            const w = await apiFetch(`/movie/${movieId}/providers`, { region: state.region });
+            if (state.currentDetail?.id !== movieId) return; // user moved on
+
+            const regions = [...new Set([...w.available_regions, w.region])].sort();
+            const groups = OFFER_GROUPS.filter((g) => w[g.key].length)
+                .map(
+                    (g) => `
+            <div class="providers__group">
+              <span class="providers__label">${g.label}</span>
+              <div class="providers__list">
+                ${w[g.key]
+                            .map((p) => {
+                                const logo = imgUrl(p.logo_path, "w92");
+                                return `<span class="provider" title="${esc(p.provider_name)}">
+                  ${logo ? `<img class="provider__logo" src="${logo}" alt="${esc(p.provider_name)}" loading="lazy" />` : esc(p.provider_name)}
+                </span>`;
+                            })
+                            .join("")}
+              </div>
+            </div>`
+                )
+                .join("");
+
+            section.innerHTML = `
+          <div class="providers__header">
+            <h3 class="detail-section__title">Where to watch</h3>
+            <select class="filter-input providers__region" aria-label="Region">
+              ${regions.map((r) => `<option value="${r}"${r === w.region ? " selected" : ""}>${r}</option>`).join("")}
+            </select>
+          </div>
+          ${groups || `<p class="providers__empty">No streaming, rental or purchase offers in ${w.region}.</p>`}
+          ${w.link ? `<p class="providers__credit"><a href="${w.link}" target="_blank" rel="noopener noreferrer">All offers on TMDB ↗</a> · data by JustWatch</p>` : ""}`;
+            section.hidden = false;
+
+            section.querySelector(".providers__region").addEventListener("change", (e) => {
+                setRegion(e.target.value);
+                loadWatchProviders(movieId);
+            });
+        } catch {
+            // Non-fatal – the detail page simply has no providers section
+        }
+    }
+
+    /** Fill the "Part of the X Collection" strip, marking the current film's position */
+    async function loadCollectionStrip(collection, movieId) {
+        const strip = detailContent.querySelector("#collectionStrip");
+        if (!strip) return;
+        try {
+            const c = await apiFetch(`/collection/${collection.id}`);
+            if (state.currentDetail?.id !== movieId) return; // user moved on
+            const position = c.parts.findIndex((p) => p.id === movieId) + 1;
+
+            strip.innerHTML = `
+          <div class="collection-strip__header">
+            <h3 class="detail-section__title">Part of the ${esc(c.name.replace(/ Collection$/, ""))} Collection</h3>
+            ${position ? `<span class="badge badge--accent">Film ${position} of ${c.parts.length}</span>` : ""}
+            <a href="#" class="collection-strip__link">View collection →</a>
+          </div>
+          <div class="collection-strip__films">
+            ${c.parts
+                    .map((p, i) => {
+                        const poster = imgUrl(p.poster_path, "w185");
+                        return `
+            <button type="button" class="collection-film${p.id === movieId ? " is-current" : ""}" data-movie-id="${p.id}">
+              ${poster ? `<img src="${poster}" alt="${esc(p.title)}" loading="lazy" />` : `<div class="no-poster">🎞️</div>`}
+              <span class="collection-film__title">${i + 1}. ${esc(p.title)}</span>
+              <span class="collection-film__year">${p.release_date ? p.release_date.slice(0, 4) : "TBA"}</span>
+            </button>`;
+                    })
+                    .join("")}
+          </div>`;
+            strip.hidden = false;
+
+            strip.querySelectorAll(".collection-film:not(.is-current)").forEach((btn) => {
+                btn.addEventListener("click", () => {
+                    navigate(`#/movie/${btn.dataset.movieId}`);
+                    window.scrollTo({ top: 0, behavior: "smooth" });
+                });
+            });
+            strip.querySelector(".collection-strip__link").addEventListener("click", (e) => {
+                e.preventDefault();
+                navigate(`#/collection/${c.id}`);
+                window.scrollTo({ top: 0, behavior: "smooth" });
+            });
+        } catch {
+            // Non-fatal – the detail page simply has no collection strip
+        }
+    }
+
+    /** Open a collection page: every film in release order plus franchise totals */
+    async function openCollection(collectionId) {
+        showView(detailSection);
+        detailContent.innerHTML = `<div class="skeleton" style="height:400px;border-radius:var(--radius-lg);"></div>`;
+        state.currentDetail = { type: "collection", id: collectionId };
+
+        try {
+            const c = await apiFetch(`/collection/${collectionId}`);
+            const backdrop = imgUrl(c.backdrop_path, "w1280");
+            const poster = imgUrl(c.poster_path, "w500");
+            const t = c.totals;
+
+            detailContent.innerHTML = `
+        <div class="detail">
+          ${backdrop ? `<img class="detail__backdrop" src="${backdrop}" alt="Backdrop" />` : ""}
+          <div class="detail__header">
+            ${poster ? `<img class="detail__poster" src="${poster}" alt="${esc(c.name)}" />` : ""}
+            <div class="detail__meta">
+              <h1 class="detail__title">${esc(c.name)}</h1>
+              <div class="detail__stats">
+                <span class="badge badge--accent">${t.films} films</span>
+                ${t.average_rating ? `<span class="badge badge--gold">★ ${t.average_rating.toFixed(1)} average</span>` : ""}
+                ${t.runtime ? `<span class="badge">⏱ ${fmtRuntime(t.runtime)} total</span>` : ""}
+              </div>
+              <p><strong>Total box office:</strong> ${fmtMoney(t.revenue)}</p>
+              ${t.budget ? `<p><strong>Total budget:</strong> ${fmtMoney(t.budget)}</p>` : ""}
+            </div>
+          </div>
+
+          ${c.overview ? `<div class="detail__overview">${esc(c.overview)}</div>` : ""}
+
+          <div class="detail-section">
+            <h3 class="detail-section__title">Films in release order</h3>
+            <div class="movie-grid collection-grid"></div>
+          </div>
+        </div>
+      `;
+
+            const grid = detailContent.querySelector(".collection-grid");
+            c.parts.forEach((p) => grid.appendChild(renderMovieCard(p)));
+        } catch (err) {
+            showError(err.message || "Could not load collection.");
+            detailContent.innerHTML = "";
+        }
+    }
+
+    /** Open TV series detail view */
+    async function openTvDetail(tvId) {
+        showView(detailSection);
+        detailContent.innerHTML = `<div class="skeleton" style="height:400px;border-radius:var(--radius-lg);"></div>`;
+
+        state.currentDetail = { type: "tv", id: tvId };
+
+        try {
+            const t = await apiFetch(`/tv/${tvId}`);
+            const backdrop = imgUrl(t.backdrop_path, "w1280");
+            const poster = imgUrl(t.poster_path, "w500");
+            const genres = (t.genres || []).map((g) => `<span class="badge">${esc(g.name)}</span>`).join("");
+            const creators = (t.created_by || [])
+                .map((c) => `<a href="#" class="person-link" data-person-id="${c.id}">${esc(c.name)}</a>`)
+                .join(", ");
+            const networks = (t.networks || []).map((n) => esc(n.name)).join(", ");
+            const firstYear = t.first_air_date ? t.first_air_date.slice(0, 4) : "";
+            const lastYear = t.in_production ? "" : (t.last_air_date || "").slice(0, 4);
+            const years = firstYear ? `${firstYear}–${lastYear !== firstYear ? lastYear : firstYear}` : "";
+            const runtime = (t.episode_run_time || [])[0];
+
+            const castHtml = renderCastHtml((t.credits?.cast || []).slice(0, 12));
+            const videosHtml = renderVideosHtml(t.videos?.results);
+
+            // Seasons (specials last)
+            const seasons = [...(t.seasons || [])].sort(
+                (a, b) => (a.season_number || Infinity) - (b.season_number || Infinity)
+            );
+            const seasonsHtml = seasons
+                .map((season) => {
+                    const seasonPoster = imgUrl(season.poster_path, "w185");
+                    return `
+          <button type="button" class="season-card" data-season="${season.season_number}">
+            ${seasonPoster
+                            ? `<img class="season-card__img" src="${seasonPoster}" alt="${esc(season.name)}" loading="lazy" />`
+                            : `<div class="season-card__img no-poster">📺</div>`
+                        }
+            <span class="season-card__name">${esc(season.name)}</span>
+            <span class="season-card__meta">${season.episode_count || 0} episodes${season.air_date ? ` · ${season.air_date.slice(0, 4)}` : ""}</span>
+          </button>`;
+                })
+                .join("");
+
+            const recs = (t.recommendations?.results || []).slice(0, 8);
+            const recsHtml = recs.map((r) => renderTvCard(r).outerHTML).join("");
+
+            detailContent.innerHTML = `
+        <div class="detail">
+          ${backdrop ? `<img class="detail__backdrop" src="${backdrop}" alt="Backdrop" />` : ""}
+          <div class="detail__header">
+            ${poster ? `<img class="detail__poster" src="${poster}" alt="${esc(t.name)}" />` : ""}
+            <div class="detail__meta">
+              <h1 class="detail__title">${esc(t.name)} ${years ? `<span style="font-weight:400;color:var(--clr-text-muted);">(${years})</span>` : ""}</h1>
+              ${t.tagline ? `<p class="detail__tagline">"${esc(t.tagline)}"</p>` : ""}
+              <div class="detail__stats">
+                ${t.vote_average ? `<span class="badge badge--gold">★ ${t.vote_average.toFixed(1)}</span>` : ""}
+                ${t.number_of_seasons ? `<span class="badge badge--accent">${t.number_of_seasons} seasons</span>` : ""}
+                ${t.number_of_episodes ? `<span class="badge">${t.number_of_episodes} episodes</span>` : ""}
+                ${runtime ? `<span class="badge">⏱ ${fmtRuntime(runtime)}</span>` : ""}
+                ${t.status ? `<span class="badge">${esc(t.status)}</span>` : ""}
+              </div>
+              <div class="detail__stats">${genres}</div>
+              ${creators ? `<p style="margin-bottom:.75rem;"><strong>Created by:</strong> ${creators}</p>` : ""}
+              ${networks ? `<p><strong>Network:</strong> ${networks}</p>` : ""}
+              <p><strong>First aired:</strong> ${fmtDate(t.first_air_date)}</p>
+              ${t.original_language ? `<p><strong>Language:</strong> ${t.original_language.toUpperCase()}</p>` : ""}
+              ${t.homepage ? `<p><a href="${t.homepage}" target="_blank" rel="noopener noreferrer">Official Website ↗</a></p>` : ""}
+            </div>
+          </div>
+
+          <div class="detail__overview">${esc(t.overview)}</div>
+
+          ${seasonsHtml
+                    ? `<div class="detail-section">
+                   <h3 class="detail-section__title">Seasons</h3>
+                   <div class="season-list">${seasonsHtml}</div>
+                   <div id="episodeList" class="episode-list"></div>
+                 </div>`
+                    : ""
+                }
+
+          ${castHtml
+                    ? `<div class="detail-section">
+                   <h3 class="detail-section__title">Cast</h3>
+                   <div class="cast-list">${castHtml}</div>
+                 </div>`
+                    : ""
+                }
+
+          ${videosHtml
+                    ? `<div class="detail-section">
+                   <h3 class="detail-section__title">Videos</h3>
+                   <div class="video-list">${videosHtml}</div>
+                 </div>`
+                    : ""
+                }
+
+          ${recsHtml
+                    ? `<div class="detail-section">
+                   <h3 class="detail-section__title">You Might Also Like</h3>
+                   <div class="movie-grid rec-grid">${recsHtml}</div>
+                 </div>`
+                    : ""
+                }
+        </div>
+      `;
+
+            detailContent.querySelectorAll(".season-card").forEach((btn) => {
+                btn.addEventListener("click", () => {
+                    detailContent.querySelectorAll(".season-card").forEach((b) => b.classList.remove("is-active"));
+                    btn.classList.add("is-active");
+                    loadSeason(tvId, Number(btn.dataset.season));
+                });
+            });
+
+            detailContent.querySelectorAll(".rec-grid .movie-card").forEach((card) => {
+                card.addEventListener("click", () => {
+                    navigate(`#/tv/${card.dataset.tvId}`);
+                    window.scrollTo({ top: 0, behavior: "smooth" });
+                });
+            });
+
+            bindPersonLinks(detailContent);
+        } catch (err) {
+            showError(err.message || "Could not load series details.");
+            detailContent.innerHTML = "";
+        }
+    }
+
+    /** Load one season's episodes into the TV detail view */
+    async function loadSeason(tvId, seasonNumber) {
+        const list = detailContent.querySelector("#episodeList");
+        if (!list) return;
+        list.innerHTML = `<div class="skeleton" style="height:160px;border-radius:var(--radius-md);"></div>`;
+
+        try {
+            const season = await apiFetch(`/tv/${tvId}/season/${seasonNumber}`);
+            const episodes = season.episodes || [];
+            list.innerHTML = episodes.length
+                ? episodes
+                    .map((ep) => {
+                        const still = imgUrl(ep.still_path, "w300");
+                        return `
+          <article class="episode-row">
+            ${still ? `<img class="episode-row__still" src="${still}" alt="" loading="lazy" />` : `<div class="episode-row__still no-poster">🎞️</div>`}
+            <div class="episode-row__body">
+              <div class="episode-row__title">E${ep.episode_number} · ${esc(ep.name)}</div>
+              <div class="episode-row__meta">
+                ${ep.air_date ? fmtDate(ep.air_date) : "Unaired"}
+                ${ep.runtime ? ` · ${fmtRuntime(ep.runtime)}` : ""}
+                ${ep.vote_average ? ` · <span class="movie-card__rating">★ ${ep.vote_average.toFixed(1)}</span>` : ""}
+              </div>
+              ${ep.overview ? `<p class="episode-row__overview">${esc(ep.overview)}</p>` : ""}
+            </div>
+          </article>`;
+                    })
+                    .join("")
+                : `<p style="color:var(--clr-text-muted);">No episodes listed for this season.</p>`;
+        } catch (err) {
+            showError(err.message || "Could not load season.");
+            list.innerHTML = "";
+        }
+    }
+
+    /**
+     * Collapse credits to one row per movie – crew members often hold several jobs on one
+     * film, and actors occasionally play several characters.
+     */
+    function groupCredits(credits, roleKey) {
+        const byMovie = new Map();
+        credits.forEach((c) => {
+            const row = byMovie.get(c.id) || { movie: c, roles: [] };
+            if (c[roleKey] && !row.roles.includes(c[roleKey])) row.roles.push(c[roleKey]);
+            byMovie.set(c.id, row);
+        });
+        return [...byMovie.values()];
+    }
+
+    /** Sort filmography rows: "newest" | "oldest" | "rating" (undated films go last) */
+    function sortCredits(rows, order) {
+        const date = (r) => r.movie.release_date || "";
+        return [...rows].sort((a, b) => {
+            if (order === "rating") return (b.movie.vote_average || 0) - (a.movie.vote_average || 0);
+            if (!date(a) || !date(b)) return date(a) ? -1 : date(b) ? 1 : 0;
+            return order === "oldest" ? date(a).localeCompare(date(b)) : date(b).localeCompare(date(a));
+        });
+    }
+
+    /** Render one filmography list */
+    function renderCreditRows(rows) {
+        return rows
+            .map(({ movie, roles }) => {
+                const year = movie.release_date ? movie.release_date.slice(0, 4) : "—";
+                const rating = movie.vote_average ? movie.vote_average.toFixed(1) : "—";
+                return `
+          <li class="credit-row" data-movie-id="${movie.id}" role="link" tabindex="0">
+            <span class="credit-row__year">${year}</span>
+            <span class="credit-row__title">${esc(movie.title)}${roles.length ? ` <span class="credit-row__role">${esc(roles.join(", "))}</span>` : ""}</span>
+            <span class="credit-row__rating">★ ${rating}</span>
+          </li>`;
+            })
+            .join("");
+    }
+
+    /** (Re-)render the acting and crew filmography of the current person */
+    function renderFilmography(order) {
+        const p = state.person;
+        const acting = sortCredits(groupCredits(p.movie_credits?.cast || [], "character"), order);
+        const crew = sortCredits(groupCredits(p.movie_credits?.crew || [], "job"), order);
+        const container = personContent.querySelector("#filmography");
+
+        const section = (title, rows) =>
+            rows.length
+                ? `<div class="detail-section">
+                   <h3 class="detail-section__title">${title} <span class="credit-count">${rows.length}</span></h3>
+                   <ul class="credit-list">${renderCreditRows(rows)}</ul>
+                 </div>`
+                : "";
+
+        // Lead with the department the person is known for
+        const actingFirst = p.known_for_department !== "Directing" && p.known_for_department !== "Writing";
+        container.innerHTML = actingFirst
+            ? section("Acting", acting) + section("Directing &amp; Crew", crew)
+            : section("Directing &amp; Crew", crew) + section("Acting", acting);
+
+        container.querySelectorAll(".credit-row").forEach((row) => {
+            const open = () => {
+                navigate(`#/movie/${row.dataset.movieId}`);
+                window.scrollTo({ top: 0, behavior: "smooth" });
+            };
+            row.addEventListener("click", open);
+            row.addEventListener("keydown", (e) => {
+                if (e.key === "Enter") open();
+            });
+        });
+    }
+
+    /** Open person view: biography, photos and filmography */
+    async function openPerson(personId) {
+        showView(personSection);
+        personContent.innerHTML = `<div class="skeleton" style="height:400px;border-radius:var(--radius-lg);"></div>`;
+
+        try {
+            const p = await apiFetch(`/person/${personId}`);
+            state.person = p;
+            const photo = imgUrl(p.profile_path, "w500");
+            const imdbId = p.external_ids?.imdb_id;
+            const lifespan = [p.birthday && fmtDate(p.birthday), p.deathday && fmtDate(p.deathday)]
+                .filter(Boolean)
+                .join(" – ");
+
+            const photosHtml = (p.images?.profiles || [])
+                .slice(1, 9)
+                .map(
+                    (img) =>
+                        `<img class="gallery__img gallery__img--portrait" src="${imgUrl(img.file_path, "w342")}" alt="${esc(p.name)}" loading="lazy" />`
+                )
+                .join("");
+
+            personContent.innerHTML = `
+        <div class="detail">
+          <div class="detail__header">
+            ${photo ? `<img class="detail__poster" src="${photo}" alt="${esc(p.name)}" />` : ""}
+            <div class="detail__meta">
+              <h1 class="detail__title">${esc(p.name)}</h1>
+              <div class="detail__stats">
+                ${p.known_for_department ? `<span class="badge badge--accent">${esc(p.known_for_department)}</span>` : ""}
+              </div>
+              ${lifespan ? `<p><strong>${p.deathday ? "Lived" : "Born"}:</strong> ${lifespan}</p>` : ""}
+              ${p.place_of_birth ? `<p><strong>Birthplace:</strong> ${esc(p.place_of_birth)}</p>` : ""}
+              ${imdbId ? `<p><a href="https://www.imdb.com/name/${encodeURIComponent(imdbId)}/" target="_blank" rel="noopener noreferrer">IMDb ↗</a></p>` : ""}
+            </div>
+          </div>
+
+          ${p.biography ? `<div class="detail__overview person-bio">${esc(p.biography)}</div>` : ""}
+
+          ${photosHtml
+                    ? `<div class="detail-section">
+                   <h3 class="detail-section__title">Photos</h3>
+                   <div class="gallery">${photosHtml}</div>
+                 </div>`
+                    : ""
+                }
+
+          <div class="filmography-toolbar">
+            <h2 class="section__title">Filmography</h2>
+            <select id="filmographySort" class="filter-input filter-select" aria-label="Sort filmography">
+              <option value="newest">Newest first</option>
+              <option value="oldest">Oldest first</option>
+              <option value="rating">Highest rated</option>
+            </select>
+          </div>
+          <div id="filmography"></div>
+        </div>
+      `;
+
+            renderFilmography("newest");
+            personContent
+                .querySelector("#filmographySort")
+                .addEventListener("change", (e) => renderFilmography(e.target.value));
+        } catch (err) {
+            showError(err.message || "Could not load person details.");
+            personContent.innerHTML = "";
+        }
+    }
+
+    // -----------------------------------------------------------------------
+    // Lists – shared watchlists stored by the backend
+    // -----------------------------------------------------------------------
+
+    let listDialogMovieId = null; // movie the "Add to list" dialog is adding
+
+    /** Open the "Add to list" dialog for a movie */
+    function openListDialog(movieId, title) {
+        listDialogMovieId = movieId;
+        listDialogMovie.textContent = title;
+        listNoteInput.value = "";
+        newListInput.value = "";
+        listDialog.showModal();
+        renderDialogLists();
+    }
+
+    /** Fill the dialog with one button per list */
+    async function renderDialogLists() {
+        listDialogLists.innerHTML = `<p class="list-dialog__empty">Loading lists…</p>`;
+        try {
+            const { results } = await apiFetch("/lists");
+            listDialogLists.innerHTML = results.length
+                ? ""
+                : `<p class="list-dialog__empty">No lists yet – create one below.</p>`;
+            results.forEach((list) => {
+                const btn = document.createElement("button");
+                btn.type = "button";
+                btn.className = "list-dialog__list";
+                btn.dataset.listId = list.id;
+                btn.innerHTML = `<span>${esc(list.name)}</span><span class="list-dialog__status">${list.item_count}</span>`;
+                btn.addEventListener("click", () => addToList(list.id, btn));
+                listDialogLists.appendChild(btn);
+            });
+        } catch (err) {
+            listDialogLists.innerHTML = `<p class="list-dialog__empty">${esc(err.message || "Could not load lists.")}</p>`;
+        }
+    }
+
+    /** Add the dialog's movie (and note) to a list, reporting the outcome on its button */
+    async function addToList(listId, btn) {
+        const status = btn.querySelector(".list-dialog__status");
+        btn.disabled = true;
+        try {
+            await apiSend("POST", `/lists/${listId}/items`, {
+                movieId: listDialogMovieId,
+                note: listNoteInput.value.trim(),
+            });
+            btn.classList.add("is-added");
+            status.textContent = "✓ Added";
+        } catch (err) {
+            if (err.status === 409) {
+                btn.classList.add("is-added");
+                status.textContent = "Already in list";
+            } else {
+                btn.disabled = false;
+                status.textContent = err.message || "Failed";
+            }
+        }
+    }
+
+    /** Lists index: every list with its size, plus a form to create one */
+    async function openLists() {
+        showView(listsSection);
+        listsContent.innerHTML = `<div class="skeleton" style="height:200px;border-radius:var(--radius-lg);"></div>`;
+        state.currentDetail = { type: "lists", id: null };
+
+        try {
+            const { results } = await apiFetch("/lists");
+            listsContent.innerHTML = `
+        <div class="lists__header">
+          <h2 class="section__title">📋 My Lists</h2>
+          <form class="lists__new" id="listsCreateForm">
+            <input type="text" class="filter-input" name="name" placeholder="New list name" maxlength="100" required />
+            <button type="submit" class="btn btn--primary btn--sm">Create list</button>
+          </form>
+        </div>
+        ${results.length
+                    ? `<div class="lists__grid">${results
+                        .map(
+                            (l) => `
+          <a class="list-card" href="#/lists/${l.id}">
+            <span class="list-card__name">${esc(l.name)}</span>
+            <span class="list-card__meta">${l.item_count} film${l.item_count === 1 ? "" : "s"} · updated ${fmtDate(l.updated_at)}</span>
+          </a>`
+                        )
+                        .join("")}</div>`
+                    : `<p class="lists__empty">No lists yet. Create one here, or use ＋ on any movie.</p>`
+                }`;
+
+            listsContent.querySelectorAll(".list-card").forEach((a) => {
+                a.addEventListener("click", (e) => {
+                    e.preventDefault();
+                    navigate(a.getAttribute("href"));
+                });
+            });
+            listsContent.querySelector("#listsCreateForm").addEventListener("submit", async (e) => {
+                e.preventDefault();
+                const name = e.target.elements.name.value.trim();
+                if (!name) return;
+                try {
+                    const list = await apiSend("POST", "/lists", { name });
+                    navigate(`#/lists/${list.id}`);
+                } catch (err) {
+                    showError(err.message || "Could not create list.");
+                }
+            });
+        } catch (err) {
+            showError(err.message || "Could not load lists.");
+            listsContent.innerHTML = "";
+        }
+    }
+
+    /** One list: entries hydrated through the movie detail endpoint, with notes, rename and delete */
+    async function openList(listId) {
+        showView(listsSection);
+        listsContent.innerHTML = `<div class="skeleton" style="height:200px;border-radius:var(--radius-lg);"></div>`;
+        state.currentDetail = { type: "list", id: listId };
+
+        try {
+            const list = await apiFetch(`/lists/${listId}`);
+            const count = (n) => `${n} film${n === 1 ? "" : "s"}`;
+            listsContent.innerHTML = `
+        <div class="lists__header">
+          <h2 class="section__title">${esc(list.name)}</h2>
+          <div class="lists__actions">
+            <select class="export__format" data-export-format aria-label="Export format"></select>
+            <button type="button" class="btn btn--ghost btn--sm" data-action="export">Export</button>
+            <button type="button" class="btn btn--ghost btn--sm" data-action="rename">Rename</button>
+            <button type="button" class="btn btn--ghost btn--sm" data-action="delete">Delete list</button>
+          </div>
+        </div>
+        <p class="lists__meta"><a href="#/lists" class="lists__back">← All lists</a> · <span class="lists__count">${count(list.items.length)}</span></p>
+        ${list.items.length ? "" : `<p class="lists__empty">This list is empty. Use ＋ on any movie to add it.</p>`}
+        <div class="movie-grid lists__entries"></div>`;
+
+            listsContent.querySelector(".lists__back").addEventListener("click", (e) => {
+                e.preventDefault();
+                navigate("#/lists");
+            });
+            const listExportFormat = listsContent.querySelector("[data-export-format]");
+            fillExportFormats(listExportFormat);
+            listsContent.querySelector('[data-action="export"]').addEventListener("click", () => {
+                // Served as an attachment, so the browser downloads it and stays on the page
+                window.location.href = apiUrl(`/lists/${list.id}/export`, { format: listExportFormat.value });
+            });
+            listsContent.querySelector('[data-action="rename"]').addEventListener("click", async () => {
+                const name = prompt("Rename list", list.name);
+                if (!name || !name.trim()) return;
+                try {
+                    const renamed = await apiSend("PATCH", `/lists/${list.id}`, { name });
+                    list.name = renamed.name;
+                    listsContent.querySelector(".section__title").textContent = renamed.name;
+                } catch (err) {
+                    showError(err.message || "Could not rename list.");
+                }
+            });
+            listsContent.querySelector('[data-action="delete"]').addEventListener("click", async () => {
+                if (!confirm(`Delete "${list.name}" and its ${count(list.items.length)}?`)) return;
+                try {
+                    await apiSend("DELETE", `/lists/${list.id}`);
+                    navigate("#/lists", { replace: true });
+                } catch (err) {
+                    showError(err.message || "Could not delete list.");
+                }
+            });
+
+            // Placeholders keep the list order while details arrive a few at a time
+            const grid = listsContent.querySelector(".lists__entries");
+            const slots = list.items.map(() => {
+                const slot = document.createElement("div");
+                slot.className = "list-entry";
+                slot.innerHTML = `<div class="skeleton skeleton--card"></div>`;
+                grid.appendChild(slot);
+                return slot;
+            });
+            const onRemove = (slot) => {
+                slot.remove();
+                listsContent.querySelector(".lists__count").textContent = count(grid.children.length);
+            };
+            for (let i = 0; i < list.items.length; i += LIST_HYDRATE_BATCH) {
+                if (state.currentDetail?.id !== listId) return; // user moved on
+                await Promise.all(
+                    list.items
+                        .slice(i, i + LIST_HYDRATE_BATCH)
+                        .map((item, j) => renderListEntry(list.id, item, slots[i + j], onRemove))
+                );
+            }
+        } catch (err) {
+            showError(err.message || "Could not load list.");
+            listsContent.innerHTML = "";
+        }
+    }
+
+    /** Fill one list slot: the movie card, its note and added date, and edit/remove actions */
+    async function renderListEntry(listId, item, slot, onRemove) {
+        let movie;
+        try {
+            movie = await apiFetch(`/movie/${item.movie_id}`, { include: "", view: "card" }); // card fields only
+        } catch {
+            movie = { id: item.movie_id, title: `TMDB movie #${item.movie_id}` }; // still removable
+        }
+
+        const meta = document.createElement("div");
+        meta.className = "list-entry__meta";
+        const renderMeta = () => {
+            meta.innerHTML = `
+          ${item.note ? `<p class="list-entry__note">${esc(item.note)}</p>` : ""}
+          <p class="list-entry__added">Added ${fmtDate(item.added_at)}</p>
+          <div class="list-entry__actions">
+            <button type="button" class="link-btn" data-action="note">${item.note ? "Edit note" : "Add note"}</button>
+            <button type="button" class="link-btn" data-action="remove">Remove</button>
+          </div>`;
+            meta.querySelector('[data-action="note"]').addEventListener("click", async () => {
+                const note = prompt("Note", item.note);
+                if (note === null) return;
+                try {
+                    Object.assign(item, await apiSend("PATCH", `/lists/${listId}/items/${item.movie_id}`, { note }));
+                    renderMeta();
+                } catch (err) {
+                    showError(err.message || "Could not save note.");
+                }
+            });
+            meta.querySelector('[data-action="remove"]').addEventListener("click", async () => {
+                try {
+                    await apiSend("DELETE", `/lists/${listId}/items/${item.movie_id}`);
+                    onRemove(slot);
+                } catch (err) {
+                    showError(err.message || "Could not remove movie.");
+                }
+            });
+        };
+        renderMeta();
+
+        slot.innerHTML = "";
+        slot.appendChild(renderMovieCard(movie));
+        slot.appendChild(meta);
+    }
+
+    // -----------------------------------------------------------------------
+    // Routing – hash URLs such as #/movie/27205, #/search?query=…&genre=… and
+    // #/person/525, pushed with history.pushState so back/forward and reloads work
+    // -----------------------------------------------------------------------
+
+    /** Filter keys stored as plain values in search URLs (people and keywords are lists) */
+    const URL_FILTER_KEYS = [
+        "yearFrom",
+        "yearTo",
+        "recentMonths",
+        "genre",
+        "castMode",
+        "crewMode",
+        "keywordMode",
+        ...DISCOVER_CONTROLS.map(({ key }) => key),
+    ];
+    const URL_LIST_KEYS = ["cast", "crew", "keywords"];
+
+    let genresReady = Promise.resolve(); // resolves once the genre <select> is filled
+
+    /** Picked people/keywords travel as "id:name" so chips can be restored; bare names (older links) as-is */
+    const encodePick = (p) => (p.id ? `${p.id}:${p.name}` : p.name);
+    const decodePick = (value) => {
+        const match = /^(\d+):(.*)$/.exec(value);
+        return match ? { id: match[1], name: match[2] } : { id: "", name: value };
+    };
+
+    /** Landing page for the current media type */
+    function homeHash() {
+        return state.mediaType === "tv" ? "#/tv" : "#/";
+    }
+
+    /** Hash for a search: the title plus every set filter (default modes omitted) */
+    function searchHash(query, filters) {
+        const params = new URLSearchParams();
+        if (query) params.set("query", query);
+        URL_FILTER_KEYS.forEach((key) => {
+            const value = filters[key];
+            if (value && !(key.endsWith("Mode") && value === "and")) params.set(key, value);
+        });
+        URL_LIST_KEYS.forEach((kind) => filters[kind].forEach((p) => params.append(kind, encodePick(p))));
+        const base = state.mediaType === "tv" ? "#/tv/search" : "#/search";
+        const queryString = params.toString();
+        return queryString ? `${base}?${queryString}` : base;
+    }
+
+    /** Inverse of searchHash: rebuild the filter state from URL parameters */
+    function filtersFromParams(params) {
+        const filters = emptyFilters();
+        URL_FILTER_KEYS.forEach((key) => {
+            if (params.get(key)) filters[key] = params.get(key);
+        });
+        URL_LIST_KEYS.forEach((kind) => {
+            filters[kind] = params
+                .getAll(kind)
+                .filter(Boolean)
+                .map(decodePick)
+                .filter((p) => kind !== "keywords" || p.id); // keywords are always picked by ID
+        });
+        return filters;
+    }
+
+    /** Switch between movies and series: toggle buttons, filter panel and genre list */
+    function setMediaType(mediaType) {
+        const changed = mediaType !== state.mediaType;
+        state.mediaType = mediaType;
+        mediaToggle?.querySelectorAll("[data-media]").forEach((b) => {
+            const active = b.dataset.media === mediaType;
+            b.classList.toggle("is-active", active);
+            b.setAttribute("aria-pressed", String(active));
+        });
+        searchPanel?.classList.toggle("search-panel--tv", mediaType === "tv");
+        searchInput.placeholder = mediaType === "tv" ? "Search for a TV series…" : "Search for a movie…";
+        if (changed) genresReady = loadGenres();
+    }
+
+    /** Go to a hash route – push a history entry (or replace the current one) – and render it */
+    function navigate(hash, { replace = false } = {}) {
+        if (hash !== location.hash) {
+            const depth = (history.state?.depth || 0) + (replace ? 0 : 1);
+            history[replace ? "replaceState" : "pushState"]({ depth }, "", hash);
+        }
+        return route();
+    }
+
+    /** Step back within the app; a page opened straight from a link falls back to the landing page */
+    function goBack() {
+        if (history.state?.depth > 0) history.back();
+        else navigate(homeHash());
+    }
+
+    /** Restore the search described by the URL, re-fetching up to the recorded page */
+    async function showSearch(params) {
+        await genresReady;
+        state.filters = filtersFromParams(params);
+        syncFilterInputs();
+        const query = params.get("query") || "";
+        searchInput.value = query;
+        clearBtn.hidden = !query;
+
+        if (query.length < MIN_QUERY_LENGTH && !hasActiveFilters()) {
+            return navigate(homeHash(), { replace: true });
+        }
+
+        const hash = location.hash;
+        if (state.resultsHash === hash) {
+            // Coming back to the results we already have: keep them (and "load more" progress)
+            showView(resultsSection);
+            return;
+        }
+
+        const pages = Math.min(Math.max(Number(params.get("page")) || 1, 1), MAX_RESTORED_PAGES);
+        await performSearch(query, 1, false);
+        for (let p = 2; p <= pages && state.page < state.totalPages; p++) {
+            await performSearch(query, p, true);
+        }
+        if (location.hash === hash) state.resultsHash = hash;
+    }
+
+    /** Render the view for the current location.hash */
+    async function route() {
+        const [path, queryString = ""] = location.hash.replace(/^#/, "").split("?");
+        const [first, second] = path.split("/").filter(Boolean);
+        const params = new URLSearchParams(queryString);
+        const id = Number(second);
+        const validId = Number.isInteger(id) && id > 0;
+
+        if (!first || (first === "tv" && !second)) {
+            setMediaType(first === "tv" ? "tv" : "movie");
+            searchInput.value = "";
+            clearBtn.hidden = true;
+            state.query = "";
+            clearFilterInputs();
+            return showTrending();
+        }
+        if (first === "search" || (first === "tv" && second === "search")) {
+            setMediaType(first === "tv" ? "tv" : "movie");
+            return showSearch(params);
+        }
+        if (first === "movie" && validId) {
+            setMediaType("movie");
+            return openDetail(id);
+        }
+        if (first === "tv" && validId) {
+            setMediaType("tv");
+            return openTvDetail(id);
+        }
+        if (first === "lists") return second ? openList(second) : openLists();
+        if (first === "collection" && validId) return openCollection(id);
+        if (first === "person" && validId) return openPerson(id);
+
+        return navigate(homeHash(), { replace: true }); // unknown route
+    }
+
     // -----------------------------------------------------------------------
     // Event handlers
     // -----------------------------------------------------------------------
 
-    // Debounced search on input
+    // Debounced search on input (typing refines the current search entry instead of stacking history)
     const debouncedSearch = debounce((value) => {
         const q = value.trim();
-        const hasFilters = Object.values(state.filters).some(Boolean);
+        const hasFilters = hasActiveFilters();
+        const onSearch = !resultsSection.hidden;
         if (q.length >= MIN_QUERY_LENGTH || hasFilters) {
-            performSearch(q);
+            navigate(searchHash(q, state.filters), { replace: onSearch });
         } else if (q.length === 0 && !hasFilters) {
-            showTrending();
+            navigate(homeHash(), { replace: onSearch });
         }
     }, DEBOUNCE_MS);
 
@@ -466,88 +1902,182 @@
         searchInput.value = "";
         clearBtn.hidden = true;
         state.query = "";
-        state.page = 1;
-        const hasFilters = Object.values(state.filters).some(Boolean);
-        if (hasFilters) {
-            performSearch("", 1, false);
-        } else {
-            showTrending();
-        }
+        refreshSearch();
         searchInput.focus();
     });
 
-    // Load more button
-    loadMoreBtn.addEventListener("click", () => {
+    // Load more button: append the next page and record the page count in the URL
+    loadMoreBtn.addEventListener("click", async () => {
         if (state.page < state.totalPages) {
-            performSearch(state.query, state.page + 1, true);
+            await performSearch(state.query, state.page + 1, true);
+            const [path, queryString = ""] = location.hash.split("?");
+            const params = new URLSearchParams(queryString);
+            params.set("page", state.page);
+            history.replaceState(history.state, "", `${path}?${params}`);
+            state.resultsHash = location.hash;
         }
     });
 
-    // Back button
-    backBtn.addEventListener("click", () => {
-        detailSection.hidden = true;
-        const hasFilters = Object.values(state.filters).some(Boolean);
-        if (state.previousView === "results" && (state.query || hasFilters)) {
-            resultsSection.hidden = false;
-        } else {
-            showTrending();
+    // Export the current search: every page loaded so far, up to the backend's cap
+    if (exportBtn) {
+        fillExportFormats(exportFormat);
+        exportBtn.addEventListener("click", () => {
+            const params = { ...searchParams(state.query), format: exportFormat.value };
+            params.pages = Math.min(state.page, MAX_EXPORT_PAGES);
+            window.location.href = apiUrl("/search/export", params);
+        });
+    }
+
+    // "Add to list" on cards and detail pages (capture phase, so the card itself doesn't open)
+    document.addEventListener(
+        "click",
+        (e) => {
+            const btn = e.target.closest("[data-add-to-list]");
+            if (!btn) return;
+            e.preventDefault();
+            e.stopPropagation();
+            openListDialog(Number(btn.dataset.addToList), btn.dataset.title);
+        },
+        true
+    );
+
+    // Dialog: create a list and add the movie to it straight away
+    newListForm?.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const name = newListInput.value.trim();
+        if (!name) return;
+        try {
+            const list = await apiSend("POST", "/lists", { name });
+            newListInput.value = "";
+            await renderDialogLists();
+            const btn = listDialogLists.querySelector(`[data-list-id="${list.id}"]`);
+            if (btn) addToList(list.id, btn);
+        } catch (err) {
+            listDialogLists.insertAdjacentHTML("beforeend", `<p class="list-dialog__empty">${esc(err.message)}</p>`);
         }
     });
 
+    // Header link to the lists view
+    document.querySelector("#listsLink")?.addEventListener("click", (e) => {
+        e.preventDefault();
+        navigate("#/lists");
+    });
+
+    // Back buttons step back through the app's history
+    backBtn.addEventListener("click", goBack);
+    personBackBtn.addEventListener("click", goBack);
+
+    // Movies / TV toggle: switch media type, reset filters (genre IDs differ) and keep the title
+    if (mediaToggle) {
+        mediaToggle.addEventListener("click", (e) => {
+            const btn = e.target.closest("[data-media]");
+            if (!btn || btn.dataset.media === state.mediaType) return;
+            clearFilterInputs();
+            setMediaType(btn.dataset.media);
+            refreshSearch();
+        });
+    }
+
+    // Locale picker: translate TMDB data and reformat dates/numbers, staying on the current view
+    if (localeSelect) {
+        LOCALES.forEach((tag) => {
+            const opt = document.createElement("option");
+            opt.value = tag;
+            const name = new Intl.DisplayNames([tag], { type: "language" }).of(tag);
+            opt.textContent = name.charAt(0).toLocaleUpperCase(tag) + name.slice(1);
+            localeSelect.appendChild(opt);
+        });
+        localeSelect.value = state.locale;
+        document.documentElement.lang = state.locale;
+
+        localeSelect.addEventListener("change", () => {
+            state.locale = localeSelect.value;
+            document.documentElement.lang = state.locale;
+            try {
+                localStorage.setItem(LOCALE_STORAGE_KEY, state.locale);
+            } catch {
+                // Storage blocked – the choice lasts for this page load only
+            }
+            genresReady = loadGenres();
+            state.resultsHash = ""; // re-fetch results in the new language
+            route();
+        });
+    }
+
     // Handle logo click = go home
     document.querySelector(".header__logo").addEventListener("click", (e) => {
         e.preventDefault();
-        searchInput.value = "";
-        clearBtn.hidden = true;
-        state.query = "";
-        state.page = 1;
-        state.filters = { year: "", genre: "", cast: "", director: "" };
-        if (yearInput) yearInput.value = "";
-        if (genreSelect) genreSelect.value = "";
-        if (castInput) castInput.value = "";
-        if (directorInput) directorInput.value = "";
-        if (activeFilters) activeFilters.hidden = true;
-        showTrending();
+        navigate(homeHash()); // the landing route clears the title and filters
     });
 
     // Advanced filter form submit
     if (filterForm) {
         filterForm.addEventListener("submit", (e) => {
             e.preventDefault();
-            state.filters = {
-                year: yearInput?.value.trim() || "",
-                genre: genreSelect?.value || "",
-                cast: castInput?.value.trim() || "",
-                director: directorInput?.value.trim() || "",
-            };
-            state.page = 1;
-            performSearch(searchInput.value.trim(), 1, false);
+            // A name typed but not picked would be resolved by guessing – ask for a choice instead
+            const unpicked = [castInput, directorInput].find((input) => input?.value.trim());
+            if (unpicked) {
+                showError("Choose a person from the suggestions, or clear the field.");
+                unpicked.focus();
+                return;
+            }
+
+            const period = decadeSelect?.value || "";
+            state.filters.recentMonths = period.startsWith("recent:") ? period.slice(7) : "";
+            state.filters.yearFrom = state.filters.recentMonths ? "" : yearInput?.value.trim() || "";
+            state.filters.yearTo = state.filters.recentMonths ? "" : yearToInput?.value.trim() || "";
+            if (state.mediaType === "tv") {
+                // Series search takes an exact first-air year only
+                state.filters.recentMonths = "";
+                state.filters.yearTo = state.filters.yearFrom;
+            }
+            state.filters.genre = genreSelect?.value || "";
+            state.filters.castMode = castMode?.value || "and";
+            state.filters.crewMode = crewMode?.value || "and";
+            state.filters.keywordMode = keywordMode?.value || "and";
+            DISCOVER_CONTROLS.forEach(({ key, el }) => {
+                state.filters[key] = el?.value.trim() || "";
+            });
+            refreshSearch();
         });
     }
 
+    // Decade / period selector fills (or clears) the year range
+    if (decadeSelect) {
+        decadeSelect.addEventListener("change", () => {
+            const [kind, value] = decadeSelect.value.split(":");
+            if (kind === "decade") {
+                yearInput.value = value;
+                yearToInput.value = Number(value) + 9;
+            } else {
+                yearInput.value = "";
+                yearToInput.value = "";
+            }
+        });
+        // Typing a year by hand leaves the preset behind
+        [yearInput, yearToInput].forEach((input) =>
+            input?.addEventListener("input", () => (decadeSelect.value = ""))
+        );
+    }
+
     // Advanced filter clear
     if (filterClearBtn) {
         filterClearBtn.addEventListener("click", () => {
-            state.filters = { year: "", genre: "", cast: "", director: "" };
-            if (yearInput) yearInput.value = "";
-            if (genreSelect) genreSelect.value = "";
-            if (castInput) castInput.value = "";
-            if (directorInput) directorInput.value = "";
-            if (activeFilters) activeFilters.hidden = true;
+            clearFilterInputs();
             // If there's still a title query, re-run without filters; else show trending
-            const q = searchInput.value.trim();
-            if (q.length >= MIN_QUERY_LENGTH) {
-                state.page = 1;
-                performSearch(q, 1, false);
-            } else {
-                showTrending();
-            }
+            refreshSearch();
         });
     }
 
     // -----------------------------------------------------------------------
     // Init
     // -----------------------------------------------------------------------
-    loadGenres();
-    showTrending();
+    attachPersonPicker(castInput, "Acting", (person) => addPerson("cast", person));
+    attachPersonPicker(directorInput, "Directing", (person) => addPerson("crew", person));
+    attachKeywordPicker(keywordInput, (keyword) => addPerson("keywords", keyword));
+    populateDecades();
+    genresReady = loadGenres();
+    history.replaceState({ depth: 0 }, "", location.hash || homeHash());
+    window.addEventListener("popstate", () => route());
+    loadConfig().then(route); // first render waits for the image setting, so URLs don't change under it
 })();